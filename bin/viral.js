@@ -5,20 +5,73 @@
 // Commands:
 //   viral setup                      -> interactive or flag-based config at ~/.config/viral-video/config.json
 //   viral create --topic "..."       -> generate assets (current behavior), flags preserved
+//   viral create --from project.yaml -> same, from a hand-written script (no text model call)
+//   viral batch topics.csv           -> one kit per row (CSV/JSON/YAML), with a summary report
+//   viral render <kit-dir>           -> re-run ffmpeg on an existing kit (no API calls)
 //
 // Flags for "create":
-//   --topic "..."                    Topic for the 60s video (required)
-//   --male | --female                Select TTS voice gender (overrides config/env TTS_VOICE)
+//   --topic "..."                    Topic for the 60s video (required unless --from)
+//   --from FILE                      Project file (JSON/YAML or legacy voiceover.txt); skips script generation
+//   --template NAME|FILE             Script template: explainer (default), listicle, story, news, product,
+//                                    or a user template from ~/.config/viral-video/templates/
+//   --audience "..." --tone "..."    Override the template's audience / tone
+//   --cta "..." --disclaimer "..."   Override the template's call to action / spoken disclaimer (--no-disclaimer drops it)
+//   --text-provider openai|anthropic Script model backend (default: openai; TEXT_BASE_URL for OpenAI-compatible servers)
+//   --voice NAME                     Voice for the TTS provider (overrides --male/--female)
+//   --out DIR                        Folder for kits (default: ./build)
+//   --male | --female                Select TTS voice gender (overrides config/env voice for the TTS provider)
+//   --tts-provider openai|elevenlabs|local|stub   Voice provider (default: openai)
 //   --cartoon | --realistic | --ai-generated   Image style (default: cartoon)
+//   --image-provider openai|library|placeholder   Image source (default: openai)
+//   --image-library DIR              Folder of images for --image-provider library
+//   --master-images                  One image per scene and orientation, cropped into its profiles
+//   --crop center|thirds|blur        How profile scenes are cut from the master (default: center)
 //   --dry-run                        Skip external APIs (OpenAI) and ffmpeg; validate flow only
+//   --align estimate|sentences|aligner   Caption timing source (default: estimate; see README)
+//   --captions classic|karaoke|pop|boxed   Caption preset (default: classic)
+//   --safe-area none|tiktok|reels|shorts   Keep portrait captions clear of the app's UI (default: none)
+//   --hook-title                     Show the hook in large type over the first seconds
+//   --no-burn-captions               Mux captions as a soft subtitle track instead of burning them in
+//   --languages en,es,pt             One voiceover, captions and output.<lang>.mp4 per language (translated)
+//   --music FILE|DIR|MOOD|none       Background track: a file, a pick from a folder, or a mood from MUSIC_LIBRARY
+//   --fit cover|contain              Frame fitting for scene images (default: cover)
+//   --motion NAME                    Scene motion: zoom-in (default), zoom-out, pan-left, pan-right, kenburns, static
+//   --transition NAME                Between scenes: cut (default), crossfade, slide, wipe, whip
+//   --encode draft|final|archive     Encode preset (default: final); --crf, --encode-speed, --video-bitrate
+//   --profiles a,b,...               Output profiles: vertical, horizontal, square, feed45, config names,
+//                                    or inline name=WIDTHxHEIGHT[@FPS] (default: vertical,horizontal)
+//   --concurrency N                  Parallel image/TTS requests (default: 4)
+//   --resume | --force               Reuse matching assets from build/<slug>/manifest.json (default) or regenerate all
+//   --estimate                       Print the projected cost and exit (no API calls, nothing written)
+//   --max-cost USD                   Abort before any call that would take the run past this spend
+//
+// Flags for "batch" (plus any "create" flag except --topic/--from, as defaults for every row):
+//   --parallel N                     Videos in flight at once (default: 2)
+//   --concurrency N                  Request limit shared by all videos (default: 4)
+//   --report FILE                    Summary JSON (default: <out>/batch-report.json)
+//   --estimate                       Projected cost per row and in total (no API calls)
+//   --max-cost USD                   Budget for the whole batch
+//
+// Flags for "render":
+//   --orientation NAME[,NAME]|all    Which profile(s) to re-render (default: all; --profiles is an alias)
+//   --fit cover|contain              Frame fitting for scene images (default: cover)
+//   --motion NAME --transition NAME  Default scene motion / transition (storyboard.csv cells still win)
+//   --no-burn-captions               Soft subtitle track instead of burned-in captions
+//   --hook-title                     Large hook text over the first seconds
+//   --encode draft|final|archive     As for create
 //
  // Flags for "setup" (non-interactive):
  //   --openai-key KEY
  //   --elevenlabs-key KEY
+ //   --anthropic-key KEY
+ //   --text-provider NAME
+ //   --text-base-url URL
  //   --text-model NAME
  //   --image-model NAME
  //   --tts-model NAME
  //   --voice NAME
+ //   --tts-provider NAME
+ //   --elevenlabs-voice ID
  //   --video-sec N
  //   --scenes-count N
 //
@@ -28,7 +81,9 @@ import process from 'node:process';
 import path from 'node:path';
 import os from 'node:os';
 import fs from 'node:fs/promises';
-import { run } from '../src/index.js';
+import { run, render, batch, estimate } from '../src/index.js';
+import { formatBatchEstimate, formatBatchTable } from '../src/batch.js';
+import { formatEstimate, formatUSD } from '../src/costs.js';
 
 function parseArgs(argv) {
   const args = {};
@@ -97,34 +152,144 @@ function usage(exitCode = 1) {
 
 Commands:
   setup                           Configure API keys and defaults (writes ~/.config/viral-video/config.json)
-  create --topic "..."            Generate a 60s video kit (vertical + horizontal)
+  create --topic "..."            Generate a 60s video kit (vertical + horizontal by default)
+  create --from project.yaml      Generate a kit from your own script (JSON/YAML project file, see README)
+  batch <file>                    One kit per row of a CSV/JSON/YAML topic list (topic, template, style, voice,
+                                  profiles, ...), then a summary table and report (see README)
+  render <kit-dir>                Re-render output.mp4 from an existing kit (e.g. build/my-topic)
 
 Create options:
-  --topic "..."                   Topic for the 60s video (required)
+  --topic "..."                   Topic for the 60s video (required unless --from)
+  --from FILE                     Use a project file (title, hook, sections, images, voice, style) instead of
+                                  generating the script; a legacy voiceover.txt also works (with --topic)
+  --template NAME                 Script template: explainer (default), listicle, story, news, product, a user
+                                  template from ~/.config/viral-video/templates/NAME.yaml, or a template file path
+  --audience "..."                Who the video is for (default: from the template)
+  --tone "..."                    How it sounds, e.g. "upbeat, playful" (default: from the template)
+  --cta "..."                     Closing call to action (default: from the template)
+  --disclaimer "..."              Line spoken at the very end; --no-disclaimer drops the template's one
+  --text-provider NAME            Script model backend: openai (default; or any OpenAI-compatible server such as
+                                  Ollama, llama.cpp or vLLM via TEXT_BASE_URL), anthropic (ANTHROPIC_API_KEY)
   --male | --female               TTS voice gender override
+  --voice NAME                    Voice name/ID for the TTS provider (overrides --male/--female)
+  --tts-provider NAME             Voice provider: openai (default), elevenlabs, local (espeak-ng/piper, offline),
+                                  stub (offline silent MP3, tests only). local and stub also run with --dry-run
   --cartoon | --realistic | --ai-generated   Image style (default: cartoon)
-  --dry-run                       Skip external APIs and ffmpeg; validate flow only
-
-Note: Generates assets for BOTH vertical (1080x1920) and horizontal (1920x1080).
+  --image-provider NAME           Image source: openai (default), library (pick from --image-library by keyword/tag),
+                                  placeholder (solid frame with the prompt text, drawn by ffmpeg; offline)
+  --image-library DIR             Folder of your own images for the library provider
+  --master-images                 Generate one master image per scene and orientation and crop it into its profiles
+  --crop center|thirds|blur       Master cropping: around the focal point (default), focal point on a
+                                  rule-of-thirds line, or the whole image over a blurred fill
+  --dry-run                       Skip paid APIs and rendering; scene images are placeholder frames when ffmpeg exists
+  --align MODE                    Caption timing: estimate (default), sentences (per-sentence TTS), aligner (ALIGNER_CMD)
+  --captions PRESET               Caption style: classic (default), karaoke, pop, boxed
+  --safe-area NAME                Keep captions on portrait profiles clear of an app's buttons and description:
+                                  none (default), tiktok, reels, shorts (SAFE_AREA)
+  --hook-title                    Show the hook in large type over the first 3 seconds (HOOK_TITLE). Logo,
+                                  intro/outro, title card and end-screen CTA come from config.json BRAND
+  --no-burn-captions              Keep the picture clean and add the captions as a soft subtitle track
+                                  (captions.srt, .vtt and timed .json are written to every profile either way)
+  --languages a,b,...             Make the kit in several languages: the first is the script's, the others are
+                                  translated by the text model, each with its own voiceover, captions and
+                                  <profile>/output.<lang>.mp4 over the same scenes (LANGUAGES)
+  --music FILE|DIR|MOOD|none      Background music: an audio file, the best match from a folder, or a mood
+                                  (a folder or tag) in MUSIC_LIBRARY (default: ~/.config/viral-video/music/).
+                                  Looped/trimmed to the video, faded, normalized to LOUDNESS_TARGET and ducked
+  --fit cover|contain             Fill the frame with a center crop (default) or letterbox the image
+  --motion NAME                   How each still moves: zoom-in (default), zoom-out, pan-left, pan-right,
+                                  kenburns (zooms toward the scene's focus), static
+  --transition NAME               Between scenes: cut (default), crossfade, slide, wipe, whip (TRANSITION_SEC
+                                  long, default 0.5; whip is half). Scenes can set their own in script.json
+  --encode PRESET                 How the MP4 is encoded: draft (quick preview), final (default, upload quality)
+                                  or archive (lossless master; takes no CRF or bitrate) (ENCODE_PRESET)
+  --crf N                         x264/x265 quality, 0 to 51, lower is better; over the preset's (CRF)
+  --encode-speed NAME             x264/x265 speed: ultrafast ... veryslow; slower is smaller (ENCODE_SPEED)
+  --video-bitrate RATE            Target bitrate such as 8M, instead of --crf; the way to steer hardware
+                                  encoders set as a profile's videoCodec (VIDEO_BITRATE)
+  --profiles a,b,...              Output profiles (default: vertical,horizontal). Built-in: vertical (1080x1920),
+                                  horizontal (1920x1080), square (1080x1080), feed45 (1080x1350);
+                                  config.json PROFILES names; or inline name=WIDTHxHEIGHT[@FPS]
+  --concurrency N                 Image/TTS requests in flight at once (default: 4). Rate limits (429), 5xx and
+                                  timeouts are retried with exponential backoff (MAX_RETRIES, REQUEST_TIMEOUT_SEC)
+  --resume                        Continue a previous run: like the default reuse of matching script, voiceover
+                                  and images, but stops when the kit has no manifest.json to resume from
+  --force                         Ignore previously generated assets and regenerate everything
+  --out DIR                       Folder for kits (default: ./build)
+  --estimate                      Print the projected cost (script tokens, voiceover characters, images) and exit;
+                                  no API calls. Prices: config.json PRICES over the built-in table
+  --max-cost USD                  Refuse to start when the estimate is higher, and abort before any call that would
+                                  take the spend past it (MAX_COST). Actual usage goes to <kit>/usage.json
+
+Batch options (any create option except --topic/--from also applies to every row):
+  --parallel N                    Videos generated at once (default: 2, BATCH_PARALLEL)
+  --concurrency N                 Image/TTS/script requests in flight across the whole batch (default: 4)
+  --report FILE                   Where to write the JSON summary (default: <out>/batch-report.json)
+  --estimate                      Projected cost of every row and the total; no API calls
+  --max-cost USD                  One budget for the whole batch; rows that would pass it fail
+
+Render options:
+  --orientation NAME[,NAME]|all   Profile(s) to re-render (default: all; alias: --profiles)
+  --fit cover|contain             Fill the frame with a center crop (default) or letterbox the image
+  --motion NAME                   Default scene motion (storyboard.csv "motion" cells override it)
+  --transition NAME               Default transition (storyboard.csv "transition" cells override it)
+  --no-burn-captions              Add the captions as a soft subtitle track instead of burning them in
+  --hook-title                    Show the hook in large type over the first seconds
+  --encode PRESET                 As for create, as are --crf, --encode-speed and --video-bitrate
+
+Note: Without --profiles, generates assets for BOTH vertical (1080x1920) and horizontal (1920x1080).
 
 Setup options (can be used non-interactively):
   --openai-key KEY
   --elevenlabs-key KEY
+  --anthropic-key KEY
+  --text-provider NAME
+  --text-base-url URL
   --text-model NAME
   --image-model NAME
   --tts-model NAME
   --voice NAME
+  --tts-provider NAME
+  --elevenlabs-voice ID
   --video-sec N
   --scenes-count N
 
 Environment variables override config values:
-  OPENAI_API_KEY, ELEVENLABS_API_KEY, TEXT_MODEL, IMAGE_MODEL, TTS_MODEL, TTS_VOICE, VIDEO_SEC, SCENES_COUNT
+  OPENAI_API_KEY, ELEVENLABS_API_KEY, ANTHROPIC_API_KEY, TEXT_PROVIDER, TEXT_BASE_URL, TEXT_API_KEY,
+  TEXT_JSON_MODE, BATCH_PARALLEL, TTS_PROVIDER, ELEVENLABS_VOICE_ID, ELEVENLABS_MODEL,
+  ELEVENLABS_STABILITY, ELEVENLABS_SIMILARITY, ELEVENLABS_STYLE, LOCAL_TTS_ENGINE, LOCAL_TTS_VOICE,
+  LOCAL_TTS_RATE, PIPER_MODEL, TEXT_MODEL, IMAGE_MODEL, TTS_MODEL, TTS_VOICE, VIDEO_SEC, SCENES_COUNT,
+  CAPTION_ALIGN, ALIGNER_CMD, CAPTION_PRESET, SAFE_AREA, IMAGE_FIT, IMAGE_PROVIDER, IMAGE_LIBRARY, IMAGE_MASTER, IMAGE_CROP, OUTPUT_PROFILES,
+  CONCURRENCY, REQUEST_TIMEOUT_SEC, MAX_RETRIES, SCRIPT_REPAIRS, TEMPLATE, MAX_COST, MUSIC, MUSIC_LIBRARY,
+  LOUDNESS_TARGET, MOTION, TRANSITION, TRANSITION_SEC, BURN_CAPTIONS,
+  LANGUAGES, HOOK_TITLE, ENCODE_PRESET, CRF, ENCODE_SPEED, VIDEO_BITRATE
 
 Examples:
   viral setup
-  viral setup --openai-key sk-... --elevenlabs-key el-... --voice luna --video-sec 60
+  viral setup --openai-key sk-... --elevenlabs-key el-... --voice nova --video-sec 60
   viral create --topic "Dollar-cost averaging" --female --realistic
+  viral create --from project.yaml --tts-provider local
+  TEXT_BASE_URL=http://localhost:11434/v1 TEXT_MODEL=llama3.1 viral create --topic "Budgeting" --tts-provider local
+  viral create --topic "5 budgeting apps" --template listicle --tone "upbeat, playful"
+  viral create --topic "Staking" --disclaimer "Educational only. Not financial advice."
+  viral create --topic "Dollar-cost averaging" --profiles vertical,square,feed45,preview=720x1280@60
+  viral render build/dollar-cost-averaging --orientation vertical
+  viral batch topics.csv --parallel 3 --concurrency 6 --profiles vertical
+  viral create --topic "Dollar-cost averaging" --profiles vertical,square --estimate
+  viral batch topics.csv --max-cost 10
+  viral create --topic "Dollar-cost averaging" --music calm
+  viral create --topic "Dollar-cost averaging" --music ./tracks/lofi-study.mp3
+  viral create --topic "Dollar-cost averaging" --motion kenburns --transition crossfade
+  viral render build/dollar-cost-averaging --transition whip
+  viral render build/dollar-cost-averaging --no-burn-captions
+  viral create --topic "Dollar-cost averaging" --languages en,es,pt-BR
+  viral create --topic "Dollar-cost averaging" --profiles vertical --safe-area tiktok
+  viral render build/dollar-cost-averaging --hook-title
+  viral render build/dollar-cost-averaging --orientation vertical --encode draft
   DRY_RUN=1 viral create --topic "SEC Bitcoin ETF timeline" --ai-generated
+  viral create --topic "SEC Bitcoin ETF timeline" --dry-run --tts-provider local
+  viral create --topic "Dollar-cost averaging" --image-provider library --image-library ./brand-assets
+  viral create --topic "Dollar-cost averaging" --profiles vertical,horizontal,square --master-images --crop thirds
 `);
   process.exit(exitCode);
 }
@@ -190,10 +355,14 @@ async function setupCommand(args) {
 
   // Optional defaults
   const defaults = {
+    TEXT_PROVIDER: args['text-provider'],
+    TEXT_BASE_URL: args['text-base-url'],
     TEXT_MODEL: args['text-model'],
     IMAGE_MODEL: args['image-model'],
     TTS_MODEL: args['tts-model'],
     TTS_VOICE: args['voice'],
+    TTS_PROVIDER: args['tts-provider'],
+    ELEVENLABS_VOICE_ID: args['elevenlabs-voice'],
     VIDEO_SEC: args['video-sec'] ? parseInt(args['video-sec'], 10) : undefined,
     SCENES_COUNT: args['scenes-count'] ? parseInt(args['scenes-count'], 10) : undefined,
   };
@@ -211,6 +380,9 @@ async function setupCommand(args) {
   if (ELEVENLABS_API_KEY && ELEVENLABS_API_KEY.trim() !== '') {
     cfg.ELEVENLABS_API_KEY = ELEVENLABS_API_KEY.trim();
   }
+  if (typeof args['anthropic-key'] === 'string' && args['anthropic-key'].trim() !== '') {
+    cfg.ANTHROPIC_API_KEY = args['anthropic-key'].trim();
+  }
 
   await fs.mkdir(dir, { recursive: true });
   await fs.writeFile(file, JSON.stringify(cfg, null, 2), { encoding: 'utf8', mode: 0o600 });
@@ -220,21 +392,85 @@ async function setupCommand(args) {
   console.log(`Saved configuration to: ${file}`);
 }
 
+// run() options shared by "create" and "batch"
+function createOptions(argv, args) {
+  if (args.resume === true && args.force === true) {
+    console.error('Use either --resume or --force, not both.');
+    usage(1);
+  }
+  const str = (key) => (typeof args[key] === 'string' ? args[key] : undefined);
+  return {
+    dryRun: args['dry-run'] === true || process.env.DRY_RUN === '1' || process.env.DRY_RUN === 'true',
+    gender: pickGender(argv),
+    voice: str('voice'),
+    style: pickStyle(argv),
+    resume: args.resume === true,
+    force: args.force === true,
+    align: str('align'),
+    captions: str('captions'),
+    safeArea: str('safe-area'),
+    burnCaptions: args['no-burn-captions'] === true ? false : undefined,
+    hookTitle: args['hook-title'] === true ? true : undefined,
+    languages: str('languages'),
+    music: str('music'),
+    fit: str('fit'),
+    motion: str('motion'),
+    transition: str('transition'),
+    encode: str('encode'),
+    crf: str('crf'),
+    encodeSpeed: str('encode-speed'),
+    videoBitrate: str('video-bitrate'),
+    profiles: str('profiles'),
+    ttsProvider: str('tts-provider'),
+    textProvider: str('text-provider'),
+    imageProvider: str('image-provider'),
+    imageLibrary: str('image-library'),
+    concurrency: str('concurrency'),
+    masterImages: args['master-images'] === true,
+    crop: str('crop'),
+    template: str('template'),
+    audience: str('audience'),
+    tone: str('tone'),
+    cta: str('cta'),
+    disclaimer: args['no-disclaimer'] === true ? '' : str('disclaimer'),
+    buildDir: str('out'),
+    maxCost: str('max-cost'),
+  };
+}
+
 async function createCommand(argv, args) {
-  if (!args.topic || typeof args.topic !== 'string') {
-    console.error('Missing required --topic for "create".');
+  const from = typeof args.from === 'string' ? args.from : undefined;
+  if (!from && (!args.topic || typeof args.topic !== 'string')) {
+    console.error('Missing required --topic (or --from <project file>) for "create".');
     usage(1);
   }
-  const dryRun = args['dry-run'] === true || process.env.DRY_RUN === '1' || process.env.DRY_RUN === 'true';
-  const gender = pickGender(argv);
-  const style = pickStyle(argv);
-  const onProgress = createProgressRenderer();
+  const topic = typeof args.topic === 'string' ? args.topic : undefined;
+  const options = createOptions(argv, args);
+
+  if (args.estimate === true) {
+    try {
+      const projected = await estimate(topic, { from, ...options });
+      console.log(`Estimated cost for "${topic || from}":`);
+      console.log(formatEstimate(projected));
+    } catch (err) {
+      console.error('viral failed:', err?.message || err);
+      process.exit(1);
+    }
+    return;
+  }
 
+  const onProgress = createProgressRenderer();
   try {
-    const outDir = await run(args.topic, { dryRun, gender, style, onProgress });
+    const outDir = await run(topic, { from, ...options, onProgress });
     if (process.stderr.isTTY) process.stderr.write('\n');
-    if (dryRun) {
+    if (options.dryRun) {
       console.log(`DRY_RUN complete. Prepared (or validated) directory: ${outDir}`);
+    } else {
+      const usageFile = path.join(outDir, 'usage.json');
+      const spent = JSON.parse(await fs.readFile(usageFile, 'utf8').catch(() => 'null'));
+      if (spent) {
+        console.log(`Spent ${formatUSD(spent.usd)} (estimated ${formatUSD(spent.estimateUsd)}); details in ${usageFile}`);
+      }
     }
   } catch (err) {
     console.error('viral failed:', err?.message || err);
@@ -242,10 +478,98 @@ async function createCommand(argv, args) {
   }
 }
 
+async function batchCommand(argv, args) {
+  const file = argv[0] && !argv[0].startsWith('--') ? argv[0] : null;
+  if (!file) {
+    console.error('Missing required <file> for "batch".');
+    usage(1);
+  }
+  const create = createOptions(argv, args);
+  const parallel = typeof args.parallel === 'string' ? args.parallel : undefined;
+  const report = typeof args.report === 'string' ? args.report : undefined;
+
+  if (args.estimate === true) {
+    try {
+      console.log(formatBatchEstimate(await batch(file, { create, buildDir: create.buildDir, estimate: true })));
+    } catch (err) {
+      console.error('viral batch failed:', err?.message || err);
+      process.exit(1);
+    }
+    return;
+  }
+
+  // One line per finished video; per-video progress bars would interleave
+  const onEvent = (e) => {
+    const at = `[${e.row}/${e.total}]`;
+    if (e.type === 'start') console.error(`${at} started: ${e.topic}`);
+    else if (e.status === 'ok') console.error(`${at} done: ${e.topic} (${e.elapsedSec}s)`);
+    else console.error(`${at} failed: ${e.topic}: ${e.error}`);
+  };
+
+  try {
+    const result = await batch(file, {
+      create,
+      concurrency: create.concurrency,
+      parallel,
+      buildDir: create.buildDir,
+      maxCost: create.maxCost,
+      report,
+      onEvent,
+    });
+    console.log(formatBatchTable(result));
+    console.log(`Report: ${result.reportFile}`);
+    if (result.failed) process.exit(1);
+  } catch (err) {
+    console.error('viral batch failed:', err?.message || err);
+    process.exit(1);
+  }
+}
+
+async function renderCommand(argv, args) {
+  const kitDir = argv[0] && !argv[0].startsWith('--') ? argv[0] : null;
+  if (!kitDir) {
+    console.error('Missing required <kit-dir> for "render".');
+    usage(1);
+  }
+  const picked = args.orientation ?? args.profiles;
+  const orientation = typeof picked === 'string' ? picked : 'all';
+  const fit = typeof args.fit === 'string' ? args.fit : undefined;
+  const motion = typeof args.motion === 'string' ? args.motion : undefined;
+  const transition = typeof args.transition === 'string' ? args.transition : undefined;
+  const burnCaptions = args['no-burn-captions'] === true ? false : undefined;
+  const hookTitle = args['hook-title'] === true ? true : undefined;
+  const str = (key) => (typeof args[key] === 'string' ? args[key] : undefined);
+  const encoding = {
+    encode: str('encode'),
+    crf: str('crf'),
+    encodeSpeed: str('encode-speed'),
+    videoBitrate: str('video-bitrate'),
+  };
+  const onProgress = createProgressRenderer();
+
+  try {
+    const outputs = await render(kitDir, {
+      orientation,
+      fit,
+      motion,
+      transition,
+      burnCaptions,
+      hookTitle,
+      ...encoding,
+      onProgress,
+    });
+    if (process.stderr.isTTY) process.stderr.write('\n');
+    for (const out of outputs) console.log(`Rendered: ${out}`);
+  } catch (err) {
+    console.error('viral render failed:', err?.message || err);
+    process.exit(1);
+  }
+}
+
 (async () => {
   const argv = process.argv.slice(2);
 
-  // Subcommand detection: default to usage unless either explicit "create"/"setup" or legacy flags.
+  // Subcommand detection: default to usage unless an explicit subcommand or legacy flags.
   const sub = argv[0] && !argv[0].startsWith('--') ? argv[0] : null;
 
   if (sub === 'setup') {
@@ -261,6 +585,20 @@ async function createCommand(argv, args) {
     return;
   }
 
+  if (sub === 'batch') {
+    const rest = argv.slice(1);
+    const args = parseArgs(rest);
+    await batchCommand(rest, args);
+    return;
+  }
+
+  if (sub === 'render') {
+    const rest = argv.slice(1);
+    const args = parseArgs(rest);
+    await renderCommand(rest, args);
+    return;
+  }
+
   // Legacy fallback: if user passes flags (e.g., --topic ...) without subcommand, treat as "create".
   if (argv.length && argv[0].startsWith('--')) {
     const args = parseArgs(argv);
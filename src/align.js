@@ -0,0 +1,190 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { spawn } from "node:child_process";
+
+// ---------- Caption alignment ----------
+// Produces per-sentence cues with per-word timestamps ({ start, end, text, words: [{ text, start, end }] }).
+// Modes:
+//   estimate   section-timed sentences, on the same timeline as the storyboard scenes (default)
+//   sentences  one TTS clip per sentence; exact sentence boundaries from the clip durations
+//   aligner    external forced aligner (ALIGNER_CMD) returning word timestamps for the full voiceover
+
+export const ALIGN_MODES = ["estimate", "sentences", "aligner"];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export function splitWords(text) {
+  return String(text || "")
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Spread a cue's duration over its words, weighted by word length
+export function estimateWords(cue) {
+  const words = splitWords(cue.text);
+  const weights = words.map((w) => w.length + 1);
+  const totalWeight = weights.reduce((a, b) => a + b, 0) || 1;
+  let t = cue.start;
+  return words.map((text, i) => {
+    const end = i === words.length - 1 ? cue.end : t + ((cue.end - cue.start) * weights[i]) / totalWeight;
+    const w = { text, start: round2(t), end: round2(end) };
+    t = end;
+    return w;
+  });
+}
+
+export function withEstimatedWords(cues) {
+  return cues.map((c) => (Array.isArray(c.words) && c.words.length ? c : { ...c, words: estimateWords(c) }));
+}
+
+// Cut cues and their words at maxSec (the video length): render trims a longer voiceover there,
+// so cues past it are dropped and the one running over is shortened
+export function capCues(cues, maxSec) {
+  const cut = (t) => Math.min(t, maxSec);
+  return cues
+    .filter((c) => c.start < maxSec)
+    .map((c) => ({
+      ...c,
+      end: cut(c.end),
+      ...(Array.isArray(c.words) && {
+        words: c.words.filter((w) => w.start < maxSec).map((w) => ({ ...w, end: cut(w.end) })),
+      }),
+    }));
+}
+
+// Sentence clips played back to back: each cue spans exactly its clip
+export function cuesFromClipDurations(sentences, durations) {
+  let t = 0;
+  return sentences.map((s, i) => {
+    const start = t;
+    t += durations[i] || 0;
+    return { ...s, start: round2(start), end: round2(t) };
+  });
+}
+
+const normWord = (w) => String(w || "").toLowerCase().replace(/[^\p{L}\p{N}']+/gu, "");
+
+// How far ahead in the aligner output a transcript word is looked for, and how many aligner
+// tokens may make up one transcript word ("twenty-five" -> "twenty", "five"; "don't" -> "do", "n't")
+const MATCH_LOOKAHEAD = 6;
+const MATCH_MERGE = 3;
+
+// Map aligner words (in transcript order) back onto sentences. Aligners tokenize differently
+// (numbers, hyphens, contractions), so each transcript word is matched to the next aligner
+// token(s) with the same letters; extra tokens are skipped, and words that match nothing or
+// that the aligner could not place (no start/end) are interpolated between their timed
+// neighbours. Returns null when fewer than half of the words match (the caller falls back to
+// estimated timing).
+export function cuesFromAlignedWords(sentences, aligned) {
+  const timed = aligned
+    .map((w) => ({ text: normWord(w.word ?? w.text), start: Number(w.start), end: Number(w.end) }))
+    .filter((w) => w.text);
+  const flat = sentences.flatMap((s, si) => splitWords(s.text).map((text) => ({ text, si })));
+
+  let next = 0;
+  let matched = 0;
+  const words = flat.map((w) => {
+    const target = normWord(w.text);
+    for (let k = next; target && k < Math.min(timed.length, next + MATCH_LOOKAHEAD); k++) {
+      let joined = "";
+      for (let m = k; m < Math.min(timed.length, k + MATCH_MERGE); m++) {
+        joined += timed[m].text;
+        if (joined === target) {
+          next = m + 1;
+          matched++;
+          const start = timed[k].start;
+          const end = timed[m].end;
+          return { ...w, start: Number.isFinite(start) ? start : null, end: Number.isFinite(end) ? end : null };
+        }
+        if (!target.startsWith(joined)) break;
+      }
+    }
+    return { ...w, start: null, end: null };
+  });
+  if (matched < flat.length / 2) return null;
+
+  for (let i = 0; i < words.length; i++) {
+    if (words[i].start !== null && words[i].end !== null) continue;
+    let prev = i - 1;
+    while (prev >= 0 && words[prev].end === null) prev--;
+    let next = i + 1;
+    while (next < words.length && words[next].start === null) next++;
+    const from = prev >= 0 ? words[prev].end : 0;
+    const to = next < words.length ? words[next].start : from;
+    const span = next - prev - 1;
+    words[i].start = from + ((to - from) * (i - prev - 1)) / span;
+    words[i].end = from + ((to - from) * (i - prev)) / span;
+  }
+
+  return sentences.map((s, si) => {
+    const own = words.filter((w) => w.si === si).map((w) => ({ text: w.text, start: round2(w.start), end: round2(w.end) }));
+    const start = own.length ? own[0].start : s.start;
+    const end = own.length ? own[own.length - 1].end : s.end;
+    return { ...s, start, end, words: own };
+  });
+}
+
+// ---------- ffprobe / ffmpeg ----------
+export async function probeDuration(file) {
+  return new Promise((resolve) => {
+    let out = "";
+    const p = spawn("ffprobe", ["-v", "error", "-show_entries", "format=duration", "-of", "default=nw=1:nk=1", file]);
+    p.stdout.on("data", (d) => (out += d));
+    p.on("error", () => resolve(null));
+    p.on("close", (code) => {
+      const sec = parseFloat(out.trim());
+      resolve(code === 0 && Number.isFinite(sec) ? sec : null);
+    });
+  });
+}
+
+export async function hasAudioStream(file) {
+  return new Promise((resolve) => {
+    let out = "";
+    const p = spawn("ffprobe", ["-v", "error", "-select_streams", "a", "-show_entries", "stream=index", "-of", "csv=p=0", file]);
+    p.stdout.on("data", (d) => (out += d));
+    p.on("error", () => resolve(false));
+    p.on("close", (code) => resolve(code === 0 && out.trim() !== ""));
+  });
+}
+
+// Single-quoted for sh and for the concat demuxer, which unquote alike: a ' becomes '\''
+const quote = (p) => `'${String(p).replace(/'/g, "'\\''")}'`;
+
+// Concat demuxer input listing the clips in order
+export function concatList(clips) {
+  return clips.map((c) => `file ${quote(path.resolve(c))}`).join("\n");
+}
+
+// Join sentence clips into one voiceover (re-encoded so clip boundaries stay sample-accurate)
+export async function concatAudio(clips, outMp3) {
+  const listPath = `${outMp3}.concat.txt`;
+  await fs.writeFile(listPath, concatList(clips), "utf8");
+  try {
+    await new Promise((resolve, reject) => {
+      const args = ["-nostdin", "-y", "-f", "concat", "-safe", "0", "-i", listPath, "-c:a", "libmp3lame", "-b:a", "192k", outMp3];
+      const p = spawn("ffmpeg", args, { stdio: "inherit" });
+      p.on("error", reject);
+      p.on("close", (code) => (code === 0 ? resolve() : reject(new Error("voiceover concat fail"))));
+    });
+  } finally {
+    await fs.rm(listPath, { force: true });
+  }
+}
+
+// Run ALIGNER_CMD with {audio}, {text} and {out} placeholders. The command must write JSON
+// with word timings to {out}: either [{ word, start, end }] or { words: [...] } (gentle format).
+export async function runAligner({ cmd, audio, textFile, out }) {
+  const line = cmd.replaceAll("{audio}", quote(audio)).replaceAll("{text}", quote(textFile)).replaceAll("{out}", quote(out));
+  await new Promise((resolve, reject) => {
+    const p = spawn(line, { shell: true, stdio: "inherit" });
+    p.on("error", reject);
+    p.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`aligner exited with code ${code}`))));
+  });
+  const json = JSON.parse(await fs.readFile(out, "utf8"));
+  const words = Array.isArray(json) ? json : json?.words;
+  if (!Array.isArray(words)) {
+    throw new Error("Aligner output must be a JSON array of words or an object with a \"words\" array.");
+  }
+  return words;
+}
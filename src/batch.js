@@ -0,0 +1,185 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import YAML from "yaml";
+import { IMAGE_STYLES } from "./project.js";
+import { formatUSD } from "./costs.js";
+
+// ---------- Batch files ----------
+// `viral batch <file>` makes one kit per row. CSV (with a header row), JSON or YAML (.yaml/.yml):
+// a list of rows, or { "topics": [...] }. A bare string is a row with just a topic.
+//
+//   topic        required             Video topic; also the kit folder name
+//   template     string               --template (explainer, listicle, story, news, product, ...)
+//   style        string               cartoon | realistic | ai-generated
+//   voice        string               male | female, or a voice name for the TTS provider
+//   profiles     string               --profiles; in CSV also "vertical;square" or "vertical square"
+//   music        string               --music (file, folder, mood or none)
+//   languages    string               --languages; in CSV also "en;es" or "en es"
+//   audience, tone, cta, disclaimer    Template overrides, as with `viral create`
+//
+// Empty cells fall back to the batch flags, then to config.
+
+export const BATCH_COLUMNS = [
+  "topic",
+  "template",
+  "style",
+  "voice",
+  "profiles",
+  "music",
+  "languages",
+  "audience",
+  "tone",
+  "cta",
+  "disclaimer",
+];
+
+// RFC 4180-style CSV: quoted fields may hold commas, newlines and "" for a quote
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  // Blank lines come out as a single empty field
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+}
+
+export function parseBatch(raw, file) {
+  const ext = path.extname(file).toLowerCase();
+  let data;
+  try {
+    if (ext === ".csv") {
+      const [header = [], ...lines] = parseCSV(raw);
+      const keys = header.map((h) => h.trim().toLowerCase());
+      return lines.map((cells) => Object.fromEntries(keys.map((k, i) => [k, (cells[i] ?? "").trim()])));
+    }
+    data = ext === ".yaml" || ext === ".yml" ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Could not parse batch file ${file}: ${e.message}`);
+  }
+  const list = Array.isArray(data) ? data : data?.topics;
+  if (!Array.isArray(list)) throw new Error(`Batch file ${file} must hold a list of topics (or { "topics": [...] }).`);
+  return list.map((row) => (typeof row === "string" ? { topic: row } : row));
+}
+
+// Every problem in the rows, as "row N.field: message" strings (N counts from 1)
+export function batchErrors(rows) {
+  const errors = [];
+  rows.forEach((row, i) => {
+    const at = `row ${i + 1}`;
+    if (!row || typeof row !== "object" || Array.isArray(row)) return errors.push(`${at}: expected an object`);
+    for (const key of Object.keys(row)) {
+      if (!BATCH_COLUMNS.includes(key)) errors.push(`${at}.${key}: unknown column (expected ${BATCH_COLUMNS.join(", ")})`);
+      else if (row[key] !== undefined && row[key] !== null && typeof row[key] !== "string") {
+        errors.push(`${at}.${key}: must be a string`);
+      }
+    }
+    if (typeof row.topic !== "string" || row.topic.trim() === "") errors.push(`${at}.topic: required non-empty string`);
+    if (row.style && !IMAGE_STYLES.includes(row.style)) {
+      errors.push(`${at}.style: must be one of: ${IMAGE_STYLES.join(", ")}`);
+    }
+  });
+  return errors;
+}
+
+export async function loadBatch(file) {
+  const raw = await fs.readFile(file, "utf8").catch(() => {
+    throw new Error(`Batch file not found: ${file}`);
+  });
+  const rows = parseBatch(raw, file);
+  if (rows.length === 0) throw new Error(`Batch file ${file} has no topics.`);
+  const errors = batchErrors(rows);
+  if (errors.length) {
+    throw new Error(`Invalid batch file ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return rows;
+}
+
+// run() options for one row; empty cells are left to the batch-wide options
+export function rowOptions(row) {
+  const opts = {};
+  const set = (key, value) => {
+    if (typeof value === "string" && value.trim() !== "") opts[key] = value.trim();
+  };
+  set("template", row.template);
+  set("style", row.style);
+  set("music", row.music);
+  set("audience", row.audience);
+  set("tone", row.tone);
+  set("cta", row.cta);
+  set("disclaimer", row.disclaimer);
+  for (const key of ["profiles", "languages"]) {
+    if (typeof row[key] === "string" && row[key].trim()) opts[key] = row[key].trim().split(/[\s,;]+/).join(",");
+  }
+  const voice = typeof row.voice === "string" ? row.voice.trim() : "";
+  if (voice === "male" || voice === "female") opts.gender = voice;
+  else if (voice) opts.voice = voice;
+  return opts;
+}
+
+// ---------- Batch report ----------
+// Fixed-width column with at least one space after it
+const pad = (s, n) => (s.length >= n ? `${s.slice(0, n - 2)}… ` : s.padEnd(n));
+
+function formatSec(sec) {
+  if (sec === null || sec === undefined) return "-";
+  const m = Math.floor(sec / 60);
+  const s = Math.round(sec % 60);
+  return m ? `${m}m${String(s).padStart(2, "0")}s` : `${s}s`;
+}
+
+// Plain-text table of a batch report, one line per row plus a totals line
+export function formatBatchTable(report) {
+  const header = [pad("#", 4), pad("status", 8), pad("topic", 36), pad("video", 7), pad("took", 8), pad("cost", 8)];
+  const lines = [`${header.join("")}output / error`];
+  for (const r of report.results) {
+    const detail = r.status === "ok" ? path.relative(process.cwd(), r.outDir) || "." : r.error.split("\n")[0];
+    const cols = [pad(String(r.row), 4), pad(r.status, 8), pad(r.topic, 36), pad(formatSec(r.videoSec), 7)];
+    cols.push(pad(formatSec(r.elapsedSec), 8), pad(formatUSD(r.costUsd), 8));
+    lines.push(`${cols.join("")}${detail}`);
+  }
+  const budget = report.maxCostUsd ? ` (budget ${formatUSD(report.maxCostUsd)})` : "";
+  const totals = `${report.succeeded} succeeded, ${report.failed} failed in ${formatSec(report.elapsedSec)}`;
+  lines.push(`${totals}, ${formatUSD(report.costUsd || 0)} spent${budget}`);
+  return lines.join("\n");
+}
+
+// Plain-text table of `viral batch --estimate`
+export function formatBatchEstimate(result) {
+  const lines = [`${pad("#", 4)}${pad("topic", 36)}estimate`];
+  for (const r of result.results) lines.push(`${pad(String(r.row), 4)}${pad(r.topic, 36)}${formatUSD(r.estimateUsd)}`);
+  lines.push(`${result.total} videos, ${formatUSD(result.estimateUsd)} estimated`);
+  const unpriced = [...new Set(result.results.flatMap((r) => r.unpriced))];
+  if (unpriced.length) lines.push(`No price for ${unpriced.join(", ")} (counted as $0; see PRICES)`);
+  return lines.join("\n");
+}
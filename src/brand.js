@@ -0,0 +1,281 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { balanceLines } from "./captions.js";
+
+// ---------- Brand kit ----------
+// The BRAND block in config.json puts a brand on every video:
+//   logo           PNG watermark, logoWidth wide (share of the frame width) at logoOpacity in a
+//                  corner (logoPosition: top-left, top-right, bottom-left, bottom-right)
+//   intro          a video clip played before the video, or "title" for a generated title card
+//                  showing the script title for introSec
+//   outro          a clip played after it, or "cta" for a generated end card with the CTA text
+//   cta            end-screen text shown over the last ctaSec; a string, or one per language
+//                  ({ "en": "Follow for more", "es": "Síguenos" })
+//   font           drawtext font: a family name or a .ttf/.otf file (default: the caption font)
+//   textColor, accentColor, backgroundColor   "#RRGGBB" or "#RRGGBBAA"
+// HOOK_TITLE (--hook-title) also shows the hook in large type for the first hookSec.
+//
+// The kit keeps copies of the logo and clips in <profile>/brand/ so `viral render` works
+// without the originals; the texts per language are in <profile>/overlays[.<lang>].json.
+
+export const LOGO_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right"];
+export const CLIP_EXTS = [".mp4", ".mov", ".m4v", ".webm", ".mkv"];
+
+export const DEFAULT_BRAND = {
+  logo: "",
+  logoPosition: "top-right",
+  logoWidth: 0.18,
+  logoOpacity: 0.85,
+  margin: 48,
+  font: "",
+  textColor: "#FFFFFF",
+  accentColor: "#FFD400",
+  backgroundColor: "#111111",
+  intro: "",
+  introSec: 2,
+  outro: "",
+  outroSec: 3,
+  cta: "",
+  ctaSec: 3,
+  hookSec: 3,
+};
+
+const LIMITS = {
+  logoWidth: [0.02, 1],
+  logoOpacity: [0, 1],
+  margin: [0, 400],
+  introSec: [0.5, 15],
+  outroSec: [0.5, 15],
+  ctaSec: [0.5, 15],
+  hookSec: [0.5, 15],
+};
+
+// Type sizes in px for the 1080-wide short side, scaled like the captions
+const HOOK_SIZE = 88;
+const TITLE_SIZE = 96;
+const CTA_SIZE = 72;
+const LINE_HEIGHT = 1.25;
+const CHAR_WIDTH = 0.6;
+
+const isColor = (v) => typeof v === "string" && /^#?[0-9a-f]{6}([0-9a-f]{2})?$/i.test(v);
+
+// Defaults plus config overrides, checked the way MUSIC_MIX is
+export function brandKit(overrides = {}) {
+  const user = overrides && typeof overrides === "object" && !Array.isArray(overrides) ? overrides : {};
+  const brand = { ...DEFAULT_BRAND, ...user };
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const v = brand[key];
+    if (typeof v !== "number" || !Number.isFinite(v) || v < min || v > max) {
+      throw new Error(`BRAND.${key} must be a number from ${min} to ${max} (got ${JSON.stringify(v)}).`);
+    }
+  }
+  if (!LOGO_POSITIONS.includes(brand.logoPosition)) {
+    throw new Error(
+      `BRAND.logoPosition must be one of: ${LOGO_POSITIONS.join(", ")} (got ${JSON.stringify(brand.logoPosition)}).`
+    );
+  }
+  for (const key of ["textColor", "accentColor", "backgroundColor"]) {
+    if (!isColor(brand[key])) {
+      throw new Error(`BRAND.${key} must be a colour such as "#FFD400" (got ${JSON.stringify(brand[key])}).`);
+    }
+  }
+  for (const key of ["logo", "intro", "outro", "font"]) {
+    if (typeof brand[key] !== "string") throw new Error(`BRAND.${key} must be a string.`);
+  }
+  const cta = brand.cta;
+  const perLanguage = cta && typeof cta === "object" && !Array.isArray(cta);
+  if (typeof cta !== "string" && !(perLanguage && Object.values(cta).every((t) => typeof t === "string"))) {
+    throw new Error('BRAND.cta must be a string or an object of strings per language ({ "en": "...", "es": "..." }).');
+  }
+  return brand;
+}
+
+// CTA text for one language (null: a single-language kit); a per-language object falls back to
+// its first entry
+export function brandCta(brand, lang) {
+  const cta = brand.cta;
+  if (typeof cta === "string") return cta.trim();
+  const text = (lang && (cta[lang] ?? cta[lang.split("-")[0]])) ?? Object.values(cta)[0] ?? "";
+  return text.trim();
+}
+
+// ---------- Kit files ----------
+// Copies the logo and clips into <profile>/brand/ (logo.<ext>, intro.<ext>, outro.<ext>),
+// replacing what an earlier run put there
+export async function copyBrandFiles(dir, brand) {
+  const brandDir = path.join(dir, "brand");
+  await fs.rm(brandDir, { recursive: true, force: true });
+  const files = [
+    ["logo", brand.logo],
+    ["intro", brand.intro === "title" ? "" : brand.intro],
+    ["outro", brand.outro === "cta" ? "" : brand.outro],
+  ].filter(([, file]) => file);
+  if (files.length === 0) return;
+  await fs.mkdir(brandDir, { recursive: true });
+  for (const [name, file] of files) {
+    await fs.copyFile(file, path.join(brandDir, `${name}${path.extname(file).toLowerCase()}`));
+  }
+}
+
+// Checks that the configured files exist before any paid call; returns the kit with absolute paths
+export async function resolveBrandFiles(brand) {
+  const resolved = { ...brand };
+  for (const key of ["logo", "intro", "outro"]) {
+    const value = brand[key];
+    if (!value || (key === "intro" && value === "title") || (key === "outro" && value === "cta")) continue;
+    const file = path.resolve(value);
+    const stat = await fs.stat(file).catch(() => null);
+    if (!stat?.isFile()) throw new Error(`BRAND.${key}: file not found: ${file}`);
+    if (key === "logo" && path.extname(file).toLowerCase() !== ".png")
+      throw new Error(`BRAND.logo must be a PNG file: ${file}`);
+    if (key !== "logo" && !CLIP_EXTS.includes(path.extname(file).toLowerCase())) {
+      throw new Error(
+        `BRAND.${key} must be a video clip (${CLIP_EXTS.join(", ")}), or "${key === "intro" ? "title" : "cta"}": ${file}`
+      );
+    }
+    resolved[key] = file;
+  }
+  return resolved;
+}
+
+// brand/<name>.<ext> in a profile folder, or null
+export async function findBrandFile(dir, name) {
+  const files = await fs.readdir(path.join(dir, "brand")).catch(() => []);
+  const file = files.sort().find((f) => path.parse(f).name === name);
+  return file ? path.join(dir, "brand", file) : null;
+}
+
+// ---------- Filters ----------
+// "#RRGGBB[AA]" -> ffmpeg's 0xRRGGBB[@alpha]
+export function ffColor(value) {
+  const hex = value.replace(/^#/, "").toUpperCase();
+  if (hex.length === 6) return `0x${hex}`;
+  return `0x${hex.slice(0, 6)}@${Math.round((parseInt(hex.slice(6), 16) / 255) * 100) / 100}`;
+}
+
+// A drawtext option value inside a filter graph: escaped once for the option parser and once
+// for the graph parser (see "Notes on filtergraph escaping" in the ffmpeg docs)
+export function drawtextValue(text) {
+  const option = String(text).replace(/[\\':]/g, (c) => `\\${c}`);
+  return option.replace(/[\\'[\],;]/g, (c) => `\\${c}`);
+}
+
+const fontOption = (font) =>
+  /\.(ttf|otf|ttc)$/i.test(font) ? `fontfile=${drawtextValue(path.resolve(font))}` : `font=${drawtextValue(font)}`;
+
+// One centred drawtext per wrapped line (older ffmpeg builds cannot centre multi-line text),
+// the block centred on centerY. `style` holds extra drawtext options such as a box or `enable`.
+export function textFilters({ text, width, height, size, font, color, centerY, style = "" }) {
+  const perLine = Math.max(1, Math.floor((width * 0.84) / (size * CHAR_WIDTH)));
+  const lines = balanceLines(text, perLine);
+  const lineHeight = Math.round(size * LINE_HEIGHT);
+  const top = Math.round(
+    Math.min(Math.max(0, centerY - (lines.length * lineHeight) / 2), height - lines.length * lineHeight)
+  );
+  return lines.map((line, i) =>
+    [
+      `drawtext=${fontOption(font)}`,
+      `text=${drawtextValue(line)}`,
+      "expansion=none",
+      `fontsize=${size}`,
+      `fontcolor=${color}`,
+      "x=(w-text_w)/2",
+      `y=${top + i * lineHeight}`,
+      ...(style ? [style] : []),
+    ].join(":")
+  );
+}
+
+// Filter chain from [input] with the logo (input `logo`), the hook title and the end-screen CTA.
+// It has no output label, so the caller can append more filters (captions) and label it; `prefix`
+// goes on its own labels. Returns null when there is nothing to draw.
+export function overlayFilter({
+  width,
+  height,
+  videoSec,
+  brand,
+  font,
+  texts = {},
+  hookTitle = false,
+  logo = null,
+  input = "0:v",
+  prefix = "",
+}) {
+  const k = Math.min(width, height) / 1080;
+  const px = (n) => Math.round(n * k);
+  const steps = [];
+  let head = `[${input}]`;
+  if (logo !== null) {
+    const m = px(brand.margin);
+    const x = brand.logoPosition.endsWith("left") ? m : `main_w-overlay_w-${m}`;
+    const y = brand.logoPosition.startsWith("top") ? m : `main_h-overlay_h-${m}`;
+    const logoWidth = Math.round((width * brand.logoWidth) / 2) * 2;
+    const label = `[${prefix}logo]`;
+    head = `[${logo}:v]scale=${logoWidth}:-1,format=rgba,colorchannelmixer=aa=${brand.logoOpacity}${label};[${input}]${label}`;
+    steps.push(`overlay=x=${x}:y=${y}`);
+  }
+  if (hookTitle && texts.hook) {
+    const sec = Math.min(brand.hookSec, videoSec);
+    const shadow = `borderw=${px(6)}:bordercolor=0x000000@0.6`;
+    steps.push(
+      ...textFilters({
+        text: texts.hook,
+        width,
+        height,
+        size: px(HOOK_SIZE),
+        font,
+        color: ffColor(brand.textColor),
+        centerY: Math.round(height * 0.25),
+        style: `${shadow}:enable=lt(t\\,${sec})`,
+      })
+    );
+  }
+  if (texts.cta) {
+    const from = Math.round(Math.max(0, videoSec - brand.ctaSec) * 1000) / 1000;
+    steps.push(
+      ...textFilters({
+        text: texts.cta,
+        width,
+        height,
+        size: px(CTA_SIZE),
+        font,
+        color: ffColor(brand.backgroundColor),
+        centerY: Math.round(height * 0.45),
+        style: `box=1:boxcolor=${ffColor(brand.accentColor)}:boxborderw=${px(20)}:enable=gte(t\\,${from})`,
+      })
+    );
+  }
+  return steps.length ? `${head}${steps.join(",")}` : null;
+}
+
+// Video of a generated card: the colour source (input `input`) with the text on it
+export function cardFilter({ text, width, height, brand, font, kind = "title" }) {
+  const k = Math.min(width, height) / 1080;
+  const size = Math.round((kind === "title" ? TITLE_SIZE : CTA_SIZE) * k);
+  const color = ffColor(kind === "title" ? brand.textColor : brand.accentColor);
+  const lines = text ? textFilters({ text, width, height, size, font, color, centerY: Math.round(height / 2) }) : [];
+  return lines.length ? lines.join(",") : "null";
+}
+
+// Inputs for a generated card: a solid background and silence, `sec` long
+export function cardInputs({ width, height, fps, sec, brand }) {
+  const color = ffColor(brand.backgroundColor).replace(/@.*$/, "");
+  return [
+    ["-f", "lavfi", "-i", `color=c=${color}:s=${width}x${height}:r=${fps}:d=${sec}`],
+    ["-f", "lavfi", "-t", String(sec), "-i", "anullsrc=r=48000:cl=stereo"],
+  ];
+}
+
+// Joins intro, video and outro into [video][audio] (with `prefix` on every label). Each part is
+// { video, audio, filter } with input labels ("0:v", "1:a") and optional extra video filters (a
+// card's text). Clips are fitted into the frame (letterboxed) at the profile's fps.
+export function joinFilter(parts, { width, height, fps, prefix = "" }) {
+  const fit = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`;
+  const audio = "aresample=48000,aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo";
+  const chains = parts.flatMap((p, i) => [
+    `[${p.video}]${fit},setsar=1,fps=${fps}${p.filter && p.filter !== "null" ? `,${p.filter}` : ""},format=yuv420p[${prefix}v${i}]`,
+    `[${p.audio}]${audio}[${prefix}a${i}]`,
+  ]);
+  const pads = parts.map((_, i) => `[${prefix}v${i}][${prefix}a${i}]`).join("");
+  return `${chains.join(";")};${pads}concat=n=${parts.length}:v=1:a=1[${prefix}video][${prefix}audio]`;
+}
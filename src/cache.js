@@ -0,0 +1,69 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+
+// Per-kit asset manifest (build/<slug>/manifest.json).
+// Every paid asset (script, voiceover, scene images) is recorded with a hash of the
+// request that produced it. On a later run the asset is reused when the file still
+// exists and the request hash matches, so a failed or tweaked run only pays for
+// what actually changed.
+
+const MANIFEST_FILE = "manifest.json";
+const MANIFEST_VERSION = 1;
+
+// Stable JSON (sorted keys) so hashes don't depend on property order
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value)
+      .filter((k) => value[k] !== undefined)
+      .sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function assetKey(request) {
+  return createHash("sha256").update(stableStringify(request)).digest("hex");
+}
+
+async function readManifest(file) {
+  try {
+    const json = JSON.parse(await fs.readFile(file, "utf8"));
+    if (json && json.version === MANIFEST_VERSION && json.assets && typeof json.assets === "object") {
+      return json;
+    }
+  } catch {}
+  return { version: MANIFEST_VERSION, assets: {} };
+}
+
+// enabled=false (e.g. --force) ignores existing entries but still records new ones,
+// so the next run can resume from the regenerated assets.
+export async function openAssetCache(outDir, { enabled = true } = {}) {
+  const file = path.join(outDir, MANIFEST_FILE);
+  const manifest = enabled ? await readManifest(file) : { version: MANIFEST_VERSION, assets: {} };
+  let writing = Promise.resolve();
+
+  const flush = () => {
+    const body = JSON.stringify(manifest, null, 2);
+    writing = writing.then(() => fs.writeFile(file, body, "utf8"));
+    return writing;
+  };
+
+  return {
+    file,
+
+    // Returns true when relPath exists on disk and was produced by the same request
+    async has(relPath, key) {
+      const entry = manifest.assets[relPath];
+      if (!entry || entry.key !== key) return false;
+      const stat = await fs.stat(path.join(outDir, relPath)).catch(() => null);
+      return !!stat && stat.isFile() && stat.size > 0;
+    },
+
+    async record(relPath, key) {
+      manifest.assets[relPath] = { key, createdAt: new Date().toISOString() };
+      await flush();
+    },
+  };
+}
@@ -0,0 +1,355 @@
+import { estimateWords } from "./align.js";
+
+// ---------- Captions ----------
+// Reference frame: sizes and margins in BASE_STYLE / config.json are authored for 1080x1920
+// and scaled to the orientation being written (see layoutFor).
+const WIDTH = 1080;
+const HEIGHT = 1920;
+
+// Presets: classic (whole sentence), karaoke (\k word fill), pop (one word at a time with a
+// scale-in pop and highlight colour), boxed (whole sentence on an opaque background box).
+export const CAPTION_PRESETS = ["classic", "karaoke", "pop", "boxed"];
+
+// Style defaults; any of these can be overridden through the CAPTIONS block in config.json.
+// Colours accept "#RRGGBB", "#RRGGBBAA" (AA = opacity) or raw ASS "&HAABBGGRR".
+const BASE_STYLE = {
+  font: "Montserrat SemiBold",
+  size: 64,
+  primaryColor: "&H00FFFFFF",
+  highlightColor: "#FFD400",
+  outlineColor: "&H96000000",
+  backColor: "&H64000000",
+  bold: true,
+  outline: 6,
+  shadow: 0,
+  position: "bottom",
+  marginV: 120,
+  // Line breaking (see layoutCues): at most maxLines lines of at most maxChars characters, fewer
+  // when the font is too large for the frame; charWidth is the average glyph width / font size
+  maxLines: 2,
+  maxChars: 42,
+  charWidth: 0.6,
+};
+
+const PRESET_STYLES = {
+  classic: {},
+  karaoke: {},
+  pop: { size: 96, position: "middle", marginV: 0 },
+  boxed: { backColor: "#000000B3", outline: 18, outlineColor: "#000000B3" },
+};
+
+const ALIGNMENT = { bottom: 2, middle: 5, top: 8 };
+const MARGIN_LR = 80;
+
+// Safe areas (SAFE_AREA, --safe-area): the parts of a 1080x1920 frame each app covers with its
+// own UI (the description and progress bar at the bottom, the like/comment/share buttons on the
+// right, the header at the top). Captions are kept inside the rest. They only apply to portrait
+// profiles; landscape and square frames use the plain margins.
+const SAFE_AREAS = {
+  none: { top: 0, bottom: 0, left: 0, right: 0 },
+  tiktok: { top: 160, bottom: 420, left: 60, right: 150 },
+  reels: { top: 250, bottom: 480, left: 60, right: 140 },
+  shorts: { top: 150, bottom: 480, left: 60, right: 190 },
+};
+export const SAFE_AREA_NAMES = Object.keys(SAFE_AREAS);
+
+export function parseSafeArea(value) {
+  const name = String(value ?? "").trim().toLowerCase() || "none";
+  if (!SAFE_AREAS[name]) throw new Error(`Unknown safe area "${value}". Expected one of: ${SAFE_AREA_NAMES.join(", ")}`);
+  return name;
+}
+
+// Font size and outline follow the short side so text keeps the same weight relative to the
+// frame; side margins follow the width and the vertical margin follows the height. perLine is
+// how many characters fit between the side margins, capped at style.maxChars.
+export function layoutFor(style, width = WIDTH, height = HEIGHT, safeArea = "none") {
+  const k = Math.min(width, height) / Math.min(WIDTH, HEIGHT);
+  const inset = height > width ? SAFE_AREAS[parseSafeArea(safeArea)] : SAFE_AREAS.none;
+  const x = (px) => Math.round((px * width) / WIDTH);
+  const y = (px) => Math.round((px * height) / HEIGHT);
+  const size = Math.round((Number(style.size) || BASE_STYLE.size) * k);
+  const marginL = Math.max(x(MARGIN_LR), x(inset.left));
+  const marginR = Math.max(x(MARGIN_LR), x(inset.right));
+  const edge = style.position === "top" ? inset.top : style.position === "middle" ? 0 : inset.bottom;
+  const perLine = Math.floor((width - marginL - marginR) / (size * (Number(style.charWidth) || BASE_STYLE.charWidth)));
+  return {
+    size,
+    outline: Math.round((Number(style.outline) || 0) * k),
+    shadow: Math.round((Number(style.shadow) || 0) * k),
+    marginL,
+    marginR,
+    marginV: Math.max(y(Number(style.marginV) || 0), y(edge)),
+    perLine: Math.max(1, Math.min(perLine, Number(style.maxChars) || Infinity)),
+    maxLines: Math.max(1, Math.floor(Number(style.maxLines) || BASE_STYLE.maxLines)),
+  };
+}
+
+export function assColor(value, fallback = "&H00FFFFFF") {
+  if (typeof value !== "string" || !value) return fallback;
+  if (/^&H[0-9A-F]{6,8}&?$/i.test(value)) return value.replace(/&$/, "").toUpperCase();
+  const m = value.match(/^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})?$/i);
+  if (!m) return fallback;
+  const [, r, g, b, a] = m;
+  const alpha = a ? 255 - parseInt(a, 16) : 0;
+  const hex = (n) => n.toString(16).padStart(2, "0");
+  return `&H${hex(alpha)}${b}${g}${r}`.toUpperCase();
+}
+
+// Resolve preset + user overrides into a concrete style
+export function captionStyle(preset = "classic", overrides = {}) {
+  if (!CAPTION_PRESETS.includes(preset)) {
+    throw new Error(`Unknown caption preset "${preset}". Expected one of: ${CAPTION_PRESETS.join(", ")}`);
+  }
+  const user = overrides && typeof overrides === "object" ? overrides : {};
+  return { ...BASE_STYLE, ...PRESET_STYLES[preset], ...user, preset };
+}
+
+export function splitForCaptions(text, totalSec) {
+  const parts = text.replace(/\n+/g, " ").split(/(?<=[.!?])\s+/).filter(Boolean);
+  const each = Math.max(2, Math.floor(totalSec / Math.max(1, parts.length)));
+  const spans = [];
+  let t = 0;
+  for (let i = 0; i < parts.length; i++) {
+    const start = t;
+    const end = i === parts.length - 1 ? totalSec : Math.min(totalSec, t + each);
+    spans.push({ start, end, text: parts[i] });
+    t = end;
+  }
+  if (spans.length === 0) spans.push({ start: 0, end: totalSec, text });
+  return spans;
+}
+
+function fmt(s) {
+  const hh = String(Math.floor(s / 3600)).padStart(2, "0");
+  const mm = String(Math.floor((s % 3600) / 60)).padStart(2, "0");
+  const ss = (s % 60).toFixed(2).padStart(5, "0");
+  return `${hh}:${mm}:${ss}`;
+}
+
+const escapeText = (t) => String(t).replace(/[{}]/g, "").replace(/\n/g, "\\N");
+
+function styleLine(style, layout) {
+  const primary = assColor(style.primaryColor);
+  // Karaoke fills from SecondaryColour to PrimaryColour as each word is spoken
+  const [first, second] =
+    style.preset === "karaoke" ? [assColor(style.highlightColor), primary] : [primary, "&H00000000"];
+  const borderStyle = style.preset === "boxed" ? 3 : 1;
+  const alignment = ALIGNMENT[style.position] || ALIGNMENT.bottom;
+  return [
+    "Style: Caption",
+    style.font,
+    layout.size,
+    first,
+    second,
+    assColor(style.outlineColor, BASE_STYLE.outlineColor),
+    assColor(style.backColor, BASE_STYLE.backColor),
+    style.bold ? -1 : 0,
+    "0,0,0,100,100,0,0",
+    borderStyle,
+    layout.outline,
+    layout.shadow,
+    alignment,
+    layout.marginL,
+    layout.marginR,
+    layout.marginV,
+    0,
+  ].join(",");
+}
+
+const wordsOf = (c) => (Array.isArray(c.words) && c.words.length ? c.words : estimateWords(c));
+
+// {\kNN} tags in centiseconds; cumulative rounding keeps the last word ending on the cue end.
+// Line breaks from layoutCues are kept when the words match the lines of the text.
+function karaokeText(c) {
+  const words = wordsOf(c);
+  const cs = (t) => Math.round((t - c.start) * 100);
+  const lineStarts = new Set();
+  let n = 0;
+  for (const line of String(c.text).split("\n")) {
+    if (n > 0) lineStarts.add(n);
+    n += line.split(/\s+/).filter(Boolean).length;
+  }
+  if (n !== words.length) lineStarts.clear();
+  let cursor = 0;
+  let text = "";
+  words.forEach((w, i) => {
+    const gap = cs(w.start) - cursor;
+    const end = Math.max(cs(w.end), cs(w.start));
+    const parts = [`{\\k${end - Math.max(cursor, cs(w.start))}}${escapeText(w.text)}`];
+    if (gap > 0) parts.unshift(`{\\k${gap}}`);
+    text += (i === 0 ? "" : lineStarts.has(i) ? "\\N" : " ") + parts.join(" ");
+    cursor = Math.max(cursor, end);
+  });
+  return text;
+}
+
+// One event per word, held until the next word starts, popping in from 70% scale
+function popLines(c, style) {
+  const words = wordsOf(c);
+  // \c takes BGR only; the alpha byte belongs to \1a
+  const color = `&H${assColor(style.highlightColor).slice(4)}`;
+  return words.map((w, i) => {
+    const end = i === words.length - 1 ? c.end : Math.max(w.start, words[i + 1].start);
+    const text = `{\\c${color}&\\fscx70\\fscy70\\t(0,120,\\fscx100\\fscy100)}${escapeText(w.text)}`;
+    return `Dialogue: 0,${fmt(w.start)},${fmt(end)},Caption,,0,0,0,,${text}`;
+  });
+}
+
+export function toAss(cues, opts = {}) {
+  const style = captionStyle(opts.CAPTION_PRESET || "classic", opts.CAPTIONS);
+  const width = opts.WIDTH || WIDTH;
+  const height = opts.HEIGHT || HEIGHT;
+  const layout = layoutFor(style, width, height, opts.SAFE_AREA);
+  const header = `
+[Script Info]
+Title=Captions
+ScriptType=v4.00+
+PlayResX=${width}
+PlayResY=${height}
+ScaledBorderAndShadow=yes
+
+[V4+ Styles]
+Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
+${styleLine(style, layout)}
+
+[Events]
+Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
+`.trim();
+
+  const lines = cues.flatMap((c) => {
+    if (style.preset === "pop") return popLines(c, style);
+    const text = style.preset === "karaoke" ? karaokeText(c) : escapeText(c.text);
+    return [`Dialogue: 0,${fmt(c.start)},${fmt(c.end)},Caption,,0,0,0,,${text}`];
+  });
+  return `${header}\n${lines.join("\n")}\n`;
+}
+
+// ---------- Line breaking ----------
+// Cues come from whole sentences, which can be far too long for the frame (translations more
+// so). layoutCues wraps each cue into at most maxLines lines of at most perLine characters
+// (layoutFor: the font size, the profile width and the safe area), balanced so the lines are
+// about as long as each other. A cue that needs more lines is split across time into
+// near-equal parts, each timed by its own words. Lines are joined with "\n" in the cue text.
+
+// Greedy wrap: as many words per line as fit; a word longer than a line gets its own line
+function wrapWords(words, perLine) {
+  const lines = [];
+  let line = [];
+  let used = 0;
+  for (const w of words) {
+    const size = w.length + (line.length ? 1 : 0);
+    if (line.length && used + size > perLine) {
+      lines.push(line);
+      line = [];
+      used = 0;
+    }
+    used += w.length + (line.length ? 1 : 0);
+    line.push(w);
+  }
+  if (line.length) lines.push(line);
+  return lines;
+}
+
+// Words in the fewest lines, as evenly long as possible: the narrowest width that still
+// needs no more lines than the greedy wrap at perLine
+export function balanceLines(text, perLine) {
+  const words = String(text).split(/\s+/).filter(Boolean);
+  const count = wrapWords(words, perLine).length;
+  let width = perLine;
+  const longest = Math.max(0, ...words.map((w) => w.length));
+  const total = words.reduce((a, w) => a + w.length + 1, -1);
+  for (let w = Math.max(longest, Math.ceil(total / count)); w < perLine; w++) {
+    if (wrapWords(words, w).length <= count) {
+      width = w;
+      break;
+    }
+  }
+  return wrapWords(words, width).map((line) => line.join(" "));
+}
+
+// Near-equal groups of consecutive words by length, `parts` of them
+function splitEvenly(words, parts) {
+  const total = words.reduce((a, w) => a + w.text.length + 1, 0);
+  const groups = [[]];
+  let used = 0;
+  for (const w of words) {
+    const size = w.text.length + 1;
+    if (groups.at(-1).length && groups.length < parts && used + size / 2 > (total / parts) * groups.length) groups.push([]);
+    groups.at(-1).push(w);
+    used += size;
+  }
+  return groups;
+}
+
+export function layoutCues(cues, opts = {}) {
+  const style = captionStyle(opts.CAPTION_PRESET || "classic", opts.CAPTIONS);
+  const { perLine, maxLines } = layoutFor(style, opts.WIDTH || WIDTH, opts.HEIGHT || HEIGHT, opts.SAFE_AREA);
+  const fits = (words) => wrapWords(words.map((w) => w.text), perLine).length <= maxLines;
+  return cues.flatMap((c) => {
+    const words = wordsOf(c);
+    if (words.length === 0) return [c];
+    let groups = [words];
+    // Fewest parts whose near-equal split fits; one line group per part as the last resort
+    const needed = Math.ceil(wrapWords(words.map((w) => w.text), perLine).length / maxLines);
+    for (let parts = needed; parts <= needed + 2 && !groups.every(fits); parts++) groups = splitEvenly(words, parts);
+    if (!groups.every(fits)) {
+      const lines = wrapWords(words.map((w) => w.text), perLine);
+      groups = [];
+      let i = 0;
+      for (let l = 0; l < lines.length; l += maxLines) {
+        const n = lines.slice(l, l + maxLines).reduce((a, line) => a + line.length, 0);
+        groups.push(words.slice(i, i + n));
+        i += n;
+      }
+    }
+    return groups.map((group, i) => ({
+      ...c,
+      start: i === 0 ? c.start : group[0].start,
+      end: i === groups.length - 1 ? c.end : groups[i + 1][0].start,
+      text: balanceLines(group.map((w) => w.text).join(" "), perLine).join("\n"),
+      words: group,
+    }));
+  });
+}
+
+// ---------- Sidecar formats ----------
+// The same cues as captions.ass, for platforms that take subtitle files (YouTube, LinkedIn, a
+// CMS) or want them as a soft track (--no-burn-captions). Styling is left to the player.
+
+// HH:MM:SS<sep>mmm, rounded to whole milliseconds
+function stamp(sec, sep) {
+  const ms = Math.max(0, Math.round(sec * 1000));
+  const hh = String(Math.floor(ms / 3600000)).padStart(2, "0");
+  const mm = String(Math.floor((ms % 3600000) / 60000)).padStart(2, "0");
+  const ss = String(Math.floor((ms % 60000) / 1000)).padStart(2, "0");
+  return `${hh}:${mm}:${ss}${sep}${String(ms % 1000).padStart(3, "0")}`;
+}
+
+// Blank lines end a cue in both formats, so a cue's text keeps single line breaks only
+const cueText = (t) => String(t).replace(/\r/g, "").replace(/\n{2,}/g, "\n").trim();
+
+export function toSrt(cues) {
+  return cues
+    .map((c, i) => `${i + 1}\n${stamp(c.start, ",")} --> ${stamp(c.end, ",")}\n${cueText(c.text)}\n`)
+    .join("\n");
+}
+
+export function toVtt(cues) {
+  const escape = (t) => t.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  const body = cues.map((c) => `${stamp(c.start, ".")} --> ${stamp(c.end, ".")}\n${escape(cueText(c.text))}\n`);
+  return ["WEBVTT\n", ...body].join("\n");
+}
+
+// captions.json: every cue with its word timings (estimated when the aligner gave none), in seconds
+export function toCaptionJSON(cues) {
+  const sec = (t) => Math.round(t * 1000) / 1000;
+  return {
+    version: 1,
+    cues: cues.map((c) => ({
+      start: sec(c.start),
+      end: sec(c.end),
+      text: cueText(c.text),
+      words: wordsOf(c).map((w) => ({ text: w.text, start: sec(w.start), end: sec(w.end) })),
+    })),
+  };
+}
@@ -0,0 +1,251 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// ---------- Prices ----------
+// List prices in USD, used for --estimate, usage.json and --max-cost. Override or extend them in
+// config.json "PRICES" (same shape; merged per model). Models without a price count as $0 and are
+// listed as unpriced, which is right for local models and offline providers.
+//
+//   text    per 1M tokens: { input, output }
+//   images  per image: { quality: { size: usd } }
+//   tts     per 1M characters synthesized
+export const DEFAULT_PRICES = {
+  text: {
+    "gpt-5": { input: 1.25, output: 10 },
+    "gpt-5-mini": { input: 0.25, output: 2 },
+    "gpt-4.1": { input: 2, output: 8 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "claude-sonnet-4-5": { input: 3, output: 15 },
+    "claude-haiku-4-5": { input: 1, output: 5 },
+    "claude-opus-4-1": { input: 15, output: 75 },
+  },
+  images: {
+    "gpt-image-1": {
+      low: { "1024x1024": 0.011, "1024x1536": 0.016, "1536x1024": 0.016 },
+      medium: { "1024x1024": 0.042, "1024x1536": 0.063, "1536x1024": 0.063 },
+      high: { "1024x1024": 0.167, "1024x1536": 0.25, "1536x1024": 0.25 },
+    },
+  },
+  tts: {
+    // ~$0.015 per minute of speech
+    "gpt-4o-mini-tts": 15,
+    "tts-1": 15,
+    "tts-1-hd": 30,
+    // ElevenLabs credits at the Creator plan rate; set your own plan's rate in PRICES
+    eleven_multilingual_v2: 220,
+    eleven_v3: 220,
+    eleven_flash_v2_5: 110,
+    eleven_turbo_v2_5: 110,
+  },
+};
+
+// Rough size of a script reply: ~6 characters per spoken word plus JSON, prompts and labels,
+// at ~4 characters per token. Reasoning tokens are not included.
+const CHARS_PER_TOKEN = 4;
+const CHARS_PER_WORD = 6;
+const CHARS_PER_IMAGE_PROMPT = 200;
+const REPLY_OVERHEAD_CHARS = 400;
+
+export function resolvePrices(overrides) {
+  const prices = structuredClone(DEFAULT_PRICES);
+  if (!overrides || typeof overrides !== "object") return prices;
+  for (const kind of Object.keys(prices)) {
+    const models = overrides[kind];
+    if (models && typeof models === "object") Object.assign(prices[kind], models);
+  }
+  return prices;
+}
+
+// USD for one usage item, or null when the model has no price
+export function itemCost(prices, item) {
+  if (item.kind === "text") {
+    const p = prices.text[item.model];
+    return p ? ((item.inputTokens || 0) * p.input + (item.outputTokens || 0) * p.output) / 1e6 : null;
+  }
+  if (item.kind === "image") {
+    const usd = prices.images[item.model]?.[item.quality]?.[item.size];
+    return typeof usd === "number" ? usd * (item.count || 1) : null;
+  }
+  if (item.kind === "tts") {
+    const p = prices.tts[item.model];
+    return typeof p === "number" ? ((item.characters || 0) * p) / 1e6 : null;
+  }
+  return null;
+}
+
+export function formatUSD(usd) {
+  if (usd === null || usd === undefined) return "-";
+  return `$${usd.toFixed(usd > 0 && usd < 0.1 ? 3 : 2)}`;
+}
+
+// ---------- Estimate ----------
+// Projected cost of a run, before any call is made. Every part is optional (free providers are
+// left out by the caller):
+//   text    { model, promptChars, words, scenes }   one script attempt (repairs cost more)
+//   translation  { model, promptChars, characters or words, languages }   one attempt per extra language
+//   tts     { model, characters } or { model, words } when the script is not written yet, plus
+//           languages (voiceovers made, default 1)
+//   images  [{ model, size, quality }]              one entry per image request
+export function estimateCost(prices, { text, translation, tts, images = [] }) {
+  const lines = [];
+  const unpriced = new Set();
+  const add = (line) => {
+    const usd = itemCost(prices, line);
+    if (usd === null) unpriced.add(line.model);
+    lines.push({ ...line, usd: usd ?? 0 });
+  };
+
+  if (text) {
+    const replyChars = text.words * CHARS_PER_WORD + text.scenes * CHARS_PER_IMAGE_PROMPT + REPLY_OVERHEAD_CHARS;
+    add({
+      kind: "text",
+      label: "script",
+      model: text.model,
+      inputTokens: Math.ceil(text.promptChars / CHARS_PER_TOKEN),
+      outputTokens: Math.ceil(replyChars / CHARS_PER_TOKEN),
+    });
+  }
+  if (translation) {
+    // The script goes in with the prompt and comes back about as long
+    const scriptChars = translation.characters ?? translation.words * CHARS_PER_WORD;
+    add({
+      kind: "text",
+      label: "translation",
+      model: translation.model,
+      inputTokens: Math.ceil((translation.promptChars + scriptChars) / CHARS_PER_TOKEN) * translation.languages,
+      outputTokens: Math.ceil(scriptChars / CHARS_PER_TOKEN) * translation.languages,
+    });
+  }
+  if (tts) {
+    const characters = (tts.characters ?? Math.round(tts.words * CHARS_PER_WORD)) * (tts.languages || 1);
+    add({ kind: "tts", label: "voiceover", model: tts.model, characters });
+  }
+  // One line per distinct image request shape
+  const groups = new Map();
+  for (const img of images) {
+    const key = `${img.model}|${img.quality}|${img.size}`;
+    const group = groups.get(key) || { kind: "image", label: "images", ...img, count: 0 };
+    group.count++;
+    groups.set(key, group);
+  }
+  for (const group of groups.values()) add(group);
+
+  return { usd: lines.reduce((a, l) => a + l.usd, 0), lines, unpriced: [...unpriced] };
+}
+
+// Plain-text breakdown of an estimate, one line per part plus a total
+export function formatEstimate(estimate) {
+  const detail = (l) => {
+    if (l.kind === "text") return `~${l.inputTokens} input + ~${l.outputTokens} output tokens`;
+    if (l.kind === "tts") return `${l.characters} characters`;
+    return `${l.count} × ${l.size} ${l.quality}`;
+  };
+  const lines = estimate.lines.map(
+    (l) => `  ${l.label.padEnd(13)}${`${l.model} `.padEnd(24)}${detail(l).padEnd(36)}${formatUSD(l.usd)}`
+  );
+  if (lines.length === 0) lines.push("  (no paid requests)");
+  lines.push(`  ${"total".padEnd(73)}${formatUSD(estimate.usd)}`);
+  if (estimate.unpriced.length) lines.push(`  No price for ${estimate.unpriced.join(", ")} (counted as $0; see PRICES)`);
+  return lines.join("\n");
+}
+
+// ---------- Budget ----------
+// --max-cost, shared by every run of a batch (like the request limiter). Each paid call reserves
+// its projected cost first and fails when spent + reserved would pass the limit, so the budget
+// is never overshot by calls already in flight. maxUsd 0/null means no limit.
+export function createBudget(maxUsd) {
+  const max = Number(maxUsd) > 0 ? Number(maxUsd) : null;
+  let spent = 0;
+  let reserved = 0;
+  return {
+    max,
+    get spent() {
+      return spent;
+    },
+    get remaining() {
+      return max === null ? Infinity : Math.max(0, max - spent - reserved);
+    },
+    reserve(label, usd) {
+      if (max !== null && spent + reserved + usd > max + 1e-9) {
+        const pending = reserved > 0 ? ` (plus ~${formatUSD(reserved)} in flight)` : "";
+        throw new Error(
+          `Budget exceeded: ${label} would cost ~${formatUSD(usd)}, with ${formatUSD(spent)}${pending} of --max-cost ${formatUSD(max)} spent.`
+        );
+      }
+      reserved += usd;
+    },
+    release(usd) {
+      reserved = Math.max(0, reserved - usd);
+    },
+    add(usd) {
+      spent += usd;
+    },
+  };
+}
+
+// ---------- Usage ----------
+// What one run actually used, written to <kit>/usage.json after every paid call so a failed run
+// still records its spend. totalUsd adds up every run of the kit (resumed runs only pay for what
+// changed).
+export async function createUsage({ file, prices, budget, estimateUsd = null }) {
+  const previous = await fs
+    .readFile(file, "utf8")
+    .then((raw) => Number(JSON.parse(raw).totalUsd) || 0)
+    .catch(() => 0);
+  const items = [];
+  let writing = Promise.resolve();
+
+  const summary = () => {
+    const sum = (kind, key) => items.filter((i) => i.kind === kind).reduce((a, i) => a + (i[key] || 0), 0);
+    const count = (kind) => items.filter((i) => i.kind === kind).length;
+    const usd = items.reduce((a, i) => a + i.usd, 0);
+    return {
+      currency: "USD",
+      updatedAt: new Date().toISOString(),
+      estimateUsd,
+      maxCostUsd: budget.max,
+      text: {
+        calls: count("text"),
+        inputTokens: sum("text", "inputTokens"),
+        outputTokens: sum("text", "outputTokens"),
+        usd: sum("text", "usd"),
+      },
+      images: { count: items.filter((i) => i.kind === "image").length, usd: sum("image", "usd") },
+      tts: { calls: count("tts"), characters: sum("tts", "characters"), usd: sum("tts", "usd") },
+      usd,
+      previousUsd: previous,
+      totalUsd: previous + usd,
+      unpriced: [...new Set(items.filter((i) => i.unpriced).map((i) => i.model))],
+      items,
+    };
+  };
+
+  return {
+    file,
+    summary,
+    // Runs call() unless its projected cost would break the budget
+    async guard(label, projectedUsd, call) {
+      budget.reserve(label, projectedUsd);
+      try {
+        return await call();
+      } finally {
+        budget.release(projectedUsd);
+      }
+    },
+    async record(item) {
+      const usd = itemCost(prices, item);
+      items.push({ ...item, usd: usd ?? 0, ...(usd === null ? { unpriced: true } : {}) });
+      budget.add(usd ?? 0);
+      await this.save();
+    },
+    // Also called at the end of a run, so a fully resumed run records that it spent nothing
+    async save() {
+      const body = JSON.stringify(summary(), null, 2);
+      writing = writing
+        .then(() => fs.mkdir(path.dirname(file), { recursive: true }))
+        .then(() => fs.writeFile(file, body, "utf8"));
+      await writing;
+    },
+  };
+}
@@ -0,0 +1,380 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { spawn } from "node:child_process";
+
+// ---------- Image providers ----------
+// Every provider exposes the same shape:
+//   request({ prompt, width, height, style })  -> plain object describing the image (used for the asset cache key)
+//   generate(req, outPng, { signal })          -> writes the PNG for that request; signal aborts a timed-out call
+//
+// openai       OpenAI Images API (IMAGE_MODEL)
+// library      picks images from a local folder (IMAGE_LIBRARY) by keyword/tag match with the prompt
+// placeholder  solid-colour frame with the prompt text drawn on it, rendered by ffmpeg
+
+export const IMAGE_PROVIDERS = ["openai", "library", "placeholder"];
+export const OFFLINE_IMAGE_PROVIDERS = ["library", "placeholder"];
+
+const LIBRARY_EXTS = [".png", ".jpg", ".jpeg", ".webp"];
+
+function imageStyleBlock(imageStyle) {
+  if (imageStyle === "realistic") {
+    return "photorealistic, high detail, realistic lighting, natural textures";
+  }
+  if (imageStyle === "ai-generated") {
+    return "AI-generated art style, algorithmic patterns, modern generative design";
+  }
+  // default cartoon
+  return "stylized, cartoon, bold outlines, soft gradients, high contrast";
+}
+
+// OpenAI Images API supports: 1024x1024, 1024x1536 (portrait), 1536x1024 (landscape), or "auto".
+// We request the size matching the frame's aspect; ffmpeg scales/crops to the exact frame on render.
+function imageSize(width, height) {
+  if (width > height) return "1536x1024";
+  if (width < height) return "1024x1536";
+  return "1024x1024";
+}
+
+function frameLabel(width, height) {
+  if (width > height) return "horizontal";
+  if (width < height) return "vertical";
+  return "square";
+}
+
+function exec(cmd, args, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const p = spawn(cmd, args, { stdio: ["ignore", "ignore", "pipe"], signal });
+    let stderr = "";
+    p.stderr.on("data", (d) => (stderr += d));
+    p.on("error", reject);
+    p.on("close", (code) =>
+      code === 0 ? resolve() : reject(new Error(`${cmd} exited with code ${code}: ${stderr.trim().slice(-300)}`))
+    );
+  });
+}
+
+function openaiProvider(cfg, { client }) {
+  // Exact request sent to the Images API; unchanged from earlier kits so cached images still match
+  const request = async ({ prompt, width, height, style }) => ({
+    model: cfg.IMAGE_MODEL,
+    size: imageSize(width, height),
+    prompt: `${prompt}\nStyle: ${imageStyleBlock(style)}; ${frameLabel(width, height)} ${width}x${height}, clean composition, minimal text.`,
+    quality: "high",
+  });
+  return {
+    name: "openai",
+    request,
+    async generate(req, outPng, { signal } = {}) {
+      const img = await client.images.generate(req, { signal });
+      await fs.writeFile(outPng, Buffer.from(img.data[0].b64_json, "base64"));
+    },
+  };
+}
+
+// ---------- Library ----------
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has in into is it its of on or that the this to with frame style".split(" ")
+);
+
+export function keywords(text) {
+  return [
+    ...new Set(
+      String(text || "")
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((w) => w.length > 2 && !STOPWORDS.has(w) && !/^\d+(x\d+)?$/.test(w))
+    ),
+  ];
+}
+
+async function walk(dir, exts, base = dir) {
+  const out = [];
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...(await walk(full, exts, base)));
+    else if (exts.includes(path.extname(entry.name).toLowerCase())) out.push(path.relative(base, full));
+  }
+  return out;
+}
+
+// Tags for each image: words from its folder and file names, plus any listed for it in an
+// optional tags.json at the library root ({ "crypto/chart.png": ["bitcoin", "growth"] }).
+// The music library (music.js) uses the same layout with its own file extensions.
+export async function scanLibrary(dir, exts = LIBRARY_EXTS) {
+  const files = (await walk(dir, exts)).sort();
+  let extra = {};
+  try {
+    extra = JSON.parse(await fs.readFile(path.join(dir, "tags.json"), "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") throw new Error(`Invalid ${path.join(dir, "tags.json")}: ${e.message}`);
+  }
+  return files.map((file) => {
+    const key = file.split(path.sep).join("/");
+    const listed = extra[key] ?? extra[path.basename(file)] ?? [];
+    const tagText = Array.isArray(listed) ? listed.join(" ") : String(listed);
+    return { file: path.join(dir, file), tags: new Set(keywords(`${key.replace(/\.[^.]+$/, "")} ${tagText}`)) };
+  });
+}
+
+// Highest keyword overlap wins; images already used for another prompt only win when nothing
+// unused scores as well, and ties go to the least-used image, then the library order.
+export function pickLibraryImage(entries, prompt, uses = new Map()) {
+  const words = keywords(prompt);
+  let best = null;
+  for (const entry of entries) {
+    const score = words.filter((w) => entry.tags.has(w)).length;
+    const used = uses.get(entry.file) || 0;
+    if (!best || score > best.score || (score === best.score && used < best.used)) {
+      best = { entry, score, used };
+    }
+  }
+  return best ? best.entry.file : null;
+}
+
+function libraryProvider(cfg) {
+  const dir = cfg.IMAGE_LIBRARY;
+  if (!dir) throw new Error("IMAGE_PROVIDER=library requires IMAGE_LIBRARY (a folder of images).");
+  let entries = null;
+  // Same prompt -> same image, so every profile of a scene shows the same picture
+  const chosen = new Map();
+  const uses = new Map();
+
+  return {
+    name: "library",
+    async request({ prompt }) {
+      if (!entries) {
+        entries = await scanLibrary(dir).catch((e) => {
+          throw e.code === "ENOENT" ? new Error(`IMAGE_LIBRARY folder not found: ${dir}`) : e;
+        });
+        if (entries.length === 0) throw new Error(`No images (${LIBRARY_EXTS.join(", ")}) found in IMAGE_LIBRARY: ${dir}`);
+      }
+      if (!chosen.has(prompt)) {
+        const file = pickLibraryImage(entries, prompt, uses);
+        chosen.set(prompt, file);
+        uses.set(file, (uses.get(file) || 0) + 1);
+      }
+      const file = chosen.get(prompt);
+      const stat = await fs.stat(file);
+      return { provider: "library", file, size: stat.size, mtime: stat.mtimeMs };
+    },
+    async generate(req, outPng, { signal } = {}) {
+      await importImage(req.file, outPng, { signal });
+    },
+  };
+}
+
+// PNGs are copied as-is; other formats are converted with ffmpeg
+async function importImage(file, outPng, { signal } = {}) {
+  if (path.extname(file).toLowerCase() === ".png") {
+    await fs.copyFile(file, outPng);
+    return;
+  }
+  try {
+    await exec("ffmpeg", ["-nostdin", "-y", "-loglevel", "error", "-i", file, "-frames:v", "1", outPng], { signal });
+  } catch (e) {
+    throw new Error(`Could not convert ${file} to PNG (needs ffmpeg): ${e.message}`);
+  }
+}
+
+// Scene images given by path (project files); size and mtime make edits to the file a cache miss
+export const fileImages = {
+  name: "file",
+  async request({ file }) {
+    const stat = await fs.stat(file).catch(() => null);
+    if (!stat) throw new Error(`Scene image not found: ${file}`);
+    return { provider: "file", file, size: stat.size, mtime: stat.mtimeMs };
+  },
+  async generate(req, outPng, { signal } = {}) {
+    await importImage(req.file, outPng, { signal });
+  },
+};
+
+// ---------- Placeholder ----------
+const PLACEHOLDER_COLORS = ["0x1F3A5F", "0x3D1F5F", "0x1F5F4A", "0x5F3A1F", "0x5F1F2E", "0x2E2E2E"];
+
+// Greedy word wrap; overly long output is cut with an ellipsis
+export function wrapText(text, maxChars, maxLines) {
+  const lines = [];
+  let line = "";
+  for (const word of String(text).replace(/\s+/g, " ").trim().split(" ")) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].slice(0, Math.max(0, maxChars - 3))}...`;
+  }
+  return lines.join("\n");
+}
+
+// A file path for a quoted ('...') filter option. The graph parser keeps everything inside the
+// quotes but a quote, and the option parser then unescapes '\:'; a quote closes the quoting and
+// is escaped for both parsers
+export const filterPath = (p) =>
+  p
+    .replace(/\\/g, "/")
+    .replace(/:/g, "\\:")
+    .replace(/'/g, "'\\\\\\''");
+
+// ffmpeg arguments for a placeholder frame; text comes from a file so prompts need no escaping
+export function placeholderArgs({ width, height, color, textFile, outPng }) {
+  const fontSize = Math.round(Math.min(width, height) / 24);
+  const args = ["-nostdin", "-y", "-loglevel", "error", "-f", "lavfi", "-i", `color=c=${color}:s=${width}x${height}`];
+  if (textFile) {
+    args.push(
+      "-vf",
+      `drawtext=textfile='${filterPath(textFile)}':fontcolor=white:fontsize=${fontSize}:line_spacing=${Math.round(
+        fontSize / 2
+      )}:x=(w-text_w)/2:y=(h-text_h)/2`
+    );
+  }
+  args.push("-frames:v", "1", outPng);
+  return args;
+}
+
+function placeholderProvider() {
+  const request = async ({ prompt, width, height }) => {
+    const hash = crypto.createHash("sha256").update(String(prompt)).digest();
+    return { provider: "placeholder", prompt, width, height, color: PLACEHOLDER_COLORS[hash[0] % PLACEHOLDER_COLORS.length] };
+  };
+  return {
+    name: "placeholder",
+    request,
+    async generate(req, outPng, { signal } = {}) {
+      const fontSize = Math.round(Math.min(req.width, req.height) / 24);
+      const maxChars = Math.max(12, Math.floor((req.width * 0.85) / (fontSize * 0.6)));
+      const textFile = `${outPng}.txt`;
+      await fs.writeFile(textFile, wrapText(req.prompt, maxChars, 8), "utf8");
+      try {
+        await exec("ffmpeg", placeholderArgs({ ...req, textFile, outPng }), { signal });
+      } catch (e) {
+        if (e.code === "ENOENT") throw new Error("IMAGE_PROVIDER=placeholder needs ffmpeg to draw frames.");
+        if (signal?.aborted) throw e;
+        // ffmpeg builds without drawtext/fonts still get a plain colour frame
+        await exec("ffmpeg", placeholderArgs({ ...req, outPng }), { signal });
+      } finally {
+        await fs.rm(textFile, { force: true });
+      }
+    },
+  };
+}
+
+// ---------- Master variants ----------
+// With IMAGE_MASTER one image per scene and orientation is generated at the bounding frame of
+// those profiles (e.g. 1080x1920 for vertical + feed45) and each profile's scene is cropped from it:
+//   center  crop around the scene's focal point (default: the middle)
+//   thirds  crop so the focal point sits on the nearest rule-of-thirds line
+//   blur    keep the whole master, letterboxed over a blurred, zoomed copy of itself
+// A scene's focal point comes from "focus" in script.json: { "x": 0.3, "y": 0.4 } (0-1 from
+// the top-left) or a name such as "left", "top-right" or "center".
+
+export const IMAGE_CROPS = ["center", "thirds", "blur"];
+
+const NAMED_FOCUS = {
+  center: [0.5, 0.5],
+  left: [0.25, 0.5],
+  right: [0.75, 0.5],
+  top: [0.5, 0.25],
+  bottom: [0.5, 0.75],
+  "top-left": [0.25, 0.25],
+  "top-right": [0.75, 0.25],
+  "bottom-left": [0.25, 0.75],
+  "bottom-right": [0.75, 0.75],
+};
+
+export function parseFocus(value) {
+  if (value === undefined || value === null || value === "") return { x: 0.5, y: 0.5 };
+  let pair = null;
+  if (typeof value === "string" && NAMED_FOCUS[value.toLowerCase()]) pair = NAMED_FOCUS[value.toLowerCase()];
+  else if (Array.isArray(value)) pair = value;
+  else if (typeof value === "object") pair = [value.x, value.y];
+  const [x, y] = (pair || []).map(Number);
+  if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+    throw new Error(
+      `Invalid focus ${JSON.stringify(value)}. Use { "x": 0-1, "y": 0-1 } or one of: ${Object.keys(NAMED_FOCUS).join(", ")}`
+    );
+  }
+  return { x, y };
+}
+
+const SHAPES = { portrait: "vertical", landscape: "horizontal", square: "square" };
+const orientationOf = (p) => (p.width > p.height ? "landscape" : p.width < p.height ? "portrait" : "square");
+
+// One master per orientation, at the bounding frame of its profiles, so a landscape scene is never
+// cut out of a portrait image. Square profiles share the first profile's master (all-square kits
+// get a square one). shapes lists the frames cropped from each master, for its prompt.
+export function masterFrames(profiles) {
+  const first = profiles.map(orientationOf).find((o) => o !== "square") || "square";
+  const groups = new Map();
+  for (const p of profiles) {
+    const orientation = orientationOf(p) === "square" ? first : orientationOf(p);
+    groups.set(orientation, [...(groups.get(orientation) || []), p]);
+  }
+  return [...groups].map(([orientation, group]) => ({
+    orientation,
+    width: Math.max(...group.map((p) => p.width)),
+    height: Math.max(...group.map((p) => p.height)),
+    profiles: group.map((p) => p.name),
+    shapes: [...new Set(group.map((p) => SHAPES[orientationOf(p)]))],
+  }));
+}
+
+// Scale the source to cover the frame, then place the crop window on the focal point
+export function cropWindow({ srcW, srcH, width, height, focus = { x: 0.5, y: 0.5 }, mode = "center" }) {
+  const k = Math.max(width / srcW, height / srcH);
+  const scaledW = Math.max(width, Math.round(srcW * k));
+  const scaledH = Math.max(height, Math.round(srcH * k));
+  const place = (f, size, win) => {
+    const target = mode === "thirds" ? (f < 0.5 ? 1 / 3 : f > 0.5 ? 2 / 3 : 0.5) : 0.5;
+    return Math.round(Math.min(Math.max(0, f * size - target * win), size - win));
+  };
+  return { scaledW, scaledH, x: place(focus.x, scaledW, width), y: place(focus.y, scaledH, height) };
+}
+
+export function variantFilter({ srcW, srcH, width, height, focus, mode = "center" }) {
+  if (mode === "blur") {
+    return [
+      "[0:v]split[bg][fg]",
+      `[bg]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},boxblur=20:2[bgb]`,
+      `[fg]scale=${width}:${height}:force_original_aspect_ratio=decrease[fgs]`,
+      "[bgb][fgs]overlay=(W-w)/2:(H-h)/2,setsar=1",
+    ].join(";");
+  }
+  const c = cropWindow({ srcW, srcH, width, height, focus, mode });
+  return `[0:v]scale=${c.scaledW}:${c.scaledH},crop=${width}:${height}:${c.x}:${c.y},setsar=1`;
+}
+
+// Width and height from a PNG's IHDR chunk
+export function pngSize(buf) {
+  if (buf.length < 24 || buf.toString("ascii", 1, 4) !== "PNG") return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+export async function deriveVariant({ master, outPng, width, height, focus, mode = "center", signal }) {
+  const handle = await fs.open(master, "r");
+  const head = Buffer.alloc(24);
+  try {
+    await handle.read(head, 0, 24, 0);
+  } finally {
+    await handle.close();
+  }
+  const size = pngSize(head);
+  if (!size) throw new Error(`Master image is not a PNG: ${master}`);
+  const filter = variantFilter({ srcW: size.width, srcH: size.height, width, height, focus, mode });
+  await exec("ffmpeg", ["-nostdin", "-y", "-loglevel", "error", "-i", master, "-filter_complex", filter, "-frames:v", "1", outPng], {
+    signal,
+  });
+}
+
+export function createImageProvider(name, cfg, deps = {}) {
+  if (name === "openai") return openaiProvider(cfg, deps);
+  if (name === "library") return libraryProvider(cfg);
+  if (name === "placeholder") return placeholderProvider();
+  throw new Error(`Unknown image provider "${name}". Expected one of: ${IMAGE_PROVIDERS.join(", ")}`);
+}
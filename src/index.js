@@ -1,27 +1,101 @@
 import fs from "node:fs/promises";
 import path from "node:path";
 import os from "node:os";
-import { spawn } from "node:child_process";
 import { fileURLToPath } from "node:url";
 import OpenAI from "openai";
+import { openAssetCache, assetKey } from "./cache.js";
+import { normalizeSections, allocateScenes, sectionCues } from "./timeline.js";
+import {
+  ALIGN_MODES,
+  withEstimatedWords,
+  capCues,
+  cuesFromClipDurations,
+  cuesFromAlignedWords,
+  probeDuration,
+  concatAudio,
+  runAligner,
+} from "./align.js";
+import {
+  CAPTION_PRESETS,
+  layoutCues,
+  parseSafeArea,
+  splitForCaptions,
+  toAss,
+  toCaptionJSON,
+  toSrt,
+  toVtt,
+} from "./captions.js";
+import { ENCODE_PRESETS, ENCODE_SPEEDS, IMAGE_FITS, hasFfmpeg, renderVideo } from "./render.js";
+import { ensureDir, writeJSON, pathExists } from "./util.js";
+import { TTS_PROVIDERS, OFFLINE_TTS_PROVIDERS, GENDER_VOICES, VOICE_KEYS, createTTSProvider } from "./tts.js";
+import {
+  IMAGE_CROPS,
+  IMAGE_PROVIDERS,
+  OFFLINE_IMAGE_PROVIDERS,
+  createImageProvider,
+  deriveVariant,
+  fileImages,
+  masterFrames,
+  parseFocus,
+} from "./images.js";
+import { allJobs, createLimiter, createScheduler } from "./jobs.js";
+import { loadBatch, rowOptions } from "./batch.js";
+import { NO_MUSIC, findMusic, musicMix, removeMusic, resolveMusic } from "./music.js";
+import { parseMotion, parseTransition, storyboardRow, STORYBOARD_COLUMNS } from "./motion.js";
+import { createBudget, createUsage, estimateCost, formatUSD, itemCost, resolvePrices } from "./costs.js";
+import { loadProject } from "./project.js";
+import { WORDS_PER_SEC, countWords, requestScript, scriptRules } from "./script.js";
+import { brandCta, brandKit, copyBrandFiles, resolveBrandFiles } from "./brand.js";
+import { DEFAULT_TEXT_MODELS, TEXT_JSON_MODES, TEXT_PROVIDERS, createTextProvider } from "./text.js";
+import { DEFAULT_TEMPLATE, fillTemplate, loadTemplate, templateVars } from "./templates.js";
+import {
+  languageName,
+  parseLanguages,
+  placeholderTranslation,
+  translatePlan,
+  translationPrompt,
+} from "./translate.js";
+import { DEFAULT_PROFILES, knownProfiles, makeProfile, parseProfileList, profileConfig, resolveProfiles } from "./profiles.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 // ---------- Config ----------
-const WIDTH = 1080;
-const HEIGHT = 1920;
-const FPS = 30;
-
 const DEFAULTS = {
-  TEXT_MODEL: "gpt-5",
+  TEXT_PROVIDER: "openai",
+  TEXT_JSON_MODE: "auto",
   IMAGE_MODEL: "gpt-image-1",
   TTS_MODEL: "gpt-4o-mini-tts",
   TTS_VOICE: "alloy",
+  TTS_PROVIDER: "openai",
+  ELEVENLABS_MODEL: "eleven_multilingual_v2",
+  ELEVENLABS_VOICE_ID: GENDER_VOICES.elevenlabs.male,
+  LOCAL_TTS_ENGINE: "auto",
+  LOCAL_TTS_VOICE: GENDER_VOICES.local.male,
+  LOCAL_TTS_RATE: 155,
   VIDEO_SEC: 60,
   SCENES_COUNT: 6,
+  CAPTION_ALIGN: "estimate",
+  CAPTION_PRESET: "classic",
+  SAFE_AREA: "none",
+  IMAGE_FIT: "cover",
+  IMAGE_PROVIDER: "openai",
+  IMAGE_CROP: "center",
+  CONCURRENCY: 4,
+  REQUEST_TIMEOUT_SEC: 180,
+  MAX_RETRIES: 4,
+  SCRIPT_REPAIRS: 1,
+  TEMPLATE: DEFAULT_TEMPLATE,
+  BATCH_PARALLEL: 2,
+  // Integrated loudness of the final mix (LUFS); -14 suits TikTok, Reels, Shorts and YouTube
+  LOUDNESS_TARGET: -14,
+  MOTION: "zoom-in",
+  TRANSITION: "cut",
+  TRANSITION_SEC: 0.5,
+  ENCODE_PRESET: "final",
 };
 
+
 // Load user config from ~/.config/viral-video/config.json (or XDG_CONFIG_HOME)
 function configPaths() {
   const home = os.homedir();
@@ -46,458 +120,520 @@ function slugify(s) {
   return s.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
 }
 
-async function ensureDir(p) {
-  await fs.mkdir(p, { recursive: true });
-}
-async function writeJSON(p, obj) {
-  await fs.writeFile(p, JSON.stringify(obj, null, 2), "utf8");
+// ---------- Generators ----------
+// The template supplies audience, tone, section layout and call to action; the disclaimer is
+// added verbatim after the model's text, so it is only counted against the word budget here.
+function scriptPrompt(topic, cfg, template, vars) {
+  const rules = scriptRules(cfg.VIDEO_SEC);
+  const fill = (text) => fillTemplate(text, { topic, ...vars });
+  const layoutSec = template.sections.reduce((a, s) => a + s.sec, 0);
+  const sections = template.sections
+    .map((s, i) => {
+      const sec = Math.max(1, Math.round((s.sec * cfg.VIDEO_SEC) / layoutSec));
+      const comma = i < template.sections.length - 1 ? "," : "";
+      const brief = s.brief ? ` // ${fill(s.brief)}` : "";
+      return `    {"label": ${JSON.stringify(s.label)}, "sec": ${sec}, "text": "..."}${comma}${brief}`;
+    })
+    .join("\n");
+  const words = Math.max(1, rules.targetWords - countWords(vars.disclaimer));
+  const maxWords = Math.max(1, rules.maxWords - countWords(vars.disclaimer));
+  return `You are a concise scriptwriter for ${cfg.VIDEO_SEC}-second short videos (TikTok, Reels, Shorts).
+Audience: ${vars.audience}.
+Tone: ${vars.tone}.
+Topic: "${topic}"
+${template.instructions ? `${fill(template.instructions)}\n` : ""}
+Deliver JSON with:
+{
+  "title": "Short catchy title",
+  "hook": "0-3s strong hook",
+  "sections": [
+${sections}
+  ],
+  "image_prompts": [
+    // exactly ${cfg.SCENES_COUNT} prompts for vertical 1080x1920 frames, descriptive, vivid, non-duplicative
+  ]
 }
-
-function imageStyleBlock(imageStyle) {
-  if (imageStyle === "realistic") {
-    return "photorealistic, high detail, realistic lighting, natural textures";
-  }
-  if (imageStyle === "ai-generated") {
-    return "AI-generated art style, algorithmic patterns, modern generative design";
-  }
-  // default cartoon
-  return "stylized, cartoon, bold outlines, soft gradients, high contrast";
+Use exactly these ${template.sections.length} sections in this order, with these labels. Total seconds should sum to ~${cfg.VIDEO_SEC}.
+${vars.cta ? `End the last section with this call to action: "${vars.cta}"\n` : ""}The spoken text (hook and section texts) should total about ${words} words, never more than ${maxWords}.`;
 }
 
-// ---------- Generators ----------
-async function generateScript({ topic, client, cfg, dryRun }) {
+// Rejected model responses are kept in script.invalid.json for inspection
+async function generateScript({ topic, text, cfg, template, vars, dryRun, outDir, signal }) {
+  const meta = { name: template.name, audience: vars.audience, tone: vars.tone, cta: vars.cta };
   if (dryRun) {
-    const sections = [
-      { label: "Intro/Context", sec: 10, text: `Intro on: ${topic}` },
-      { label: "Point 1", sec: 14, text: `Point 1 about ${topic}` },
-      { label: "Point 2", sec: 14, text: `Point 2 about ${topic}` },
-      { label: "Point 3", sec: 10, text: `Point 3 about ${topic}` },
-      { label: "Wrap/CTA", sec: 12, text: `Wrap and CTA for ${topic}` },
-    ];
-    const scenes = Array.from({ length: cfg.SCENES_COUNT }, (_, i) => ({
-      i: i + 1,
-      sec: Math.round(cfg.VIDEO_SEC / cfg.SCENES_COUNT),
-      text: sections[Math.min(i, sections.length - 1)].text,
+    // The template layout with its briefs as placeholder text
+    const sections = template.sections.map((s) => ({
+      label: s.label,
+      sec: s.sec,
+      text: `${s.label}: ${fillTemplate(s.brief, { topic, ...vars }) || topic}`,
     }));
+    const timed = normalizeSections(sections, cfg.VIDEO_SEC);
     const imagePrompts = Array.from(
       { length: cfg.SCENES_COUNT },
       (_, i) => `Placeholder scene ${i + 1} for ${topic}, vertical 1080x1920.`
     );
     return {
       title: topic,
-      hook: `Why ${topic} matters in 60 seconds`,
-      sections,
-      scenes,
+      hook: `Why ${topic} matters in ${cfg.VIDEO_SEC} seconds`,
+      sections: timed,
+      scenes: allocateScenes(timed, cfg.SCENES_COUNT),
       imagePrompts,
-      ttsStyle: "male, smooth, educational",
-      disclaimer: "Educational only. Not financial advice.",
+      ttsStyle: `male, ${template.voice}`,
+      disclaimer: vars.disclaimer,
+      template: meta,
     };
   }
 
-  const prompt = `You are a concise scriptwriter for 60-second vertical videos (TikTok).
-Audience: beginner to intermediate.
-Goal: educational, calm, trustworthy voice.
-Topic: "${topic}"
-
-Deliver JSON with:
-{
-  "title": "Short catchy title",
-  "hook": "0-3s strong hook",
-  "sections": [
-    {"label": "Intro/Context", "sec": 10, "text": "..."},
-    {"label": "Point 1", "sec": 14, "text": "..."},
-    {"label": "Point 2", "sec": 14, "text": "..."},
-    {"label": "Point 3", "sec": 10, "text": "..."},
-    {"label": "Wrap/CTA", "sec": 9, "text": "..."}
-  ],
-  "image_prompts": [
-    // exactly ${cfg.SCENES_COUNT} prompts for vertical 1080x1920 frames, descriptive, vivid, non-duplicative
-  ],
-  "tts_style": "male or female, smooth, educational",
-  "disclaimer": "Educational only. Not financial advice."
-}
-Total seconds should sum to ~${cfg.VIDEO_SEC}. Keep jargon minimal.`;
-
-  const res = await client.chat.completions.create({
-    model: cfg.TEXT_MODEL,
-    messages: [
-      { role: "system", content: "Return only valid JSON. No commentary." },
-      { role: "user", content: prompt },
-    ],response_format: { type: "json_object" },
-  });
-
+  const invalidFile = path.join(outDir, "script.invalid.json");
+  await fs.rm(invalidFile, { force: true });
+  const rejected = [];
   let data;
   try {
-    data = JSON.parse(res.choices[0].message.content);
-  } catch {
-    throw new Error("Model did not return valid JSON.");
-  }
-
-  const total = data.sections?.reduce((a, b) => a + (b.sec || 0), 0) || cfg.VIDEO_SEC;
-  const scale = cfg.VIDEO_SEC / Math.max(1, total);
-  let durations = data.sections?.map((s) => Math.max(2, Math.round(s.sec * scale))) || [];
-  let sum = durations.reduce((a, b) => a + b, 0);
-  while (sum > cfg.VIDEO_SEC) {
-    durations[durations.length - 1]--;
-    sum--;
-  }
-  while (sum < cfg.VIDEO_SEC) {
-    durations[durations.length - 1]++;
-    sum++;
+    data = await requestScript({
+      text,
+      prompt: scriptPrompt(topic, cfg, template, vars),
+      videoSec: cfg.VIDEO_SEC,
+      scenes: cfg.SCENES_COUNT,
+      sectionCount: template.sections.length,
+      disclaimer: vars.disclaimer,
+      repairs: Number.isInteger(cfg.SCRIPT_REPAIRS) && cfg.SCRIPT_REPAIRS >= 0 ? cfg.SCRIPT_REPAIRS : DEFAULTS.SCRIPT_REPAIRS,
+      signal,
+      onInvalid: async (failure) => {
+        rejected.push(failure);
+        await writeJSON(invalidFile, rejected);
+      },
+    });
+  } catch (err) {
+    if (!err.validationErrors) throw err;
+    throw new Error(`${err.message}\nRejected responses saved to ${path.relative(process.cwd(), invalidFile)}`);
   }
 
-  const scenes = [];
-  let idx = 0;
-  for (let i = 0; i < cfg.SCENES_COUNT; i++) {
-    const sec = Math.round(cfg.VIDEO_SEC / cfg.SCENES_COUNT);
-    const secText = data.sections?.[idx]?.text || data.hook || data.title;
-    scenes.push({ i: i + 1, sec, text: secText });
-    idx = Math.min(idx + 1, (data.sections?.length || 1) - 1);
-  }
+  // Keep the model's section durations (rescaled to VIDEO_SEC) and lay scenes over them
+  const sections = normalizeSections(data.sections, cfg.VIDEO_SEC);
+  const scenes = allocateScenes(sections, cfg.SCENES_COUNT);
 
-  let imagePrompts = Array.isArray(data.image_prompts) ? data.image_prompts.slice(0, cfg.SCENES_COUNT) : [];
-  while (imagePrompts.length < cfg.SCENES_COUNT) {
-    imagePrompts.push(`Vertical frame illustrating "${topic}", clean composition, high contrast, 1080x1920.`);
-  }
+  return {
+    title: data.title.trim(),
+    hook: data.hook,
+    sections,
+    scenes,
+    imagePrompts: data.image_prompts,
+    ttsStyle: `male, ${template.voice}`,
+    disclaimer: vars.disclaimer,
+    template: meta,
+  };
+}
 
+// Plan (same shape as generateScript) from a --from project file; no text model involved
+function projectPlan(project, cfg) {
+  // Untimed sections get their speaking time at the narration pace
+  const withSec = project.sections.map((s) => ({
+    ...s,
+    sec: s.sec || Math.max(2, s.text.split(/\s+/).filter(Boolean).length / WORDS_PER_SEC),
+  }));
+  const sections = normalizeSections(withSec, cfg.VIDEO_SEC);
+  // Per-scene focus, motion and transition ride along on the scenes, as in script.json
+  const scenes = allocateScenes(sections, cfg.SCENES_COUNT).map((sc, i) => {
+    const { focus, motion, transition } = project.images[i] || {};
+    return {
+      ...sc,
+      ...(focus !== undefined ? { focus } : {}),
+      ...(motion ? { motion } : {}),
+      ...(transition ? { transition } : {}),
+    };
+  });
   return {
-    title: data.title || topic,
-    hook: data.hook || "",
-    sections: data.sections || [],
+    title: project.title,
+    hook: project.hook,
+    sections,
     scenes,
-    imagePrompts,
-    ttsStyle: data.tts_style || "male, smooth, educational",
-    disclaimer: data.disclaimer || "",
+    imagePrompts: scenes.map((sc, i) => project.images[i]?.prompt || `${project.title}: ${sc.text}`.slice(0, 400)),
+    imagePaths: scenes.map((_, i) => project.images[i]?.path || null),
+    ttsStyle: `${project.voice.gender || "male"}, smooth, educational`,
+    disclaimer: project.disclaimer,
+    source: "project",
   };
 }
 
-async function generateImage({ promptText, outPng, client, cfg, dryRun, imageStyle }) {
-  if (dryRun) {
+// provider is null when images are skipped (dry run with a paid provider and no ffmpeg for placeholders)
+async function generateImage({ outPng, provider, req, signal }) {
+  if (!provider) {
     await fs.writeFile(outPng, "");
     return;
   }
-  const style = imageStyleBlock(imageStyle);
-  const img = await client.images.generate({
-    model: cfg.IMAGE_MODEL,
-    // OpenAI Images API supports: 1024x1024, 1024x1536 (portrait), 1536x1024 (landscape), or "auto"
-    // We generate portrait at 1024x1536, then ffmpeg scales to 1080x1920 during render.
-    size: "1024x1536",
-    prompt: `${promptText}\nStyle: ${style}; vertical 1080x1920, clean composition, minimal text.`,
-    quality: "high",
-  });
-  const b64 = img.data[0].b64_json;
-  const buf = Buffer.from(b64, "base64");
-  await fs.writeFile(outPng, buf);
+  await provider.generate(req, outPng, { signal });
 }
 
-async function synthesizeTTS({ text, outMp3, client, cfg, dryRun }) {
-  if (dryRun) {
+// Crop a profile's scene out of the scene master; empty placeholder when images are skipped
+async function deriveImage({ master, outPng, provider, width, height, focus, mode, signal }) {
+  if (!provider) {
+    await fs.writeFile(outPng, "");
+    return;
+  }
+  await deriveVariant({ master, outPng, width, height, focus, mode, signal });
+}
+
+// tts is null when the provider is skipped (dry run with a paid provider)
+async function synthesizeTTS({ text, outMp3, tts, signal }) {
+  if (!tts) {
     await fs.writeFile(outMp3, "");
     return;
   }
-  const speech = await client.audio.speech.create({
-    model: cfg.TTS_MODEL,
-    voice: cfg.TTS_VOICE,
-    input: text,
-  });
-  const buf = Buffer.from(await speech.arrayBuffer());
-  await fs.writeFile(outMp3, buf);
+  await tts.synthesize(text, outMp3, { signal });
 }
 
-// ---------- Captions / Storyboard ----------
-function splitForCaptions(text, totalSec) {
-  const parts = text.replace(/\n+/g, " ").split(/(?<=[.!?])\s+/).filter(Boolean).slice(0, 10);
-  const each = Math.max(2, Math.floor(totalSec / Math.max(1, parts.length)));
-  const spans = [];
-  let t = 0;
-  for (let i = 0; i < parts.length; i++) {
-    const start = t;
-    const end = i === parts.length - 1 ? totalSec : Math.min(totalSec, t + each);
-    spans.push({ start, end, text: parts[i] });
-    t = end;
-  }
-  if (spans.length === 0) spans.push({ start: 0, end: totalSec, text });
-  return spans;
+// ---------- Cost estimate ----------
+// Projected spend of a fresh kit (see costs.js): one script attempt, the voiceover and every
+// OpenAI image request. Offline providers, library images and project images are free.
+async function estimateRun({ topic, cfg, template, vars, project, orientations, imageStyle, languages = [] }) {
+  const text = !project && {
+    model: cfg.TEXT_MODEL,
+    promptChars: scriptPrompt(topic, cfg, template, vars).length,
+    words: scriptRules(cfg.VIDEO_SEC).targetWords,
+    scenes: cfg.SCENES_COUNT,
+  };
+  const spoken = project && [project.hook, ...project.sections.map((s) => s.text), project.disclaimer];
+  const script = project
+    ? { characters: spoken.filter(Boolean).join("\n").length }
+    : { words: scriptRules(cfg.VIDEO_SEC).targetWords };
+  // Every language after the first is translated from the script
+  const translation = languages.length > 1 && {
+    model: cfg.TEXT_MODEL,
+    promptChars: translationPrompt(
+      { sections: Array.from({ length: project ? project.sections.length : cfg.SCENES_COUNT }, () => ({ text: "" })) },
+      { from: languages[0], to: languages[1] }
+    ).length,
+    ...script,
+    languages: languages.length - 1,
+  };
+  let tts = null;
+  if (!OFFLINE_TTS_PROVIDERS.includes(cfg.TTS_PROVIDER)) {
+    const model = cfg.TTS_PROVIDER === "elevenlabs" ? cfg.ELEVENLABS_MODEL : cfg.TTS_MODEL;
+    tts = { model, ...script, languages: Math.max(1, languages.length) };
+  }
+  const images = [];
+  if (cfg.IMAGE_PROVIDER === "openai") {
+    // The provider's own request gives the exact model, size and quality; building it makes no call
+    const provider = createImageProvider("openai", cfg, { client: null });
+    const frames = cfg.IMAGE_MASTER ? masterFrames(orientations) : orientations;
+    for (const frame of frames) {
+      for (let i = 0; i < cfg.SCENES_COUNT; i++) {
+        if (project?.images[i]?.path) continue;
+        const { model, size, quality } = await provider.request({
+          prompt: "",
+          width: frame.width,
+          height: frame.height,
+          style: imageStyle,
+        });
+        images.push({ model, size, quality });
+      }
+    }
+  }
+  return estimateCost(cfg.PRICES, { text, translation, tts, images });
 }
 
-function toAss(cues) {
-  const header = `
-[Script Info]
-Title=Captions
-ScriptType=v4.00+
-PlayResX=${WIDTH}
-PlayResY=${HEIGHT}
-ScaledBorderAndShadow=yes
-
-[V4+ Styles]
-Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding
-Style: Caption,Montserrat SemiBold,64,&H00FFFFFF,&H00000000,&H96000000,&H64000000,-1,0,0,0,100,100,0,0,1,6,0,2,80,80,120,0
-
-[Events]
-Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text
-`.trim();
-
-  const lines = cues.map((c) => {
-    const fmt = (s) => {
-      const hh = String(Math.floor(s / 3600)).padStart(2, "0");
-      const mm = String(Math.floor((s % 3600) / 60)).padStart(2, "0");
-      const ss = (s % 60).toFixed(2).padStart(5, "0");
-      return `${hh}:${mm}:${ss}`;
-    };
-    return `Dialogue: 0,${fmt(c.start)},${fmt(c.end)},Caption,,0,0,0,,${c.text.replace(/\n/g, "\\N")}`;
-  });
-  return `${header}\n${lines.join("\n")}\n`;
+// Kit README line for the BRAND block and HOOK_TITLE
+function brandSummary(cfg, lx) {
+  const b = cfg.BRAND;
+  const parts = [];
+  if (b.logo) parts.push(`logo ${path.basename(b.logo)} (${b.logoPosition})`);
+  if (b.intro) parts.push(b.intro === "title" ? `title card (${b.introSec}s)` : `intro ${path.basename(b.intro)}`);
+  if (cfg.HOOK_TITLE) parts.push(`hook title (${b.hookSec}s)`);
+  if (brandCta(b, null)) parts.push(`end-screen CTA (${b.ctaSec}s)`);
+  if (b.outro) parts.push(b.outro === "cta" ? `CTA end card (${b.outroSec}s)` : `outro ${path.basename(b.outro)}`);
+  return parts.length ? `${parts.join(", ")}; files in <profile>/brand/, texts in <profile>/overlays${lx}.json` : "none";
 }
 
-function toStoryboard(scenePngs, perScene) {
-  const rows = ["filename,start,duration,cue"];
+// ---------- Storyboard ----------
+// One row per scene; durations come from the plan's section-aligned scenes. Motion,
+// transition and focus are only written for scenes that set them (see motion.js).
+function toStoryboard(scenePngs, scenes) {
+  const rows = [STORYBOARD_COLUMNS.join(",")];
   let t = 0;
   for (let i = 0; i < scenePngs.length; i++) {
-    rows.push(`${path.basename(scenePngs[i])},${t},${perScene},${i + 1}`);
-    t += perScene;
+    const { sec, motion, transition, focus } = scenes[i];
+    const filename = path.basename(scenePngs[i]);
+    rows.push(storyboardRow({ filename, start: t, duration: sec, cue: i + 1, motion, transition, focus }));
+    t += sec;
   }
   return rows.join("\n") + "\n";
 }
 
-// ---------- ffmpeg helpers ----------
-async function hasFfmpeg() {
-  return new Promise((resolve) => {
-    const p = spawn("ffmpeg", ["-version"]);
-    p.on("error", () => resolve(false));
-    p.on("close", (code) => resolve(code === 0));
-  });
+// ---------- Public API ----------
+// Precedence: env > user config > defaults
+function resolveConfig(userCfg) {
+  const cfg = {
+    TEXT_PROVIDER: process.env.TEXT_PROVIDER || userCfg.TEXT_PROVIDER || DEFAULTS.TEXT_PROVIDER,
+    // Empty: the provider's default model (DEFAULT_TEXT_MODELS)
+    TEXT_MODEL: process.env.TEXT_MODEL || userCfg.TEXT_MODEL || "",
+    TEXT_BASE_URL: process.env.TEXT_BASE_URL || userCfg.TEXT_BASE_URL || "",
+    TEXT_API_KEY: process.env.TEXT_API_KEY || userCfg.TEXT_API_KEY || "",
+    TEXT_JSON_MODE: process.env.TEXT_JSON_MODE || userCfg.TEXT_JSON_MODE || DEFAULTS.TEXT_JSON_MODE,
+    ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || userCfg.ANTHROPIC_API_KEY || "",
+    IMAGE_MODEL: process.env.IMAGE_MODEL || userCfg.IMAGE_MODEL || DEFAULTS.IMAGE_MODEL,
+    TTS_MODEL: process.env.TTS_MODEL || userCfg.TTS_MODEL || DEFAULTS.TTS_MODEL,
+    TTS_VOICE: process.env.TTS_VOICE || userCfg.TTS_VOICE || DEFAULTS.TTS_VOICE,
+    VIDEO_SEC: Number(process.env.VIDEO_SEC || userCfg.VIDEO_SEC || DEFAULTS.VIDEO_SEC),
+    SCENES_COUNT: Number(process.env.SCENES_COUNT || userCfg.SCENES_COUNT || DEFAULTS.SCENES_COUNT),
+    ELEVENLABS_API_KEY: process.env.ELEVENLABS_API_KEY || userCfg.ELEVENLABS_API_KEY,
+    TTS_PROVIDER: process.env.TTS_PROVIDER || userCfg.TTS_PROVIDER || DEFAULTS.TTS_PROVIDER,
+    ELEVENLABS_VOICE_ID: process.env.ELEVENLABS_VOICE_ID || userCfg.ELEVENLABS_VOICE_ID || DEFAULTS.ELEVENLABS_VOICE_ID,
+    ELEVENLABS_MODEL: process.env.ELEVENLABS_MODEL || userCfg.ELEVENLABS_MODEL || DEFAULTS.ELEVENLABS_MODEL,
+    ELEVENLABS_STABILITY: process.env.ELEVENLABS_STABILITY ?? userCfg.ELEVENLABS_STABILITY,
+    ELEVENLABS_SIMILARITY: process.env.ELEVENLABS_SIMILARITY ?? userCfg.ELEVENLABS_SIMILARITY,
+    ELEVENLABS_STYLE: process.env.ELEVENLABS_STYLE ?? userCfg.ELEVENLABS_STYLE,
+    ELEVENLABS_BASE_URL: process.env.ELEVENLABS_BASE_URL || userCfg.ELEVENLABS_BASE_URL,
+    LOCAL_TTS_ENGINE: process.env.LOCAL_TTS_ENGINE || userCfg.LOCAL_TTS_ENGINE || DEFAULTS.LOCAL_TTS_ENGINE,
+    LOCAL_TTS_VOICE: process.env.LOCAL_TTS_VOICE || userCfg.LOCAL_TTS_VOICE || DEFAULTS.LOCAL_TTS_VOICE,
+    LOCAL_TTS_RATE: parseInt(process.env.LOCAL_TTS_RATE || userCfg.LOCAL_TTS_RATE || DEFAULTS.LOCAL_TTS_RATE, 10),
+    PIPER_MODEL: process.env.PIPER_MODEL || userCfg.PIPER_MODEL || "",
+    CAPTION_ALIGN: process.env.CAPTION_ALIGN || userCfg.CAPTION_ALIGN || DEFAULTS.CAPTION_ALIGN,
+    ALIGNER_CMD: process.env.ALIGNER_CMD || userCfg.ALIGNER_CMD || "",
+    CAPTION_PRESET: process.env.CAPTION_PRESET || userCfg.CAPTION_PRESET || DEFAULTS.CAPTION_PRESET,
+    // Platform UI to keep captions clear of on portrait profiles: none, tiktok, reels or shorts
+    SAFE_AREA: process.env.SAFE_AREA || userCfg.SAFE_AREA || DEFAULTS.SAFE_AREA,
+    // Burn captions into the picture; off muxes captions.srt as a soft subtitle track instead
+    BURN_CAPTIONS: !["0", "false", "no", "off"].includes(
+      String(process.env.BURN_CAPTIONS ?? userCfg.BURN_CAPTIONS ?? "true").toLowerCase()
+    ),
+    IMAGE_FIT: process.env.IMAGE_FIT || userCfg.IMAGE_FIT || DEFAULTS.IMAGE_FIT,
+    IMAGE_PROVIDER: process.env.IMAGE_PROVIDER || userCfg.IMAGE_PROVIDER || DEFAULTS.IMAGE_PROVIDER,
+    IMAGE_LIBRARY: process.env.IMAGE_LIBRARY || userCfg.IMAGE_LIBRARY || "",
+    IMAGE_MASTER: ["1", "true"].includes(String(process.env.IMAGE_MASTER || userCfg.IMAGE_MASTER || "").toLowerCase()),
+    IMAGE_CROP: process.env.IMAGE_CROP || userCfg.IMAGE_CROP || DEFAULTS.IMAGE_CROP,
+    CONCURRENCY: parseInt(process.env.CONCURRENCY || userCfg.CONCURRENCY || DEFAULTS.CONCURRENCY, 10),
+    REQUEST_TIMEOUT_SEC: Number(process.env.REQUEST_TIMEOUT_SEC || userCfg.REQUEST_TIMEOUT_SEC || DEFAULTS.REQUEST_TIMEOUT_SEC),
+    MAX_RETRIES: parseInt(process.env.MAX_RETRIES ?? userCfg.MAX_RETRIES ?? DEFAULTS.MAX_RETRIES, 10),
+    SCRIPT_REPAIRS: parseInt(process.env.SCRIPT_REPAIRS ?? userCfg.SCRIPT_REPAIRS ?? DEFAULTS.SCRIPT_REPAIRS, 10),
+    TEMPLATE: process.env.TEMPLATE || userCfg.TEMPLATE || DEFAULTS.TEMPLATE,
+    BATCH_PARALLEL: parseInt(process.env.BATCH_PARALLEL || userCfg.BATCH_PARALLEL || DEFAULTS.BATCH_PARALLEL, 10),
+    // USD budget per run (per batch for `viral batch`); 0 = no limit
+    MAX_COST: Number(process.env.MAX_COST || userCfg.MAX_COST || 0),
+    // Background track: file, folder, mood from MUSIC_LIBRARY, or none (see music.js)
+    MUSIC: process.env.MUSIC || userCfg.MUSIC || "",
+    // Empty: ~/.config/viral-video/music/
+    MUSIC_LIBRARY: process.env.MUSIC_LIBRARY || userCfg.MUSIC_LIBRARY || "",
+    LOUDNESS_TARGET: Number(process.env.LOUDNESS_TARGET || userCfg.LOUDNESS_TARGET || DEFAULTS.LOUDNESS_TARGET),
+    // Kit languages, script language first (see translate.js); empty = one language
+    LANGUAGES: process.env.LANGUAGES || userCfg.LANGUAGES || "",
+    // Scene motion and transitions (see motion.js)
+    MOTION: process.env.MOTION || userCfg.MOTION || DEFAULTS.MOTION,
+    TRANSITION: process.env.TRANSITION || userCfg.TRANSITION || DEFAULTS.TRANSITION,
+    TRANSITION_SEC: Number(process.env.TRANSITION_SEC || userCfg.TRANSITION_SEC || DEFAULTS.TRANSITION_SEC),
+    // Encoder trade-off and overrides (see render.js); empty overrides use the preset's
+    ENCODE_PRESET: process.env.ENCODE_PRESET || userCfg.ENCODE_PRESET || DEFAULTS.ENCODE_PRESET,
+    CRF: process.env.CRF ?? userCfg.CRF ?? "",
+    ENCODE_SPEED: process.env.ENCODE_SPEED || userCfg.ENCODE_SPEED || "",
+    VIDEO_BITRATE: process.env.VIDEO_BITRATE || userCfg.VIDEO_BITRATE || "",
+    // Music level, fades and ducking (see music.js); config.json only
+    MUSIC_MIX: userCfg.MUSIC_MIX && typeof userCfg.MUSIC_MIX === "object" ? userCfg.MUSIC_MIX : {},
+    // Logo, fonts, colours, intro/outro and end-screen CTA (see brand.js); config.json only
+    BRAND: userCfg.BRAND && typeof userCfg.BRAND === "object" ? userCfg.BRAND : {},
+    // Large hook text over the first seconds
+    HOOK_TITLE: ["1", "true", "yes", "on"].includes(String(process.env.HOOK_TITLE ?? userCfg.HOOK_TITLE ?? "").toLowerCase()),
+    // Price table overrides (see costs.js); config.json only
+    PRICES: resolvePrices(userCfg.PRICES),
+    OUTPUT_PROFILES: process.env.OUTPUT_PROFILES || userCfg.OUTPUT_PROFILES || DEFAULT_PROFILES.join(","),
+    // Custom/overridden output profiles; config.json only
+    PROFILES: userCfg.PROFILES && typeof userCfg.PROFILES === "object" ? userCfg.PROFILES : {},
+    // Caption style overrides (font, size, colors, position); config.json only
+    CAPTIONS: userCfg.CAPTIONS && typeof userCfg.CAPTIONS === "object" ? userCfg.CAPTIONS : {},
+  };
+  // The timeline needs whole, positive counts; anything else would fail deep inside it
+  for (const key of ["VIDEO_SEC", "SCENES_COUNT"]) {
+    if (!(Number.isInteger(cfg[key]) && cfg[key] > 0)) {
+      throw new Error(`${key} must be a positive whole number (got ${process.env[key] || userCfg[key]}).`);
+    }
+  }
+  return cfg;
 }
 
-async function renderVideo(outDir, perScene) {
-  const scenesDir = path.join(outDir, "scenes");
-  const buildDir = path.join(outDir, "build");
-  await ensureDir(path.join(buildDir, "segs"));
-
-  const csv = await fs.readFile(path.join(outDir, "storyboard.csv"), "utf8");
-  const lines = csv.trim().split("\n").slice(1);
-  for (const line of lines) {
-    if (!line.trim()) continue;
-    const [fname, , durationStr] = line.split(",");
-    const duration = parseInt(durationStr, 10);
-    const base = fname.replace(/\.png$/i, "");
-    const inP = path.join(scenesDir, fname);
-    const outP = path.join(buildDir, "segs", `${base}.mp4`);
-
-    await new Promise((resolve, reject) => {
-      const args = [
-        "-nostdin",
-        "-y",
-        "-loop",
-        "1",
-        "-t",
-        String(duration),
-        "-i",
-        inP,
-        "-vf",
-        `scale=${WIDTH}:${HEIGHT},zoompan=z='min(zoom+0.0009,1.06)':x='iw/2-(iw/zoom/2)':y='ih/2-(ih/zoom/2)':fps=${FPS}:d=${
-          duration * FPS
-        },format=yuv420p`,
-        "-r",
-        String(FPS),
-        "-pix_fmt",
-        "yuv420p",
-        "-an",
-        outP,
-      ];
-      const p = spawn("ffmpeg", args, { stdio: "inherit" });
-      p.on("error", reject);
-      p.on("close", (code) => (code === 0 ? resolve() : reject(new Error("ffmpeg seg fail"))));
-    });
+// --motion / --transition over config; checked up front so a typo fails before anything is spent
+function applyMotion(cfg, options) {
+  if (options.motion) cfg.MOTION = options.motion;
+  if (options.transition) cfg.TRANSITION = options.transition;
+  cfg.MOTION = parseMotion(cfg.MOTION);
+  cfg.TRANSITION = parseTransition(cfg.TRANSITION);
+  if (!(cfg.TRANSITION_SEC > 0 && cfg.TRANSITION_SEC <= 5)) {
+    throw new Error(`TRANSITION_SEC must be a number of seconds from 0 to 5 (got ${cfg.TRANSITION_SEC}).`);
   }
+}
 
-  const concatTxt = (await fs.readdir(path.join(buildDir, "segs")))
-    .filter((f) => f.endsWith(".mp4"))
-    .sort()
-    .map((f) => `file '${path.join(buildDir, "segs", f)}'`)
-    .join("\n");
-  const concatPath = path.join(buildDir, "concat.txt");
-  await fs.writeFile(concatPath, concatTxt, "utf8");
-
-  const nocaptions = path.join(buildDir, "video_nocaptions.mp4");
-  await new Promise((resolve, reject) => {
-    const p = spawn("ffmpeg", ["-nostdin", "-y", "-f", "concat", "-safe", "0", "-i", concatPath, "-c", "copy", nocaptions], {
-      stdio: "inherit",
-    });
-    p.on("error", reject);
-    p.on("close", (code) => (code === 0 ? resolve() : reject(new Error("concat fail"))));
-  });
-
-  const captions = path.join(outDir, "captions.ass");
-  const withCaptions = path.join(buildDir, "video_captions.mp4");
-  await new Promise((resolve, reject) => {
-    const p = spawn("ffmpeg", ["-nostdin", "-y", "-i", nocaptions, "-vf", `ass=${captions}`, "-c:a", "copy", withCaptions], {
-      stdio: "inherit",
-    });
-    p.on("error", reject);
-    p.on("close", (code) => (code === 0 ? resolve() : reject(new Error("burn captions fail"))));
-  });
-
-  const voice = path.join(outDir, "audio", "voiceover.mp3");
-  const music = path.join(outDir, "audio", "music.mp3");
-  const output = path.join(outDir, "output.mp4");
-
-  const exists = async (p) => !!(await fs.stat(p).catch(() => false));
-  const haveVO = await exists(voice);
-  const haveBG = await exists(music);
-
-  if (haveVO && haveBG) {
-    await new Promise((resolve, reject) => {
-      const args = [
-        "-nostdin",
-        "-y",
-        "-i",
-        withCaptions,
-        "-i",
-        voice,
-        "-i",
-        music,
-        "-filter_complex",
-        "[1:a]aformat=channel_layouts=stereo,volume=1.0[vo];[2:a]aformat=channel_layouts=stereo,compand=gain=-2[bg];[bg][vo]sidechaincompress=threshold=0.05:ratio=8:attack=5:release=300[ducked];[ducked]volume=0.5[mix]",
-        "-map",
-        "0:v",
-        "-map",
-        "[mix]",
-        "-c:v",
-        "libx264",
-        "-profile:v",
-        "high",
-        "-level",
-        "4.1",
-        "-pix_fmt",
-        "yuv420p",
-        "-r",
-        String(FPS),
-        "-c:a",
-        "aac",
-        "-b:a",
-        "192k",
-        "-shortest",
-        output,
-      ];
-      const p = spawn("ffmpeg", args, { stdio: "inherit" });
-      p.on("error", reject);
-      p.on("close", (code) => (code === 0 ? resolve() : reject(new Error("audio mix fail"))));
-    });
-  } else if (haveVO) {
-    await new Promise((resolve, reject) => {
-      const p = spawn(
-        "ffmpeg",
-        [
-          "-nostdin",
-          "-y",
-          "-i",
-          withCaptions,
-          "-i",
-          voice,
-          "-map",
-          "0:v",
-          "-map",
-          "1:a",
-          "-c:v",
-          "libx264",
-          "-pix_fmt",
-          "yuv420p",
-          "-r",
-          String(FPS),
-          "-c:a",
-          "aac",
-          "-b:a",
-          "192k",
-          "-shortest",
-          output,
-        ],
-        { stdio: "inherit" }
-      );
-      p.on("error", reject);
-      p.on("close", (code) => (code === 0 ? resolve() : reject(new Error("mux VO fail"))));
-    });
-  } else if (haveBG) {
-    await new Promise((resolve, reject) => {
-      const p = spawn(
-        "ffmpeg",
-        [
-          "-nostdin",
-          "-y",
-          "-i",
-          withCaptions,
-          "-i",
-          music,
-          "-map",
-          "0:v",
-          "-map",
-          "1:a",
-          "-c:v",
-          "libx264",
-          "-pix_fmt",
-          "yuv420p",
-          "-r",
-          String(FPS),
-          "-c:a",
-          "aac",
-          "-b:a",
-          "192k",
-          "-shortest",
-          output,
-        ],
-        { stdio: "inherit" }
-      );
-      p.on("error", reject);
-      p.on("close", (code) => (code === 0 ? resolve() : reject(new Error("mux music fail"))));
-    });
-  } else {
-    await fs.copyFile(withCaptions, output);
+// --encode / --crf / --encode-speed / --video-bitrate over config, checked before anything is spent;
+// returns the flags a profile cannot override (see profileConfig)
+function applyEncode(cfg, options) {
+  if (options.crf !== undefined && options.videoBitrate) {
+    throw new Error("Use either --crf or --video-bitrate, not both.");
   }
-
-  console.log(`\n✅ Rendered ${output}`);
+  if (options.encode) cfg.ENCODE_PRESET = options.encode;
+  if (options.encodeSpeed) cfg.ENCODE_SPEED = options.encodeSpeed;
+  // A quality level and a bitrate are one setting: a flag for either replaces both config values
+  if (options.crf !== undefined || options.videoBitrate) {
+    cfg.CRF = options.crf ?? "";
+    cfg.VIDEO_BITRATE = options.videoBitrate || "";
+  }
+  const presets = Object.keys(ENCODE_PRESETS);
+  if (!presets.includes(cfg.ENCODE_PRESET)) {
+    throw new Error(`Unknown encode preset "${cfg.ENCODE_PRESET}". Expected one of: ${presets.join(", ")}`);
+  }
+  const crfSet = cfg.CRF !== "" && cfg.CRF !== null && cfg.CRF !== undefined;
+  if (ENCODE_PRESETS[cfg.ENCODE_PRESET].lossless && (crfSet || cfg.VIDEO_BITRATE)) {
+    throw new Error(
+      `--encode ${cfg.ENCODE_PRESET} is lossless, so it takes no CRF or VIDEO_BITRATE ` +
+        "(from --crf, --video-bitrate, env or config.json)."
+    );
+  }
+  if (crfSet && cfg.VIDEO_BITRATE) {
+    throw new Error("Set either CRF or VIDEO_BITRATE, not both.");
+  }
+  if (crfSet) {
+    const crf = Number(cfg.CRF);
+    if (!Number.isInteger(crf) || crf < 0 || crf > 51) {
+      throw new Error(`CRF must be a whole number from 0 to 51 (got ${cfg.CRF}).`);
+    }
+    cfg.CRF = crf;
+  }
+  if (cfg.ENCODE_SPEED && !ENCODE_SPEEDS.includes(cfg.ENCODE_SPEED)) {
+    throw new Error(`Unknown encode speed "${cfg.ENCODE_SPEED}". Expected one of: ${ENCODE_SPEEDS.join(", ")}`);
+  }
+  if (cfg.VIDEO_BITRATE && !/^\d+(\.\d+)?[kKmM]?$/.test(String(cfg.VIDEO_BITRATE))) {
+    throw new Error(`VIDEO_BITRATE must be a bitrate such as 8M or 2500k (got ${cfg.VIDEO_BITRATE}).`);
+  }
+  return {
+    CRF: options.crf !== undefined ? cfg.CRF : undefined,
+    VIDEO_BITRATE: options.videoBitrate || undefined,
+  };
 }
 
-// ---------- Public API ----------
 export async function run(topic, options = {}) {
+  // --from: a hand-written project replaces the text-model step
+  const project = options.from ? await loadProject(options.from, { title: topic }) : null;
+  if (project && !topic) topic = project.topic;
   if (!topic || typeof topic !== "string") {
     throw new Error('Missing required "topic"');
   }
 
   const userCfg = await loadUserConfig();
-
-  // Precedence: env > user config > defaults
-  const cfg = {
-    TEXT_MODEL: process.env.TEXT_MODEL || userCfg.TEXT_MODEL || DEFAULTS.TEXT_MODEL,
-    IMAGE_MODEL: process.env.IMAGE_MODEL || userCfg.IMAGE_MODEL || DEFAULTS.IMAGE_MODEL,
-    TTS_MODEL: process.env.TTS_MODEL || userCfg.TTS_MODEL || DEFAULTS.TTS_MODEL,
-    TTS_VOICE: process.env.TTS_VOICE || userCfg.TTS_VOICE || DEFAULTS.TTS_VOICE,
-    VIDEO_SEC: parseInt(process.env.VIDEO_SEC || userCfg.VIDEO_SEC || DEFAULTS.VIDEO_SEC, 10),
-    SCENES_COUNT: parseInt(process.env.SCENES_COUNT || userCfg.SCENES_COUNT || DEFAULTS.SCENES_COUNT, 10),
-    ELEVENLABS_API_KEY: process.env.ELEVENLABS_API_KEY || userCfg.ELEVENLABS_API_KEY,
-  };
+  const cfg = resolveConfig(userCfg);
 
   const dryRun = options.dryRun === true;
+  // Reuse matching assets from a previous run unless --force
+  const force = options.force === true;
+
+  if (options.align) cfg.CAPTION_ALIGN = options.align;
+  if (!ALIGN_MODES.includes(cfg.CAPTION_ALIGN)) {
+    throw new Error(`Unknown caption alignment "${cfg.CAPTION_ALIGN}". Expected one of: ${ALIGN_MODES.join(", ")}`);
+  }
+  if (options.captions) cfg.CAPTION_PRESET = options.captions;
+  if (!CAPTION_PRESETS.includes(cfg.CAPTION_PRESET)) {
+    throw new Error(`Unknown caption preset "${cfg.CAPTION_PRESET}". Expected one of: ${CAPTION_PRESETS.join(", ")}`);
+  }
+  if (options.safeArea) cfg.SAFE_AREA = options.safeArea;
+  cfg.SAFE_AREA = parseSafeArea(cfg.SAFE_AREA);
+  if (options.burnCaptions !== undefined) cfg.BURN_CAPTIONS = options.burnCaptions;
+  if (options.fit) cfg.IMAGE_FIT = options.fit;
+  if (!IMAGE_FITS.includes(cfg.IMAGE_FIT)) {
+    throw new Error(`Unknown image fit "${cfg.IMAGE_FIT}". Expected one of: ${IMAGE_FITS.join(", ")}`);
+  }
+  applyMotion(cfg, options);
+  const encodeFlags = applyEncode(cfg, options);
+  if (cfg.CAPTION_ALIGN === "aligner" && !cfg.ALIGNER_CMD && !dryRun) {
+    throw new Error("CAPTION_ALIGN=aligner requires ALIGNER_CMD (e.g. a forced-aligner command using {audio} {text} {out}).");
+  }
+
+  // Project settings sit between flags and env/config
+  if (project) {
+    if (project.duration) cfg.VIDEO_SEC = project.duration;
+    if (project.images.length) cfg.SCENES_COUNT = project.images.length;
+    if (project.voice.provider) cfg.TTS_PROVIDER = project.voice.provider;
+  }
 
   // Gender -> voice mapping (flags override env/default)
-  if (options.gender === "male") cfg.TTS_VOICE = "alloy";
-  if (options.gender === "female") cfg.TTS_VOICE = "luna";
+  if (options.ttsProvider) cfg.TTS_PROVIDER = options.ttsProvider;
+  if (!TTS_PROVIDERS.includes(cfg.TTS_PROVIDER)) {
+    throw new Error(`Unknown TTS provider "${cfg.TTS_PROVIDER}". Expected one of: ${TTS_PROVIDERS.join(", ")}`);
+  }
+  // A project's voice name applies unless --male/--female is given
+  const gender = options.gender || project?.voice.gender;
+  const genderVoice = GENDER_VOICES[cfg.TTS_PROVIDER][gender];
+  if (project?.voice.voice && !options.gender) cfg[VOICE_KEYS[cfg.TTS_PROVIDER]] = project.voice.voice;
+  else if (genderVoice) cfg[VOICE_KEYS[cfg.TTS_PROVIDER]] = genderVoice;
+  // An explicit voice name (batch "voice" column) beats both
+  if (options.voice) cfg[VOICE_KEYS[cfg.TTS_PROVIDER]] = options.voice;
+
+  if (options.imageProvider) cfg.IMAGE_PROVIDER = options.imageProvider;
+  if (options.imageLibrary) cfg.IMAGE_LIBRARY = options.imageLibrary;
+  if (!IMAGE_PROVIDERS.includes(cfg.IMAGE_PROVIDER)) {
+    throw new Error(`Unknown image provider "${cfg.IMAGE_PROVIDER}". Expected one of: ${IMAGE_PROVIDERS.join(", ")}`);
+  }
+
+  if (options.masterImages) cfg.IMAGE_MASTER = true;
+  if (options.crop) cfg.IMAGE_CROP = options.crop;
+  if (!IMAGE_CROPS.includes(cfg.IMAGE_CROP)) {
+    throw new Error(`Unknown image crop "${cfg.IMAGE_CROP}". Expected one of: ${IMAGE_CROPS.join(", ")}`);
+  }
+  if (options.concurrency !== undefined) cfg.CONCURRENCY = parseInt(options.concurrency, 10);
+  if (!(cfg.CONCURRENCY >= 1)) {
+    throw new Error(`Concurrency must be a positive integer (got ${options.concurrency ?? cfg.CONCURRENCY}).`);
+  }
+
+  if (options.textProvider) cfg.TEXT_PROVIDER = options.textProvider;
+  if (!TEXT_PROVIDERS.includes(cfg.TEXT_PROVIDER)) {
+    throw new Error(`Unknown text provider "${cfg.TEXT_PROVIDER}". Expected one of: ${TEXT_PROVIDERS.join(", ")}`);
+  }
+  if (!TEXT_JSON_MODES.includes(cfg.TEXT_JSON_MODE)) {
+    throw new Error(`Unknown TEXT_JSON_MODE "${cfg.TEXT_JSON_MODE}". Expected one of: ${TEXT_JSON_MODES.join(", ")}`);
+  }
+  if (!cfg.TEXT_MODEL) cfg.TEXT_MODEL = DEFAULT_TEXT_MODELS[cfg.TEXT_PROVIDER];
+  if (options.maxCost !== undefined) cfg.MAX_COST = Number(options.maxCost);
+  if (!(cfg.MAX_COST >= 0)) {
+    throw new Error(`Max cost must be an amount in USD (got ${options.maxCost ?? cfg.MAX_COST}).`);
+  }
+  // --languages: the script's own language first, then the ones it is translated into
+  if (options.languages !== undefined) cfg.LANGUAGES = options.languages;
+  const languages = parseLanguages(cfg.LANGUAGES);
+  const trackCount = Math.max(1, languages.length);
 
   // Image style selection (default cartoon)
-  const imageStyle = options.style || "cartoon";
+  const imageStyle = options.style || project?.style || "cartoon";
+
+  // Content template (the script prompt); project files bring their own script
+  if (options.template) cfg.TEMPLATE = options.template;
+  const template = project
+    ? null
+    : await loadTemplate(cfg.TEMPLATE, { userDir: path.join(configPaths().dir, "templates") });
+  const vars = template && templateVars(template, options);
+  const voiceStyle = template?.voice || "smooth, educational";
+
+  // Background music is picked up front, so a bad --music fails before anything is spent
+  if (options.music !== undefined) cfg.MUSIC = options.music;
+  if (!(cfg.LOUDNESS_TARGET >= -70 && cfg.LOUDNESS_TARGET <= -5)) {
+    throw new Error(`LOUDNESS_TARGET must be a LUFS value from -70 to -5 (got ${cfg.LOUDNESS_TARGET}).`);
+  }
+  musicMix(cfg.MUSIC_MIX);
+  // Brand files are checked (and made absolute) up front too
+  cfg.BRAND = await resolveBrandFiles(brandKit(cfg.BRAND));
+  if (options.hookTitle !== undefined) cfg.HOOK_TITLE = options.hookTitle;
+  const music = await resolveMusic(cfg.MUSIC, {
+    library: cfg.MUSIC_LIBRARY || path.join(configPaths().dir, "music"),
+    words: `${topic} ${vars?.tone || ""}`,
+    seed: topic,
+  });
 
   // Progress setup
   const onProgress = typeof options.onProgress === "function" ? options.onProgress : null;
-  const orientations = [
-    { name: "vertical", WIDTH: 1080, HEIGHT: 1920 },
-    { name: "horizontal", WIDTH: 1920, HEIGHT: 1080 },
-  ];
+  const orientations = resolveProfiles(options.profiles || cfg.OUTPUT_PROFILES, cfg.PROFILES);
   const ffmpegAvailable = !dryRun && (await hasFfmpeg());
   let total = 0;
   total += 1; // script
-  total += 1; // tts
-  total += 3; // root files: script.json, voiceover.txt, README.md
+  total += trackCount - 1; // translations
+  total += trackCount; // tts
+  total += trackCount; // caption alignment
+  total += 2 + trackCount; // root files: script.json, README.md, voiceover.txt per language
+  if (cfg.IMAGE_MASTER) total += cfg.SCENES_COUNT * masterFrames(orientations).length; // one master per scene and orientation
   for (const o of orientations) {
     total += cfg.SCENES_COUNT; // images
-    total += 1; // captions
+    total += trackCount; // captions
     total += 1; // storyboard
     if (ffmpegAvailable) total += 1; // render
   }
@@ -506,108 +642,707 @@ export async function run(topic, options = {}) {
     current++;
     onProgress && onProgress({ current, total, message });
   };
+  // Status updates (retries) that don't advance the bar
+  const note = (message) => onProgress && onProgress({ current, total, message });
+
+  // Projected spend, before any call; --estimate stops here
+  const projected = await estimateRun({ topic, cfg, template, vars, project, orientations, imageStyle, languages });
+  if (options.estimateOnly) return projected;
+
+  const slug = slugify(topic);
+  const outDir = path.join(path.resolve(options.buildDir || "build"), slug);
+  const audioDir = path.join(outDir, "audio");
+
+  // --max-cost: a batch passes its shared budget. A resumed kit only pays for what changed, so
+  // there only the per-call check applies
+  const budget = options.budget || createBudget(cfg.MAX_COST);
+  const resuming = !force && (await pathExists(path.join(outDir, "manifest.json")));
+  // Matching assets are reused either way; --resume also insists there is a previous run to continue
+  if (options.resume && !resuming) {
+    throw new Error(`Nothing to resume: ${outDir} has no manifest.json from a previous run.`);
+  }
+  if (!dryRun && !resuming && projected.usd > budget.remaining) {
+    const limit = `${options.budget ? "the remaining batch budget" : "--max-cost"} of ${formatUSD(budget.remaining)}`;
+    throw new Error(`Estimated cost ${formatUSD(projected.usd)} is over ${limit}. Run with --estimate for a breakdown.`);
+  }
+  // Dry runs make no paid calls, so they leave usage.json alone
+  const usage = dryRun
+    ? null
+    : await createUsage({
+        file: path.join(outDir, "usage.json"),
+        prices: cfg.PRICES,
+        budget,
+        estimateUsd: projected.usd,
+      });
+  // Paid calls reserve their projected cost first and are recorded once they succeed
+  const paid = (label, item, call) =>
+    usage.guard(label, itemCost(cfg.PRICES, item) ?? 0, async () => {
+      const result = await call();
+      await usage.record({ label, ...item });
+      return result;
+    });
 
   const OPENAI_API_KEY = process.env.OPENAI_API_KEY || userCfg.OPENAI_API_KEY || "";
-  if (!OPENAI_API_KEY && !dryRun) {
+  // Only the OpenAI backends need the key: a project file (or a local/Anthropic text model) with
+  // offline voice and images runs without one
+  const needsOpenAI =
+    ((!project || languages.length > 1) && cfg.TEXT_PROVIDER === "openai" && !cfg.TEXT_BASE_URL) ||
+    cfg.TTS_PROVIDER === "openai" ||
+    (cfg.IMAGE_PROVIDER === "openai" &&
+      (!project || project.images.length < cfg.SCENES_COUNT || project.images.some((img) => !img.path)));
+  if (!OPENAI_API_KEY && !dryRun && needsOpenAI) {
     throw new Error("Missing OPENAI_API_KEY. Set environment variable or run 'viral setup'.");
   }
-  const client = dryRun ? null : new OpenAI({ apiKey: OPENAI_API_KEY });
+  // The scheduler owns retries, so the SDK's own are off
+  const client = dryRun || !OPENAI_API_KEY ? null : new OpenAI({ apiKey: OPENAI_API_KEY, maxRetries: 0 });
+  // A batch passes its shared limiter so CONCURRENCY caps requests across all of its videos
+  const jobs = createScheduler({
+    concurrency: cfg.CONCURRENCY,
+    ...(options.limiter ? { limiter: options.limiter } : {}),
+    retries: Number.isInteger(cfg.MAX_RETRIES) && cfg.MAX_RETRIES >= 0 ? cfg.MAX_RETRIES : DEFAULTS.MAX_RETRIES,
+    timeoutMs: cfg.REQUEST_TIMEOUT_SEC > 0 ? cfg.REQUEST_TIMEOUT_SEC * 1000 : 0,
+    onRetry: ({ label, attempt, delayMs, error }) =>
+      note(`Retrying ${label} in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt + 1}): ${error.message}`),
+  });
+  // Dry runs and project files never call the text model
+  const text =
+    dryRun || project
+      ? null
+      : createTextProvider(cfg.TEXT_PROVIDER, cfg, {
+          client,
+          onUsage: (u) => usage.record({ kind: "text", label: "script", ...u }).catch(() => {}),
+        });
+  // Each script attempt (repairs included) is checked against the budget at the one-attempt estimate
+  const scriptUsd = projected.lines.find((l) => l.label === "script")?.usd || 0;
+  const scriptText = text && {
+    ...text,
+    complete: (req, opts) => usage.guard("script", scriptUsd, () => text.complete(req, opts)),
+  };
+  // Translations go through the same text model, budgeted per language; dry runs use placeholders
+  const translateLine = projected.lines.find((l) => l.label === "translation");
+  const translator =
+    dryRun || languages.length < 2
+      ? null
+      : createTextProvider(cfg.TEXT_PROVIDER, cfg, {
+          client,
+          onUsage: (u) => usage.record({ kind: "text", label: "translation", ...u }).catch(() => {}),
+        });
+  const translateText = translator && {
+    ...translator,
+    complete: (req, opts) =>
+      usage.guard("translation", (translateLine?.usd || 0) / (languages.length - 1), () => translator.complete(req, opts)),
+  };
+  // Offline TTS and image providers cost nothing, so dry runs still use them and skip only the paid
+  // ones. One TTS provider per language, since the local engines need a voice for each
+  const ttsFor = new Map(
+    (languages.length ? languages : [null]).map((lang) => [
+      lang,
+      !dryRun || OFFLINE_TTS_PROVIDERS.includes(cfg.TTS_PROVIDER)
+        ? createTTSProvider(cfg.TTS_PROVIDER, cfg, { client, lang })
+        : null,
+    ])
+  );
+  // Dry runs with a paid image provider draw placeholder frames instead, so the kit stays renderable
+  let imageProviderName = cfg.IMAGE_PROVIDER;
+  if (dryRun && !OFFLINE_IMAGE_PROVIDERS.includes(imageProviderName)) {
+    imageProviderName = (await hasFfmpeg()) ? "placeholder" : null;
+  }
+  const images = imageProviderName ? createImageProvider(imageProviderName, cfg, { client }) : null;
+  if (cfg.IMAGE_MASTER && images && !(await hasFfmpeg())) {
+    throw new Error("IMAGE_MASTER needs ffmpeg to crop each scene master into the output profiles.");
+  }
+  // Synthesis through a paid voice provider is budgeted and recorded by character count
+  const speak = async (tts, label, say, outMp3, signal) => {
+    const call = () => synthesizeTTS({ text: say, outMp3, tts, signal });
+    if (!usage || !tts || OFFLINE_TTS_PROVIDERS.includes(tts.name)) return call();
+    return paid(label, { kind: "tts", model: (await tts.request(say)).model, characters: say.length }, call);
+  };
 
-  const slug = slugify(topic);
-  const outDir = path.join(process.cwd(), "build", slug);
-  const audioDir = path.join(outDir, "audio");
   await ensureDir(audioDir);
+  // --music replaces the kit's track and "none" removes it; otherwise a hand-placed one stays
+  if (music || NO_MUSIC.includes(String(cfg.MUSIC).trim().toLowerCase())) {
+    await removeMusic(audioDir);
+    if (music) await fs.copyFile(music.file, path.join(audioDir, `music${path.extname(music.file).toLowerCase()}`));
+  }
 
-  const plan = await generateScript({ topic, client, cfg, dryRun });
-  tick("Generated script");
+  // Dry runs write placeholder files only, so they neither read nor record the manifest
+  const cache = dryRun ? null : await openAssetCache(outDir, { enabled: !force });
+
+  const scriptKey =
+    text &&
+    assetKey({
+      kind: "script",
+      ...text.request(scriptPrompt(topic, cfg, template, vars)),
+      disclaimer: vars.disclaimer,
+    });
+  let plan;
+  if (project) {
+    plan = projectPlan(project, cfg);
+    tick(`Loaded script from ${path.basename(options.from)}`);
+  } else if (cache && (await cache.has("script.json", scriptKey))) {
+    plan = JSON.parse(await fs.readFile(path.join(outDir, "script.json"), "utf8"));
+    tick("Reused script");
+  } else {
+    plan = await jobs.run("script", ({ signal }) =>
+      generateScript({ topic, text: scriptText, cfg, template, vars, dryRun, outDir, signal })
+    );
+    tick("Generated script");
+  }
+  plan.scenes.forEach((sc, i) => {
+    try {
+      if (sc.motion) parseMotion(sc.motion);
+      if (sc.transition) parseTransition(sc.transition);
+    } catch (e) {
+      throw new Error(`script.json scene ${i + 1}: ${e.message}`);
+    }
+  });
 
   // Override ttsStyle in saved metadata when gender flag provided
-  if (options.gender) {
-    plan.ttsStyle = `${options.gender}, smooth, educational`;
+  if (gender) {
+    plan.ttsStyle = `${gender}, ${voiceStyle}`;
   }
 
-  const voText = [plan.hook, ...plan.sections.map((s) => s.text), plan.disclaimer].filter(Boolean).join("\n");
+  if (languages.length) plan.language = languages[0];
   await writeJSON(path.join(outDir, "script.json"), plan);
+  if (cache && !project) await cache.record("script.json", scriptKey);
   tick("Wrote script.json");
-  await fs.writeFile(path.join(outDir, "voiceover.txt"), voText, "utf8");
-  tick("Wrote voiceover.txt");
-
-  const perScene = Math.round(cfg.VIDEO_SEC / cfg.SCENES_COUNT);
-
-  // Synthesize TTS once at the root (reused for both orientations)
-  await synthesizeTTS({
-    text: voText,
-    outMp3: path.join(audioDir, "voiceover.mp3"),
-    client,
-    cfg,
-    dryRun,
-  });
-  tick("Synthesized voiceover");
 
-  // Write a per-topic README at the root describing both outputs
+  // Translated plans, saved as script.<lang>.json and reused while the source script is unchanged
+  const translated = async (lang) => {
+    const rel = `script.${lang}.json`;
+    const request = { from: languages[0], to: lang };
+    const key = translator && assetKey({ kind: "translation", ...translator.request(translationPrompt(plan, request)) });
+    let spoken;
+    if (cache && (await cache.has(rel, key))) {
+      spoken = JSON.parse(await fs.readFile(path.join(outDir, rel), "utf8"));
+      tick(`Reused ${languageName(lang)} translation`);
+    } else if (!translateText) {
+      spoken = placeholderTranslation(plan, lang);
+      tick(`Wrote placeholder ${languageName(lang)} translation`);
+    } else {
+      const repairs = Number.isInteger(cfg.SCRIPT_REPAIRS) && cfg.SCRIPT_REPAIRS >= 0 ? cfg.SCRIPT_REPAIRS : 1;
+      spoken = await jobs.run(`${lang} translation`, ({ signal }) =>
+        translatePlan({ text: translateText, plan, ...request, repairs, signal })
+      );
+      tick(`Translated script (${languageName(lang)})`);
+    }
+    await writeJSON(path.join(outDir, rel), spoken);
+    if (cache && key) await cache.record(rel, key);
+    return spoken;
+  };
+  // One track per language (a single unnamed one without --languages); sfx names its files
+  const tracks = languages.length
+    ? (await allJobs(jobs, languages.map(async (lang, i) => (i === 0 ? plan : translated(lang))))).map((spoken, i) => ({
+        lang: languages[i],
+        sfx: `.${languages[i]}`,
+        plan: spoken,
+      }))
+    : [{ lang: null, sfx: "", plan }];
+
+  // Voiceover and caption cues for one track, written as voiceover<sfx>.txt, audio/voiceover<sfx>.mp3
+  // and audio/alignment<sfx>.json
+  const voiceAndCues = async ({ lang, sfx, plan: spoken }) => {
+    const of = lang ? ` (${languageName(lang)})` : "";
+    const tts = ttsFor.get(lang);
+    const voText = [spoken.hook, ...spoken.sections.map((s) => s.text), spoken.disclaimer].filter(Boolean).join("\n");
+    await fs.writeFile(path.join(outDir, `voiceover${sfx}.txt`), voText, "utf8");
+    tick(`Wrote voiceover${sfx}.txt`);
+
+    // Sentences in spoken order (hook, sections, disclaimer), pre-timed against the section plan
+    const sentences = sectionCues(spoken);
+
+    // Synthesize TTS once at the root (reused for every profile)
+    const voicePath = path.join(audioDir, `voiceover${sfx}.mp3`);
+    let clipDurations = null;
+    if (cfg.CAPTION_ALIGN === "sentences" && tts && sentences.length) {
+      // One clip per sentence so every caption boundary is known exactly
+      const clipsDir = path.join(audioDir, `sentences${sfx}`);
+      await ensureDir(clipsDir);
+      const clips = await allJobs(
+        jobs,
+        sentences.map(async (sentence, i) => {
+          const name = `${String(i + 1).padStart(3, "0")}.mp3`;
+          const clip = path.join(clipsDir, name);
+          const rel = `audio/sentences${sfx}/${name}`;
+          const clipKey = assetKey({ kind: "tts", ...(await tts.request(sentence.text)) });
+          if (!(cache && (await cache.has(rel, clipKey)))) {
+            const label = `voiceover clip ${i + 1}${of}`;
+            await jobs.run(label, ({ signal }) => speak(tts, label, sentence.text, clip, signal));
+            if (cache) await cache.record(rel, clipKey);
+          }
+          return clip;
+        })
+      );
+      clipDurations = [];
+      for (const clip of clips) {
+        const sec = await probeDuration(clip);
+        if (sec === null) throw new Error("CAPTION_ALIGN=sentences requires ffprobe (install ffmpeg).");
+        clipDurations.push(sec);
+      }
+      await concatAudio(clips, voicePath);
+      tick(`Synthesized voiceover${of} (${clips.length} sentence clips)`);
+    } else {
+      const ttsKey = tts && assetKey({ kind: "tts", ...(await tts.request(voText)) });
+      if (cache && (await cache.has(`audio/voiceover${sfx}.mp3`, ttsKey))) {
+        tick(`Reused voiceover${of}`);
+      } else {
+        const label = `voiceover${of}`;
+        await jobs.run(label, ({ signal }) => speak(tts, label, voText, voicePath, signal));
+        if (cache) await cache.record(`audio/voiceover${sfx}.mp3`, ttsKey);
+        tick(`Synthesized voiceover${of}`);
+      }
+    }
+
+    // Caption cues with per-word timings, aligned to the real voiceover when possible
+    let cues;
+    let mode = tts ? cfg.CAPTION_ALIGN : "estimate";
+    if (!sentences.length) {
+      cues = withEstimatedWords(splitForCaptions(voText, cfg.VIDEO_SEC));
+    } else if (clipDurations) {
+      cues = withEstimatedWords(cuesFromClipDurations(sentences, clipDurations));
+    } else if (cfg.CAPTION_ALIGN === "aligner" && tts && cfg.ALIGNER_CMD) {
+      const textFile = path.join(audioDir, `alignment${sfx}.txt`);
+      await fs.writeFile(textFile, sentences.map((c) => c.text).join("\n"), "utf8");
+      const words = await runAligner({
+        cmd: cfg.ALIGNER_CMD,
+        audio: voicePath,
+        textFile,
+        out: path.join(audioDir, `aligner${sfx}.json`),
+      });
+      cues = cuesFromAlignedWords(sentences, words);
+      if (!cues) note(`Aligner output${of} does not match the script; using estimated caption timing`);
+    }
+    if (!cues) {
+      // Kept on the section timeline, so each section's captions run with its storyboard scenes
+      mode = "estimate";
+      cues = withEstimatedWords(sentences);
+    }
+    // Render cuts a longer voiceover at the video length, so its captions stop there too
+    cues = capCues(cues, cfg.VIDEO_SEC);
+    await writeJSON(path.join(audioDir, `alignment${sfx}.json`), { mode, cues });
+    tick(`Aligned captions${of}`);
+    return cues;
+  };
+  for (const track of tracks) track.cues = await voiceAndCues(track);
+
+  // Write a per-topic README at the root describing every output profile
+  const kitMusic = await findMusic(audioDir);
+  const musicSource = music ? ` from ${path.basename(music.file)}${music.mood ? ` (mood ${music.mood})` : ""}` : "";
+  const profileList = orientations.map((o) => `${o.name} (${o.width}x${o.height} @ ${o.fps}fps)`).join(", ");
+  const lx = languages.length ? ".<lang>" : "";
   const readme = `# Video kit for: ${topic}
-- Orientations: vertical (1080x1920) and horizontal (1920x1080)
-- Scenes per orientation: ${cfg.SCENES_COUNT} PNGs in <orientation>/scenes/
-- Voiceover: audio/voiceover.mp3 (root), copied into each <orientation>/audio/
-- Captions: <orientation>/captions.ass
-- Storyboard: <orientation>/storyboard.csv
-- Duration: ~${cfg.VIDEO_SEC}s, ${perScene}s per scene
+- Profiles: ${profileList}
+- Scenes per profile: ${cfg.SCENES_COUNT} PNGs in <profile>/scenes/
+- Voiceover: audio/voiceover${lx}.mp3 (root), copied into each <profile>/audio/
+- Captions: ${cfg.BURN_CAPTIONS ? `burned in from <profile>/captions${lx}.ass` : `soft subtitle track from <profile>/captions${lx}.srt`}; also captions${lx}.vtt and timed captions${lx}.json
+${languages.length ? `- Languages: ${languages.map(languageName).join(", ")} (script.<lang>.json, one <profile>/output.<lang>.mp4 each)\n` : ""}- Storyboard: <profile>/storyboard.csv
+- Duration: ${cfg.VIDEO_SEC}s; scene durations follow script sections (${plan.scenes.map((sc) => `${sc.sec}s`).join(", ")})
+- Script: ${project ? `project file ${path.basename(options.from)}` : `template ${template.name} (${vars.tone}; for ${vars.audience})`}
 - Image style: ${imageStyle}
+- Image provider: ${imageProviderName || "none (dry run; empty placeholder PNGs)"}
+- Scene images: ${cfg.IMAGE_MASTER ? `one master per scene and orientation in masters/<orientation>/, cropped per profile (${cfg.IMAGE_CROP})` : "generated per profile"}
+- Caption preset: ${cfg.CAPTION_PRESET}; safe area: ${cfg.SAFE_AREA} (portrait profiles)
+- Brand: ${brandSummary(cfg, lx)}
+- Motion: ${cfg.MOTION}; transition: ${cfg.TRANSITION} (per-scene overrides in <profile>/storyboard.csv)
+- Music: ${kitMusic ? `audio/${path.basename(kitMusic)}${musicSource}, ducked under the voice` : "none"}
+- Loudness: voice and music normalized to ${cfg.LOUDNESS_TARGET} LUFS on render
 
 ## Render
-If ffmpeg is installed, this CLI renders <orientation>/output.mp4 per orientation.
+If ffmpeg is installed, this CLI renders <profile>/output${lx}.mp4 per profile.
+Re-render after edits with: viral render <this-folder>
+Encode preset: ${cfg.ENCODE_PRESET} (viral render <this-folder> --encode draft for a quick preview)
 - macOS:  brew install ffmpeg
 - Ubuntu: sudo apt-get update && sudo apt-get install -y ffmpeg
 `;
   await fs.writeFile(path.join(outDir, "README.md"), readme, "utf8");
   tick("Wrote per-topic README");
 
-  // Prepare shared caption cues once
-  const cues = splitForCaptions(voText, cfg.VIDEO_SEC);
+  const styleLabel =
+    imageStyle === "realistic" ? "photorealistic" : imageStyle === "ai-generated" ? "AI-generated" : "stylized cartoon";
+  const sceneName = (i) => `scene${String(i + 1).padStart(2, "0")}.png`;
+  // Scenes with an image path in the project file use that file instead of the provider
+  const sceneImage = async (i, request) => {
+    const file = plan.imagePaths?.[i];
+    if (file) return { provider: fileImages, req: await fileImages.request({ file }) };
+    return { provider: images, req: images && (await images.request(request)) };
+  };
+  const imageJob = async ({ label, rel, outPng, provider, req, imageKey }) => {
+    if (cache && (await cache.has(rel, imageKey))) {
+      tick(`Reused ${label}`);
+      return;
+    }
+    const generate = ({ signal }) => generateImage({ outPng, provider, req, signal });
+    if (usage && provider?.name === "openai") {
+      const item = { kind: "image", model: req.model, size: req.size, quality: req.quality };
+      await jobs.run(label, ({ signal }) => paid(label, item, () => generate({ signal })));
+    } else {
+      await jobs.run(label, generate);
+    }
+    if (cache) await cache.record(rel, imageKey);
+    tick(`Generated ${label}`);
+  };
+
+  // IMAGE_MASTER: one image per scene and orientation (masters/<orientation>/), cropped per profile below
+  const masters = [];
+  if (cfg.IMAGE_MASTER) {
+    const focus = Array.from({ length: cfg.SCENES_COUNT }, (_, i) => {
+      try {
+        return parseFocus(plan.scenes[i]?.focus);
+      } catch (e) {
+        throw new Error(`script.json scene ${i + 1}: ${e.message}`);
+      }
+    });
+    for (const frame of masterFrames(orientations)) {
+      const mastersDir = path.join(outDir, "masters", frame.orientation);
+      await ensureDir(mastersDir);
+      const shapes =
+        frame.shapes.length > 1 ? `${frame.shapes.slice(0, -1).join(", ")} and ${frame.shapes.at(-1)}` : frame.shapes[0];
+      for (let i = 0; i < cfg.SCENES_COUNT; i++) {
+        const base = plan.imagePrompts[i] || `${topic}, ${styleLabel} frame.`;
+        const prompt = `${base} Keep the main subject clear of the edges; the image is cropped to ${shapes} frames.`;
+        // Requests are built in order (the library provider's picks depend on it); only the calls run in parallel
+        const { provider, req } = await sceneImage(i, { prompt, width: frame.width, height: frame.height, style: imageStyle });
+        masters.push({
+          label: `master image ${i + 1}/${cfg.SCENES_COUNT} (${frame.orientation})`,
+          rel: `masters/${frame.orientation}/${sceneName(i)}`,
+          outPng: path.join(mastersDir, sceneName(i)),
+          profiles: frame.profiles,
+          scene: i,
+          provider,
+          req,
+          imageKey: req && assetKey({ kind: "image", ...req }),
+          focus: focus[i],
+        });
+      }
+    }
+  }
 
+  // Prepare every profile folder and collect all scene images first, so one pool of
+  // CONCURRENCY requests covers the images of every profile
+  const imageJobs = [];
+  const variantJobs = [];
+  const kits = [];
   for (const o of orientations) {
-    const ocfg = { ...cfg, WIDTH: o.WIDTH, HEIGHT: o.HEIGHT };
+    const ocfg = profileConfig(cfg, o, encodeFlags);
 
     const oDir = path.join(outDir, o.name);
     const scenesDir = path.join(oDir, "scenes");
     const oAudioDir = path.join(oDir, "audio");
     await ensureDir(scenesDir);
     await ensureDir(oAudioDir);
+    // Recorded so `viral render` can re-render custom/inline profiles later
+    await writeJSON(path.join(oDir, "profile.json"), o);
 
     // Copy synthesized VO (and optional BG music) into each orientation folder
-    try {
-      await fs.copyFile(path.join(audioDir, "voiceover.mp3"), path.join(oAudioDir, "voiceover.mp3"));
-    } catch {}
-    try {
-      await fs.copyFile(path.join(audioDir, "music.mp3"), path.join(oAudioDir, "music.mp3"));
-    } catch {}
+    for (const { sfx } of tracks) {
+      try {
+        await fs.copyFile(path.join(audioDir, `voiceover${sfx}.mp3`), path.join(oAudioDir, `voiceover${sfx}.mp3`));
+      } catch {}
+    }
+    await removeMusic(oAudioDir);
+    const rootMusic = await findMusic(audioDir);
+    if (rootMusic) await fs.copyFile(rootMusic, path.join(oAudioDir, path.basename(rootMusic)));
 
     const sceneFiles = [];
     for (let i = 0; i < cfg.SCENES_COUNT; i++) {
-      const prompt =
-        plan.imagePrompts[i] ||
-        `${topic}, ${imageStyle === "realistic" ? "photorealistic" : imageStyle === "ai-generated" ? "AI-generated" : "stylized cartoon"} ${o.name} frame, ${ocfg.WIDTH}x${ocfg.HEIGHT}.`;
-      const name = `scene${String(i + 1).padStart(2, "0")}.png`;
-      const outPng = path.join(scenesDir, name);
-      await generateImage({ promptText: prompt, outPng, client, cfg: ocfg, dryRun, imageStyle });
+      const outPng = path.join(scenesDir, sceneName(i));
+      const rel = `${o.name}/scenes/${sceneName(i)}`;
+      const label = `image ${i + 1}/${cfg.SCENES_COUNT} (${o.name})`;
       sceneFiles.push(outPng);
-      tick(`Generated image ${i + 1}/${cfg.SCENES_COUNT} (${o.name})`);
+      if (cfg.IMAGE_MASTER) {
+        const master = masters.find((m) => m.scene === i && m.profiles.includes(o.name));
+        const variant = { width: ocfg.WIDTH, height: ocfg.HEIGHT, focus: master.focus, mode: cfg.IMAGE_CROP };
+        const variantKey = master.imageKey && assetKey({ kind: "variant", master: master.imageKey, ...variant });
+        variantJobs.push({ label, rel, outPng, master: master.outPng, variant, variantKey });
+        continue;
+      }
+      const prompt = plan.imagePrompts[i] || `${topic}, ${styleLabel} ${o.name} frame, ${ocfg.WIDTH}x${ocfg.HEIGHT}.`;
+      const { provider, req } = await sceneImage(i, { prompt, width: ocfg.WIDTH, height: ocfg.HEIGHT, style: imageStyle });
+      imageJobs.push({ label, rel, outPng, provider, req, imageKey: req && assetKey({ kind: "image", ...req }) });
     }
+    kits.push({ o, ocfg, oDir, sceneFiles });
+  }
+  await allJobs(jobs, [...masters, ...imageJobs].map(imageJob));
+  await allJobs(
+    jobs,
+    variantJobs.map(async ({ label, rel, outPng, master, variant, variantKey }) => {
+      if (cache && (await cache.has(rel, variantKey))) {
+        tick(`Reused ${label}`);
+        return;
+      }
+      await jobs.run(label, ({ signal }) => deriveImage({ master, outPng, provider: images, ...variant, signal }));
+      if (cache) await cache.record(rel, variantKey);
+      tick(`Cropped ${label} from master`);
+    })
+  );
 
-    const assText = toAss(cues, ocfg);
-    await fs.writeFile(path.join(oDir, "captions.ass"), assText, "utf8");
-    tick(`Wrote captions (${o.name})`);
-    const storyboard = toStoryboard(sceneFiles, perScene);
+  for (const { o, ocfg, oDir, sceneFiles } of kits) {
+    // Captions of languages dropped since the last run would otherwise be rendered again
+    await removeLanguageFiles(oDir, languages);
+    await copyBrandFiles(oDir, cfg.BRAND);
+    for (const { lang, sfx, cues: spoken, plan: text } of tracks) {
+      // On-screen text for the hook title, title card and end-screen CTA
+      await writeJSON(path.join(oDir, `overlays${sfx}.json`), {
+        title: text.title,
+        hook: text.hook,
+        cta: brandCta(cfg.BRAND, lang),
+      });
+      // Wrapped and split for this profile's width and safe area; every caption file shares the result
+      const cues = layoutCues(spoken, ocfg);
+      await fs.writeFile(path.join(oDir, `captions${sfx}.ass`), toAss(cues, ocfg), "utf8");
+      await fs.writeFile(path.join(oDir, `captions${sfx}.srt`), toSrt(cues), "utf8");
+      await fs.writeFile(path.join(oDir, `captions${sfx}.vtt`), toVtt(cues), "utf8");
+      await writeJSON(path.join(oDir, `captions${sfx}.json`), toCaptionJSON(cues));
+      tick(`Wrote captions (${o.name}${lang ? `, ${languageName(lang)}` : ""})`);
+    }
+    const storyboard = toStoryboard(sceneFiles, plan.scenes);
     await fs.writeFile(path.join(oDir, "storyboard.csv"), storyboard, "utf8");
     tick(`Wrote storyboard (${o.name})`);
 
     if (ffmpegAvailable) {
-      await renderVideo(oDir, perScene, ocfg);
+      await renderVideo(oDir, ocfg, { languages });
       tick(`Rendered video (${o.name})`);
     } else if (!dryRun) {
       console.log(`⚠️ ffmpeg not found. Assets are ready in: ${oDir}`);
     }
   }
 
+  if (usage) await usage.save();
   return outDir;
-}
\ No newline at end of file
+}
+
+// Projected cost of run(topic, options) without making any call or writing any file
+export async function estimate(topic, options = {}) {
+  return run(topic, { ...options, estimateOnly: true });
+}
+
+// Per-language files in a profile folder: captions.<lang>.{ass,srt,vtt,json}, overlays.<lang>.json
+// and output.<lang>.mp4
+const LANGUAGE_FILE = /^(captions|output|overlays)\.([a-z]{2}(?:-[A-Z]{2})?)\.(ass|srt|vtt|json|mp4)$/;
+
+// Languages a profile was made in, from its captions.<lang>.ass files ([] for a single-language kit)
+async function kitLanguages(oDir) {
+  const files = await fs.readdir(oDir).catch(() => []);
+  return files
+    .map((f) => f.match(LANGUAGE_FILE))
+    .filter((m) => m && m[1] === "captions" && m[3] === "ass")
+    .map((m) => m[2])
+    .sort();
+}
+
+async function removeLanguageFiles(oDir, keep) {
+  for (const f of await fs.readdir(oDir).catch(() => [])) {
+    const m = f.match(LANGUAGE_FILE);
+    if (m && !keep.includes(m[2])) await fs.rm(path.join(oDir, f), { force: true });
+  }
+}
+
+// Re-render an existing kit (build/<slug>/) from its on-disk storyboard, scenes,
+// captions and audio. No script, image or voiceover generation happens here.
+export async function render(kitDir, options = {}) {
+  if (!kitDir || typeof kitDir !== "string") {
+    throw new Error('Missing required "kitDir"');
+  }
+  const orientation = options.orientation || "all";
+
+  const cfg = resolveConfig(await loadUserConfig());
+  if (options.fit) cfg.IMAGE_FIT = options.fit;
+  if (!IMAGE_FITS.includes(cfg.IMAGE_FIT)) {
+    throw new Error(`Unknown image fit "${cfg.IMAGE_FIT}". Expected one of: ${IMAGE_FITS.join(", ")}`);
+  }
+  applyMotion(cfg, options);
+  const encodeFlags = applyEncode(cfg, options);
+  if (options.burnCaptions !== undefined) cfg.BURN_CAPTIONS = options.burnCaptions;
+  if (options.hookTitle !== undefined) cfg.HOOK_TITLE = options.hookTitle;
+  // The logo and clips come from the kit's brand/ folders; config.json only styles them
+  brandKit(cfg.BRAND);
+
+  const outDir = path.resolve(kitDir);
+  const stat = await fs.stat(outDir).catch(() => null);
+  if (!stat || !stat.isDirectory()) {
+    throw new Error(`Kit directory not found: ${outDir}`);
+  }
+
+  // Profile settings come from the kit's profile.json when present, else from known profiles
+  const defs = knownProfiles(cfg.PROFILES);
+  const loadProfile = async (name) => {
+    const recorded = await fs.readFile(path.join(outDir, name, "profile.json"), "utf8").catch(() => null);
+    if (recorded) return makeProfile(name, JSON.parse(recorded));
+    return defs[name] ? makeProfile(name, defs[name]) : null;
+  };
+
+  let names;
+  if (orientation === "all") {
+    const entries = await fs.readdir(outDir, { withFileTypes: true });
+    names = entries.filter((e) => e.isDirectory()).map((e) => e.name).sort();
+  } else {
+    names = parseProfileList(orientation);
+  }
+
+  const targets = [];
+  for (const name of names) {
+    const oDir = path.join(outDir, name);
+    const profile = await loadProfile(name);
+    if (orientation === "all") {
+      if (profile && (await pathExists(path.join(oDir, "storyboard.csv")))) targets.push({ o: profile, oDir });
+      continue;
+    }
+    if (!profile) {
+      throw new Error(`Unknown orientation "${name}". Expected one of: ${Object.keys(defs).join(", ")}, all`);
+    }
+    if (!(await pathExists(path.join(oDir, "storyboard.csv")))) {
+      throw new Error(`Missing storyboard.csv in ${oDir}`);
+    }
+    targets.push({ o: profile, oDir });
+  }
+  if (targets.length === 0) {
+    throw new Error(`No renderable profiles found in ${outDir}`);
+  }
+
+  if (!(await hasFfmpeg())) {
+    throw new Error("ffmpeg not found. Install ffmpeg to render a kit.");
+  }
+
+  const onProgress = typeof options.onProgress === "function" ? options.onProgress : null;
+  const total = targets.length;
+  let current = 0;
+
+  const outputs = [];
+  for (const { o, oDir } of targets) {
+    outputs.push(...(await renderVideo(oDir, profileConfig(cfg, o, encodeFlags), { languages: await kitLanguages(oDir) })));
+    current++;
+    onProgress && onProgress({ current, total, message: `Rendered video (${o.name})` });
+  }
+  return outputs;
+}
+
+// ---------- Batch ----------
+// One kit per row of a batch file (see batch.js). `parallel` rows run at once and share one
+// request limit (CONCURRENCY) and one --max-cost budget; a failed row is recorded and the others
+// carry on. The report is written to <buildDir>/batch-report.json (or options.report) and
+// returned. With options.estimate, only the projected cost of every row is returned.
+export async function batch(file, options = {}) {
+  const rows = await loadBatch(file);
+  const cfg = resolveConfig(await loadUserConfig());
+  const shared = options.create || {};
+  const buildDir = path.resolve(options.buildDir || "build");
+
+  if (options.estimate) {
+    const results = [];
+    for (const [i, row] of rows.entries()) {
+      const topic = row.topic.trim();
+      const projected = await estimate(topic, { ...shared, ...rowOptions(row), buildDir });
+      results.push({ row: i + 1, topic, estimateUsd: projected.usd, unpriced: projected.unpriced });
+    }
+    const estimateUsd = results.reduce((a, r) => a + r.estimateUsd, 0);
+    return { file: path.resolve(file), total: rows.length, estimateUsd, results };
+  }
+
+  const maxCost = Number(options.maxCost ?? cfg.MAX_COST);
+  if (!(maxCost >= 0)) {
+    throw new Error(`Max cost must be an amount in USD (got ${options.maxCost ?? cfg.MAX_COST}).`);
+  }
+
+  const concurrency = parseInt(options.concurrency ?? cfg.CONCURRENCY, 10);
+  if (!(concurrency >= 1)) {
+    throw new Error(`Concurrency must be a positive integer (got ${options.concurrency ?? cfg.CONCURRENCY}).`);
+  }
+  const parallel = parseInt(options.parallel ?? cfg.BATCH_PARALLEL, 10);
+  if (!(parallel >= 1)) {
+    throw new Error(`Parallel videos must be a positive integer (got ${options.parallel ?? cfg.BATCH_PARALLEL}).`);
+  }
+
+  // Two rows with the same folder would overwrite each other mid-run
+  const seen = new Map();
+  const clashes = [];
+  rows.forEach((row, i) => {
+    const slug = slugify(row.topic);
+    if (seen.has(slug)) clashes.push(`row ${i + 1}.topic: same kit folder as row ${seen.get(slug) + 1} (${slug})`);
+    else seen.set(slug, i);
+  });
+  if (clashes.length) {
+    throw new Error(`Invalid batch file ${file}:\n${clashes.map((e) => `  - ${e}`).join("\n")}`);
+  }
+
+  const onEvent = typeof options.onEvent === "function" ? options.onEvent : null;
+  const limiter = createLimiter(concurrency);
+  const budget = createBudget(maxCost);
+  const startedAt = new Date();
+  const results = new Array(rows.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < rows.length) {
+      const i = next++;
+      const topic = rows[i].topic.trim();
+      onEvent && onEvent({ type: "start", row: i + 1, total: rows.length, topic });
+      const t0 = Date.now();
+      let result;
+      try {
+        const outDir = await run(topic, { ...shared, ...rowOptions(rows[i]), buildDir, limiter, budget, concurrency });
+        result = { status: "ok", outDir, outputs: await kitOutputs(outDir), videoSec: await kitVideoSec(outDir) };
+      } catch (err) {
+        result = { status: "failed", error: err?.message || String(err), outDir: null, outputs: [], videoSec: null };
+      }
+      // A failed row may still have paid for its script or some images
+      const costUsd = await kitCost(path.join(buildDir, slugify(topic)), t0);
+      const elapsedSec = Math.round((Date.now() - t0) / 100) / 10;
+      results[i] = { row: i + 1, topic, ...result, costUsd, elapsedSec };
+      onEvent && onEvent({ type: "done", total: rows.length, ...results[i] });
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(parallel, rows.length) }, worker));
+
+  const finishedAt = new Date();
+  const report = {
+    file: path.resolve(file),
+    startedAt: startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    elapsedSec: Math.round((finishedAt - startedAt) / 100) / 10,
+    total: rows.length,
+    succeeded: results.filter((r) => r.status === "ok").length,
+    failed: results.filter((r) => r.status === "failed").length,
+    costUsd: results.reduce((a, r) => a + (r.costUsd || 0), 0),
+    maxCostUsd: budget.max,
+    results,
+  };
+  const reportFile = path.resolve(options.report || path.join(buildDir, "batch-report.json"));
+  await ensureDir(path.dirname(reportFile));
+  await writeJSON(reportFile, report);
+  return { ...report, reportFile };
+}
+
+// Rendered videos in a kit, one per profile folder (one per language in multi-language kits)
+async function kitOutputs(outDir) {
+  const entries = await fs.readdir(outDir, { withFileTypes: true }).catch(() => []);
+  const outputs = [];
+  for (const e of entries) {
+    if (!e.isDirectory()) continue;
+    const languages = await kitLanguages(path.join(outDir, e.name));
+    for (const sfx of languages.length ? languages.map((l) => `.${l}`) : [""]) {
+      const file = path.join(outDir, e.name, `output${sfx}.mp4`);
+      if (await pathExists(file)) outputs.push(file);
+    }
+  }
+  return outputs;
+}
+
+// What this batch's run of a kit spent, from its usage.json (null when it made no paid call)
+async function kitCost(outDir, since) {
+  try {
+    const usage = JSON.parse(await fs.readFile(path.join(outDir, "usage.json"), "utf8"));
+    return Date.parse(usage.updatedAt) >= since ? usage.usd : null;
+  } catch {
+    return null;
+  }
+}
+
+// Planned video length from the kit's script.json
+async function kitVideoSec(outDir) {
+  try {
+    const plan = JSON.parse(await fs.readFile(path.join(outDir, "script.json"), "utf8"));
+    return plan.sections.reduce((a, s) => a + s.sec, 0);
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,161 @@
+// ---------- Job scheduler ----------
+// Runs provider calls (script, images, TTS clips) with a concurrency cap, a per-attempt timeout
+// and retries with exponential backoff + jitter on transient failures (429, 5xx, timeouts,
+// dropped connections). Everything else fails on the first attempt.
+
+const RETRYABLE_CODES = ["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EAI_AGAIN", "EPIPE", "UND_ERR_SOCKET"];
+const CONNECTION_ERRORS = ["APIConnectionError", "APIConnectionTimeoutError"];
+
+export function isRetryable(err) {
+  if (!err || err.cancelled) return false;
+  if (err.name === "TimeoutError") return true;
+  const status = Number(err.status);
+  if (status === 408 || status === 409 || status === 429 || status >= 500) return true;
+  if (CONNECTION_ERRORS.includes(err.constructor?.name)) return true;
+  const code = err.code || err.cause?.code;
+  return RETRYABLE_CODES.includes(code);
+}
+
+// Seconds from a Retry-After header (OpenAI SDK errors carry a Headers object, others a plain one)
+function retryAfterMs(err) {
+  const h = err?.headers;
+  const value = h && (typeof h.get === "function" ? h.get("retry-after") : h["retry-after"]);
+  const sec = Number(value);
+  return Number.isFinite(sec) && sec > 0 ? sec * 1000 : 0;
+}
+
+// Exponential backoff with "equal jitter": half the window is fixed, half random
+export function backoffDelay(attempt, { baseMs = 1000, maxMs = 30000, random = Math.random } = {}) {
+  const window = Math.min(maxMs, baseMs * 2 ** attempt);
+  return Math.round(window / 2 + random() * (window / 2));
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function attempt(task, timeoutMs, n) {
+  const controller = new AbortController();
+  if (!timeoutMs) return task({ signal: controller.signal, attempt: n });
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`timed out after ${Math.round(timeoutMs / 1000)}s`);
+      err.name = "TimeoutError";
+      controller.abort(err);
+      reject(err);
+    }, timeoutMs);
+  });
+  try {
+    return await Promise.race([task({ signal: controller.signal, attempt: n }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Concurrency slots. Every scheduler has its own unless one is passed in, so a batch can share a
+// single limit across all of its videos while each video keeps its own retries and cancellation.
+export function createLimiter(concurrency = 4) {
+  const limit = Math.max(1, Math.floor(Number(concurrency)) || 1);
+  let active = 0;
+  const queue = [];
+  return {
+    acquire(owner) {
+      if (active < limit) {
+        active++;
+        return Promise.resolve();
+      }
+      return new Promise((resolve, reject) => queue.push({ owner, resolve, reject }));
+    },
+    // Hand the slot straight to the next queued job
+    release() {
+      const next = queue.shift();
+      if (next) next.resolve();
+      else active--;
+    },
+    // Reject one owner's queued jobs, leaving everyone else's in place
+    drop(owner, reason) {
+      for (let i = queue.length - 1; i >= 0; i--) {
+        if (queue[i].owner === owner) queue.splice(i, 1)[0].reject(reason);
+      }
+    },
+  };
+}
+
+// task({ signal, attempt }) should pass signal on to fetch / the SDK / spawn so timeouts abort it.
+// onRetry({ label, attempt, delayMs, error }) is called before each backoff wait.
+// With failFast (default) the first job that fails for good cancels every job still queued.
+export function createScheduler({
+  concurrency = 4,
+  limiter = createLimiter(concurrency),
+  retries = 4,
+  timeoutMs = 180000,
+  baseDelayMs = 1000,
+  maxDelayMs = 30000,
+  onRetry,
+  failFast = true,
+  sleep = wait,
+  random = Math.random,
+} = {}) {
+  const owner = {};
+  let cancelled = null;
+
+  const acquire = () => (cancelled ? Promise.reject(cancelled) : limiter.acquire(owner));
+  const release = () => limiter.release();
+
+  async function run(label, task) {
+    await acquire();
+    try {
+      for (let n = 0; ; n++) {
+        try {
+          return await attempt(task, timeoutMs, n);
+        } catch (err) {
+          const retryable = isRetryable(err);
+          if (!retryable || n >= retries || cancelled) {
+            let final = err;
+            if (retryable && n > 0) {
+              final = new Error(`${label} failed after ${n + 1} attempts: ${err.message}`);
+              final.status = err.status;
+              final.cause = err;
+            }
+            // Cancel before releasing the slot so no queued job starts in the meantime
+            if (failFast && !err.cancelled) cancel(final);
+            throw final;
+          }
+          const delayMs = Math.max(retryAfterMs(err), backoffDelay(n, { baseMs: baseDelayMs, maxMs: maxDelayMs, random }));
+          if (onRetry) onRetry({ label, attempt: n + 1, delayMs, error: err });
+          await sleep(delayMs);
+          if (cancelled) throw cancelled;
+        }
+      }
+    } finally {
+      release();
+    }
+  }
+
+  // Reject every job still waiting for a slot; running jobs finish on their own
+  function cancel(reason) {
+    if (cancelled) return;
+    cancelled = new Error(`Cancelled: ${reason?.message || reason || "scheduler stopped"}`);
+    cancelled.cancelled = true;
+    limiter.drop(owner, cancelled);
+  }
+
+  return { run, cancel };
+}
+
+// Wait for a batch of scheduled jobs. The first failure cancels the jobs still queued, waits for
+// the running ones to settle (so nothing writes after we return), then is rethrown.
+export async function allJobs(scheduler, jobs) {
+  let first = null;
+  const results = await Promise.allSettled(
+    jobs.map((job) =>
+      job.catch((err) => {
+        if (!first && !err.cancelled) first = err;
+        scheduler.cancel(err);
+        throw err;
+      })
+    )
+  );
+  const failed = results.find((r) => r.status === "rejected");
+  if (failed) throw first || failed.reason;
+  return results.map((r) => r.value);
+}
@@ -0,0 +1,170 @@
+import { parseFocus } from "./images.js";
+
+// ---------- Motion and transitions ----------
+// Each scene is a still animated with zoompan, and scenes are joined with xfade transitions.
+// MOTION / TRANSITION (--motion, --transition) set the defaults; a scene overrides them with
+// "motion" / "transition" in script.json (or project images), which end up in the storyboard.csv
+// columns of the same name. Edit those columns and run `viral render` to restyle single scenes.
+//
+//   motion       zoom-in (default), zoom-out, pan-left, pan-right, kenburns (zoom that drifts
+//                toward the scene's focus point), static
+//   transition   cut (default), crossfade, slide, wipe, whip; on a scene it means the transition
+//                into the next one
+//
+// A transition is centred on the scene change: the outgoing scene runs on for half of it and the
+// incoming one starts half of it early, so the video stays VIDEO_SEC long and every scene change
+// still happens at the storyboard time the captions were timed against.
+
+export const MOTIONS = ["zoom-in", "zoom-out", "pan-left", "pan-right", "kenburns", "static"];
+
+// xfade transition per name; scale shortens TRANSITION_SEC for the quick ones
+const XFADES = {
+  cut: null,
+  crossfade: { xfade: "fade", scale: 1 },
+  slide: { xfade: "slideleft", scale: 1 },
+  wipe: { xfade: "wipeleft", scale: 1 },
+  whip: { xfade: "smoothleft", scale: 0.5 },
+};
+export const TRANSITIONS = Object.keys(XFADES);
+
+// How far the frame zooms over a scene (1.08 = 8%)
+const ZOOM = 0.08;
+const KENBURNS_ZOOM = 0.15;
+const PAN_ZOOM = 0.1;
+
+export function parseMotion(value) {
+  const name = String(value ?? "").trim().toLowerCase();
+  if (!MOTIONS.includes(name)) throw new Error(`Unknown motion "${value}". Expected one of: ${MOTIONS.join(", ")}`);
+  return name;
+}
+
+export function parseTransition(value) {
+  const name = String(value ?? "").trim().toLowerCase();
+  if (!TRANSITIONS.includes(name)) {
+    throw new Error(`Unknown transition "${value}". Expected one of: ${TRANSITIONS.join(", ")}`);
+  }
+  return name;
+}
+
+// zoompan for `frames` output frames of one still. The frame is already scaled to width x height;
+// x/y place the zoomed window (0 = left/top edge, iw-iw/zoom = right/bottom edge).
+export function motionFilter({ width, height, fps, frames, motion = "zoom-in", focus = { x: 0.5, y: 0.5 } }) {
+  const p = `on/${Math.max(1, frames - 1)}`;
+  const at = (share, axis) => `(${axis}-${axis}/zoom)*${share}`;
+  let z = "1";
+  let x = at(focus.x, "iw");
+  let y = at(focus.y, "ih");
+  if (motion === "zoom-in") z = `1+${ZOOM}*${p}`;
+  else if (motion === "zoom-out") z = `${1 + ZOOM}-${ZOOM}*${p}`;
+  else if (motion === "pan-left" || motion === "pan-right") {
+    z = String(1 + PAN_ZOOM);
+    x = at(motion === "pan-left" ? `(1-${p})` : p, "iw");
+  } else if (motion === "kenburns") {
+    // Starts centred and ends on the focus point
+    z = `1+${KENBURNS_ZOOM}*${p}`;
+    const drift = (v) => Math.round((v - 0.5) * 1000) / 1000;
+    x = at(`(0.5+${drift(focus.x)}*${p})`, "iw");
+    y = at(`(0.5+${drift(focus.y)}*${p})`, "ih");
+  }
+  return `zoompan=z='${z}':x='${x}':y='${y}':fps=${fps}:d=${frames}:s=${width}x${height}`;
+}
+
+// ---------- Storyboard ----------
+// storyboard.csv: filename,start,duration,cue[,motion,transition,focus]. Empty cells fall back to
+// MOTION / TRANSITION; focus is "x y" (0-1) or a name such as "top-right". Files written before
+// these columns existed still render.
+export const STORYBOARD_COLUMNS = ["filename", "start", "duration", "cue", "motion", "transition", "focus"];
+
+export function storyboardRow({ filename, start, duration, cue, motion, transition, focus }) {
+  let spot = "";
+  if (focus !== undefined && focus !== null && focus !== "") {
+    const f = parseFocus(focus);
+    spot = typeof focus === "string" ? focus : `${f.x} ${f.y}`;
+  }
+  return [filename, start, duration, cue, motion || "", transition || "", spot].join(",");
+}
+
+export function parseStoryboard(csv) {
+  const [head, ...lines] = String(csv).replace(/^\uFEFF/, "").trim().split(/\r?\n/);
+  const keys = head.split(",").map((k) => k.trim().toLowerCase());
+  const rows = [];
+  lines.forEach((line, i) => {
+    if (!line.trim()) return;
+    const cells = line.split(",");
+    const get = (key) => (keys.includes(key) ? (cells[keys.indexOf(key)] ?? "").trim() : "");
+    const at = `storyboard.csv row ${i + 1}`;
+    const duration = Number(get("duration"));
+    if (!get("filename") || !(duration > 0)) throw new Error(`${at}: needs a filename and a positive duration`);
+    const spot = get("focus");
+    try {
+      rows.push({
+        filename: get("filename"),
+        duration,
+        motion: get("motion") ? parseMotion(get("motion")) : null,
+        transition: get("transition") ? parseTransition(get("transition")) : null,
+        focus: parseFocus(/^[\d.]+\s+[\d.]+$/.test(spot) ? spot.split(/\s+/) : spot),
+      });
+    } catch (e) {
+      throw new Error(`${at}: ${e.message}`);
+    }
+  });
+  return rows;
+}
+
+// ---------- Timeline ----------
+// Frame-exact plan for the segments of a storyboard. Scene k starts at frame start[k]; the
+// transition after it takes `frames` frames centred on start[k + 1], so segment k runs from
+// start[k] - lead(k) to start[k + 1] + trail(k + 1) and xfade k begins at start[k + 1] - lead.
+// A transition is at most half of either neighbouring scene, so every scene is fully visible
+// for a moment. Returns { frames, segments: [{ filename, frames, motion, focus, transition }] }.
+export function planSegments(rows, { fps, motion = "zoom-in", transition = "cut", transitionSec = 0.5 }) {
+  const starts = [0];
+  let t = 0;
+  for (const row of rows) {
+    t += row.duration;
+    starts.push(Math.round(t * fps));
+  }
+  const cuts = rows.slice(0, -1).map((row, k) => {
+    const name = row.transition || transition;
+    const spec = XFADES[name];
+    const room = Math.floor(Math.min(starts[k + 1] - starts[k], starts[k + 2] - starts[k + 1]) / 2);
+    const frames = spec ? Math.min(Math.round(transitionSec * spec.scale * fps), room) : 0;
+    // Anything shorter than two frames is a cut
+    if (frames < 2) return { name: "cut", frames: 0, lead: 0, trail: 0 };
+    const lead = Math.floor(frames / 2);
+    return { name, xfade: spec.xfade, frames, lead, trail: frames - lead, offset: (starts[k + 1] - lead) / fps };
+  });
+
+  const segments = rows.map((row, k) => {
+    const from = starts[k] - (k > 0 ? cuts[k - 1].lead : 0);
+    const to = starts[k + 1] + (k < cuts.length ? cuts[k].trail : 0);
+    return {
+      filename: row.filename,
+      frames: to - from,
+      motion: row.motion || motion,
+      focus: row.focus,
+      transition: k < cuts.length ? cuts[k] : null,
+    };
+  });
+  return { frames: starts[rows.length], segments };
+}
+
+// filter_complex joining the segments into [output]; `inputs` are their labels (default: inputs
+// 0..n-1). Returns null when every join is a cut, for the caller to use a plain concat.
+export function transitionFilter(segments, fps, { inputs = segments.map((_, k) => `${k}:v`), output = "video" } = {}) {
+  const joins = segments.slice(0, -1).map((s) => s.transition);
+  if (joins.every((j) => !j || j.name === "cut")) return null;
+  const sec = (n) => Math.round(n * 1e6) / 1e6;
+  const parts = [];
+  let prev = inputs[0];
+  joins.forEach((j, k) => {
+    const out = k === joins.length - 1 ? output : `j${k + 1}`;
+    const join =
+      j.name === "cut"
+        ? "concat=n=2:v=1:a=0"
+        : `xfade=transition=${j.xfade}:duration=${sec(j.frames / fps)}:offset=${sec(j.offset)}`;
+    parts.push(`[${prev}][${inputs[k + 1]}]${join}[${out}]`);
+    prev = out;
+  });
+  return parts.join(";");
+}
@@ -0,0 +1,173 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { createHash } from "node:crypto";
+import { keywords, scanLibrary } from "./images.js";
+
+// ---------- Music ----------
+// --music (MUSIC) picks the background track:
+//   an audio file     that track
+//   a folder          the track whose name/tags best match the topic and template tone
+//   a mood (calm)     a track tagged with it in MUSIC_LIBRARY (default ~/.config/viral-video/music/)
+//   none              no music
+// Tags come from folder and file names plus an optional tags.json, as in the image library, so
+// music/upbeat/sunny-day.mp3 is tagged upbeat, sunny and day.
+//
+// The kit keeps a copy as audio/music.<ext>. On render it is looped or trimmed to the video,
+// faded in and out, loudness-normalized together with the voice and ducked under it (mixFilter).
+
+export const MUSIC_EXTS = [".mp3", ".m4a", ".aac", ".wav", ".ogg", ".flac"];
+export const NO_MUSIC = ["none", "off"];
+
+// Mix settings; any of these can be overridden through the MUSIC_MIX block in config.json.
+//   volume       music level in dB relative to the voice (both normalized first)
+//   fadeIn/Out   seconds
+//   duckDepth    roughly how many dB the music drops while the voice speaks (0 = no ducking)
+//   duckAttack   ms for the music to drop once speech starts
+//   duckRelease  ms for it to come back after speech stops
+export const DEFAULT_MUSIC_MIX = { volume: -12, fadeIn: 1, fadeOut: 2, duckDepth: 12, duckAttack: 20, duckRelease: 400 };
+
+const MIX_LIMITS = {
+  volume: [-40, 0],
+  fadeIn: [0, 30],
+  fadeOut: [0, 30],
+  duckDepth: [0, 30],
+  duckAttack: [0.01, 2000],
+  duckRelease: [0.01, 9000],
+};
+
+// Normalized speech sits about this far above the sidechain threshold, which turns a ducking
+// depth into a compressor ratio: depth = excess * (1 - 1 / ratio)
+const DUCK_THRESHOLD = 0.03;
+const DUCK_EXCESS_DB = 16;
+const TRUE_PEAK = -1.5;
+
+// Defaults plus config overrides, checked against the ranges ffmpeg accepts
+export function musicMix(overrides = {}) {
+  const user = overrides && typeof overrides === "object" ? overrides : {};
+  const mix = { ...DEFAULT_MUSIC_MIX, ...user };
+  for (const [key, [min, max]] of Object.entries(MIX_LIMITS)) {
+    const v = mix[key];
+    if (typeof v !== "number" || !Number.isFinite(v) || v < min || v > max) {
+      throw new Error(`MUSIC_MIX.${key} must be a number from ${min} to ${max} (got ${JSON.stringify(v)}).`);
+    }
+  }
+  return mix;
+}
+
+export function duckRatio(depth) {
+  if (depth >= DUCK_EXCESS_DB - 0.8) return 20;
+  return Math.round((DUCK_EXCESS_DB / (DUCK_EXCESS_DB - depth)) * 100) / 100;
+}
+
+// Stable per-seed order for tracks that match equally well, so a batch doesn't use one track
+// for every video while re-running a topic keeps its track
+function tieBreak(seed, file) {
+  return createHash("sha256").update(`${seed}\n${path.basename(file)}`).digest("hex");
+}
+
+// Best track for the words (topic, tone); with a mood, only tracks tagged with it qualify
+export function pickTrack(entries, { mood, words = "", seed = "" } = {}) {
+  const required = mood ? keywords(mood) : [];
+  const wanted = keywords(words);
+  let best = null;
+  for (const entry of entries) {
+    if (!required.every((w) => entry.tags.has(w))) continue;
+    const score = wanted.filter((w) => entry.tags.has(w)).length;
+    const tie = tieBreak(seed, entry.file);
+    if (!best || score > best.score || (score === best.score && tie < best.tie)) best = { entry, score, tie };
+  }
+  return best ? best.entry.file : null;
+}
+
+async function scanTracks(dir) {
+  const entries = await scanLibrary(dir, MUSIC_EXTS);
+  if (entries.length === 0) throw new Error(`No music (${MUSIC_EXTS.join(", ")}) found in ${dir}`);
+  return entries;
+}
+
+// The track for a --music value, or null for no music. words/seed steer folder and mood picks.
+export async function resolveMusic(spec, { library, words = "", seed = "" } = {}) {
+  const value = String(spec || "").trim();
+  if (!value || NO_MUSIC.includes(value.toLowerCase())) return null;
+
+  const stat = await fs.stat(value).catch(() => null);
+  if (stat?.isFile()) {
+    if (!MUSIC_EXTS.includes(path.extname(value).toLowerCase())) {
+      throw new Error(`Unsupported music file ${value}. Expected one of: ${MUSIC_EXTS.join(", ")}`);
+    }
+    return { file: path.resolve(value), source: "file" };
+  }
+  if (stat?.isDirectory()) {
+    const file = pickTrack(await scanTracks(value), { words, seed });
+    return { file: path.resolve(file), source: "folder" };
+  }
+
+  // Anything else is a mood from the library
+  const libStat = library ? await fs.stat(library).catch(() => null) : null;
+  if (!libStat?.isDirectory()) {
+    throw new Error(
+      `Music "${value}" is not a file or folder, and there is no MUSIC_LIBRARY folder (${library}) to look up moods.`
+    );
+  }
+  const entries = await scanTracks(library);
+  const file = pickTrack(entries, { mood: value, words, seed });
+  if (!file) {
+    const moods = (await fs.readdir(library, { withFileTypes: true })).filter((e) => e.isDirectory()).map((e) => e.name);
+    const hint = moods.length ? ` Moods (folders) found: ${moods.sort().join(", ")}` : "";
+    throw new Error(`No track tagged "${value}" in MUSIC_LIBRARY ${library}.${hint}`);
+  }
+  return { file: path.resolve(file), source: "mood", mood: value };
+}
+
+// The kit's background track: audio/music.<ext> (copied by --music, or dropped in by hand)
+export async function findMusic(audioDir) {
+  for (const ext of MUSIC_EXTS) {
+    const file = path.join(audioDir, `music${ext}`);
+    const stat = await fs.stat(file).catch(() => null);
+    if (stat?.isFile()) return file;
+  }
+  return null;
+}
+
+export async function removeMusic(audioDir) {
+  await Promise.all(MUSIC_EXTS.map((ext) => fs.rm(path.join(audioDir, `music${ext}`), { force: true })));
+}
+
+// ---------- Mix ----------
+// filter_complex for the final audio track, ending in [mix]. voice/music are input labels such as
+// "1:a" (or null); the music input should be looped (-stream_loop -1) so it can fill the video.
+//   voice          normalized to `loudness` LUFS
+//   music          trimmed to durationSec, normalized to loudness + mix.volume, faded, ducked
+//                  (alone: normalized to `loudness`)
+//   voice + music  mixed, then the mix normalized to `loudness` again
+// `prefix` goes on every label, so several mixes can share one filter graph.
+export function mixFilter({ voice, music, durationSec, loudness = -14, mix = DEFAULT_MUSIC_MIX, prefix = "" }) {
+  const [bg, vo, sc, bed, out] = ["bg", "vo", "sc", "bed", "mix"].map((l) => `[${prefix}${l}]`);
+  const fmt = "aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo";
+  const norm = (lufs) => `loudnorm=I=${lufs}:TP=${TRUE_PEAK}:LRA=11,aresample=48000`;
+  const parts = [];
+
+  if (music) {
+    const d = Math.round(durationSec * 1000) / 1000;
+    const fadeIn = Math.min(mix.fadeIn, d);
+    const fadeOut = Math.min(mix.fadeOut, d);
+    // Without a voice the music is the whole track, at full loudness
+    const level = voice ? Math.max(-70, loudness + mix.volume) : loudness;
+    const chain = [fmt, `atrim=0:${d}`, "asetpts=PTS-STARTPTS", norm(level)];
+    if (fadeIn > 0) chain.push(`afade=t=in:st=0:d=${fadeIn}`);
+    if (fadeOut > 0) chain.push(`afade=t=out:st=${Math.round((d - fadeOut) * 1000) / 1000}:d=${fadeOut}`);
+    parts.push(`[${music}]${chain.join(",")}${voice ? bg : out}`);
+  }
+  if (voice && !music) parts.push(`[${voice}]${fmt},${norm(loudness)}${out}`);
+  if (voice && music) {
+    parts.push(`[${voice}]${fmt},${norm(loudness)},asplit=2${vo}${sc}`);
+    if (mix.duckDepth > 0) {
+      const duck = `threshold=${DUCK_THRESHOLD}:ratio=${duckRatio(mix.duckDepth)}:attack=${mix.duckAttack}:release=${mix.duckRelease}`;
+      parts.push(`${bg}${sc}sidechaincompress=${duck}${bed}`);
+    } else {
+      parts.push(`${sc}anullsink`, `${bg}anull${bed}`);
+    }
+    parts.push(`${vo}${bed}amix=inputs=2:duration=longest:normalize=0,${norm(loudness)}${out}`);
+  }
+  return parts.join(";");
+}
@@ -0,0 +1,113 @@
+// ---------- Output profiles ----------
+// A profile is one rendered variant of the kit (its own folder, images, captions and MP4).
+// Built-ins can be overridden and new ones added through the PROFILES block in config.json:
+//   "PROFILES": { "preview": { "width": 720, "height": 1280, "fps": 60, "crf": 28 } }
+// or inline on the command line: --profiles vertical,preview=720x1280@60
+
+export const BUILTIN_PROFILES = {
+  vertical: { width: 1080, height: 1920 },
+  horizontal: { width: 1920, height: 1080 },
+  square: { width: 1080, height: 1080 },
+  feed45: { width: 1080, height: 1350 },
+};
+
+export const DEFAULT_PROFILES = ["vertical", "horizontal"];
+
+const PROFILE_DEFAULTS = {
+  fps: 30,
+  videoCodec: "libx264",
+  // Either crf (quality) or videoBitrate (e.g. "8M"); unset ones fall back to CRF / VIDEO_BITRATE
+  // and then to the encode preset (see profileConfig and encodeArgs in render.js)
+  crf: null,
+  videoBitrate: null,
+  audioBitrate: null,
+};
+
+const INLINE_RE = /^([a-z0-9][a-z0-9_-]*)=(\d+)x(\d+)(?:@(\d+(?:\.\d+)?))?$/i;
+
+export function parseProfileList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim()).filter(Boolean);
+  return String(value || "")
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+const isSet = (v) => v !== undefined && v !== null && v !== "";
+
+function validate(p) {
+  const even = (n) => Number.isInteger(n) && n > 0 && n % 2 === 0;
+  if (!even(p.width) || !even(p.height)) {
+    throw new Error(`Profile "${p.name}" needs a positive, even width and height (got ${p.width}x${p.height}).`);
+  }
+  if (!(Number(p.fps) > 0)) {
+    throw new Error(`Profile "${p.name}" needs a positive fps (got ${p.fps}).`);
+  }
+  if (isSet(p.crf) && isSet(p.videoBitrate)) {
+    throw new Error(`Profile "${p.name}" sets both crf and videoBitrate; use one.`);
+  }
+  return p;
+}
+
+// All profiles known by name: built-ins merged with config.json definitions
+export function knownProfiles(userProfiles = {}) {
+  const defs = { ...BUILTIN_PROFILES };
+  if (userProfiles && typeof userProfiles === "object") {
+    for (const [name, def] of Object.entries(userProfiles)) {
+      if (def && typeof def === "object") defs[name] = { ...defs[name], ...def };
+    }
+  }
+  return defs;
+}
+
+export function makeProfile(name, def) {
+  const p = { ...PROFILE_DEFAULTS, ...def, name };
+  p.width = Number(p.width);
+  p.height = Number(p.height);
+  p.fps = Number(p.fps);
+  return validate(p);
+}
+
+// Resolve a list of names / inline specs into full profile objects, in order, without duplicates
+export function resolveProfiles(list, userProfiles = {}) {
+  const names = parseProfileList(list);
+  if (names.length === 0) names.push(...DEFAULT_PROFILES);
+  const defs = knownProfiles(userProfiles);
+
+  const out = [];
+  for (const entry of names) {
+    const inline = entry.match(INLINE_RE);
+    let profile;
+    if (inline) {
+      const [, name, w, h, fps] = inline;
+      profile = makeProfile(name, { ...defs[name], width: w, height: h, ...(fps ? { fps } : {}) });
+    } else if (defs[entry]) {
+      profile = makeProfile(entry, defs[entry]);
+    } else {
+      throw new Error(`Unknown profile "${entry}". Expected one of: ${Object.keys(defs).join(", ")} or name=WIDTHxHEIGHT[@FPS]`);
+    }
+    if (!out.some((p) => p.name === profile.name)) out.push(profile);
+  }
+  return out;
+}
+
+// Flatten a profile into the uppercase keys the render and caption steps read from ocfg.
+// CRF and VIDEO_BITRATE are one either/or setting, taken whole from the first source that sets
+// either: flags (--crf / --video-bitrate), then the profile, then env and config.json. So --crf
+// on a profile with a videoBitrate drops the bitrate instead of passing both to the encoder.
+export function profileConfig(cfg, profile, flags = {}) {
+  const quality = [flags, { CRF: profile.crf, VIDEO_BITRATE: profile.videoBitrate }, cfg].find(
+    (q) => isSet(q.CRF) || isSet(q.VIDEO_BITRATE)
+  );
+  return {
+    ...cfg,
+    PROFILE: profile.name,
+    WIDTH: profile.width,
+    HEIGHT: profile.height,
+    FPS: profile.fps,
+    VIDEO_CODEC: profile.videoCodec,
+    CRF: isSet(quality?.CRF) ? quality.CRF : null,
+    VIDEO_BITRATE: isSet(quality?.VIDEO_BITRATE) ? quality.VIDEO_BITRATE : null,
+    AUDIO_BITRATE: profile.audioBitrate,
+  };
+}
@@ -0,0 +1,180 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import YAML from "yaml";
+import { TTS_PROVIDERS } from "./tts.js";
+import { parseFocus } from "./images.js";
+import { MOTIONS, TRANSITIONS } from "./motion.js";
+
+// ---------- Project files ----------
+// `viral create --from <file>` takes a hand-written script instead of asking the text model.
+// JSON or YAML (.yaml/.yml), schema version 1:
+//
+//   version      number               1 (optional)
+//   title        string, required      Video title; also the build folder name unless "topic" is set
+//   topic        string               Build folder / topic label (default: title)
+//   hook         string               Opening line, spoken first
+//   sections     array, required      { label?, text (required), sec? } in spoken order; sec is the
+//                                     section's duration in seconds ("duration" is accepted too)
+//   disclaimer   string               Spoken last
+//   duration     number               Total seconds (default: sum of section durations, else VIDEO_SEC)
+//   images       array                One entry per scene: a prompt string, or
+//                                     { prompt?, path?, focus?, motion?, transition? }.
+//                                     path (relative to the project file) uses that image as-is;
+//                                     focus is the crop point for master images (see images.js);
+//                                     motion / transition override MOTION / TRANSITION (see motion.js)
+//   style        string               cartoon | realistic | ai-generated
+//   voice        string or object     Voice name, or { provider?, voice?, gender? }
+//
+// A legacy voiceover.txt ("[0-3s] Label" headings followed by the spoken text) is read as a
+// project with one section per heading.
+
+export const PROJECT_VERSION = 1;
+export const IMAGE_STYLES = ["cartoon", "realistic", "ai-generated"];
+const GENDERS = ["male", "female"];
+
+const isStr = (v) => typeof v === "string" && v.trim() !== "";
+const isOptStr = (v) => v === undefined || v === null || typeof v === "string";
+const isPosNum = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+// Every problem in the file, as "field: message" strings
+export function projectErrors(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["(root): expected an object"];
+  const errors = [];
+  const check = (ok, field, message) => ok || errors.push(`${field}: ${message}`);
+
+  if (data.version !== undefined) check(data.version === PROJECT_VERSION, "version", `must be ${PROJECT_VERSION}`);
+  check(isStr(data.title), "title", "required non-empty string");
+  check(isOptStr(data.topic), "topic", "must be a string");
+  check(isOptStr(data.hook), "hook", "must be a string");
+  check(isOptStr(data.disclaimer), "disclaimer", "must be a string");
+  if (data.duration !== undefined) check(isPosNum(data.duration), "duration", "must be a positive number of seconds");
+
+  if (!Array.isArray(data.sections) || data.sections.length === 0) {
+    errors.push("sections: required non-empty array");
+  } else {
+    data.sections.forEach((s, i) => {
+      const at = `sections[${i}]`;
+      if (!s || typeof s !== "object") return errors.push(`${at}: expected an object`);
+      check(isStr(s.text), `${at}.text`, "required non-empty string");
+      check(isOptStr(s.label), `${at}.label`, "must be a string");
+      const sec = s.sec ?? s.duration;
+      if (sec !== undefined) check(isPosNum(sec), `${at}.sec`, "must be a positive number of seconds");
+    });
+  }
+
+  if (data.images !== undefined) {
+    if (!Array.isArray(data.images)) {
+      errors.push("images: must be an array");
+    } else {
+      data.images.forEach((img, i) => {
+        const at = `images[${i}]`;
+        if (typeof img === "string") return check(isStr(img), at, "prompt must not be empty");
+        if (!img || typeof img !== "object") return errors.push(`${at}: expected a prompt string or an object`);
+        check(isStr(img.prompt) || isStr(img.path), at, 'needs a "prompt" or a "path"');
+        check(isOptStr(img.prompt), `${at}.prompt`, "must be a string");
+        check(isOptStr(img.path), `${at}.path`, "must be a string");
+        try {
+          parseFocus(img.focus);
+        } catch (e) {
+          errors.push(`${at}.focus: ${e.message}`);
+        }
+        if (img.motion !== undefined) {
+          check(MOTIONS.includes(img.motion), `${at}.motion`, `must be one of: ${MOTIONS.join(", ")}`);
+        }
+        if (img.transition !== undefined) {
+          check(TRANSITIONS.includes(img.transition), `${at}.transition`, `must be one of: ${TRANSITIONS.join(", ")}`);
+        }
+      });
+    }
+  }
+
+  if (data.style !== undefined) check(IMAGE_STYLES.includes(data.style), "style", `must be one of: ${IMAGE_STYLES.join(", ")}`);
+
+  const voice = data.voice;
+  if (voice !== undefined && typeof voice !== "string") {
+    if (!voice || typeof voice !== "object") {
+      errors.push("voice: must be a voice name or an object");
+    } else {
+      if (voice.provider !== undefined) {
+        check(TTS_PROVIDERS.includes(voice.provider), "voice.provider", `must be one of: ${TTS_PROVIDERS.join(", ")}`);
+      }
+      check(isOptStr(voice.voice), "voice.voice", "must be a string");
+      if (voice.gender !== undefined) check(GENDERS.includes(voice.gender), "voice.gender", "must be male or female");
+    }
+  }
+  return errors;
+}
+
+// "[11-25s] Staking" headings followed by their text; durations count both ends (0-3s is 4s)
+export function parseVoiceoverText(text) {
+  const sections = [];
+  let current = null;
+  for (const line of String(text).split(/\r?\n/)) {
+    const m = line.match(/^\s*\[(\d+)\s*-\s*(\d+)s?\]\s*(.*)$/i);
+    if (m) {
+      current = { label: m[3].trim() || undefined, sec: Math.max(1, Number(m[2]) - Number(m[1]) + 1), lines: [] };
+      sections.push(current);
+    } else if (current && line.trim()) {
+      current.lines.push(line.trim());
+    }
+  }
+  return sections.map(({ label, sec, lines }) => ({ ...(label ? { label } : {}), sec, text: lines.join(" ") }));
+}
+
+export function parseProject(raw, file) {
+  const ext = path.extname(file).toLowerCase();
+  if (ext === ".txt") return { sections: parseVoiceoverText(raw) };
+  try {
+    return ext === ".yaml" || ext === ".yml" ? YAML.parse(raw) : JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Could not parse project file ${file}: ${e.message}`);
+  }
+}
+
+// Read, validate and normalize a project file. Image paths are resolved against its folder.
+export async function loadProject(file, { title } = {}) {
+  const raw = await fs.readFile(file, "utf8").catch(() => {
+    throw new Error(`Project file not found: ${file}`);
+  });
+  const data = parseProject(raw, file);
+  // voiceover.txt has no title of its own; the --topic names it
+  if (data && typeof data === "object" && data.title === undefined && title) data.title = title;
+  if (path.extname(file).toLowerCase() === ".txt" && !data.title) {
+    throw new Error(`${file} has no title; name the video with --topic "...".`);
+  }
+
+  const errors = projectErrors(data);
+  if (errors.length) {
+    throw new Error(`Invalid project file ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+
+  const dir = path.dirname(path.resolve(file));
+  const sections = data.sections.map((s) => ({
+    label: s.label || "",
+    text: s.text.trim(),
+    ...(s.sec ?? s.duration ? { sec: Number(s.sec ?? s.duration) } : {}),
+  }));
+  const timed = sections.every((s) => s.sec);
+  const voice = typeof data.voice === "string" ? { voice: data.voice } : data.voice || {};
+  return {
+    title: data.title.trim(),
+    topic: (data.topic || data.title).trim(),
+    hook: data.hook || "",
+    disclaimer: data.disclaimer || "",
+    sections,
+    duration: data.duration || (timed ? Math.round(sections.reduce((a, s) => a + s.sec, 0)) : null),
+    images: (data.images || []).map((img) =>
+      typeof img === "string"
+        ? { prompt: img }
+        : {
+            prompt: img.prompt || "",
+            ...(img.path ? { path: path.resolve(dir, img.path) } : {}),
+            focus: img.focus,
+            motion: img.motion,
+            transition: img.transition,
+          }
+    ),
+    style: data.style || null,
+    voice,
+  };
+}
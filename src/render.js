@@ -0,0 +1,267 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { spawn } from "node:child_process";
+import { ensureDir, pathExists } from "./util.js";
+import { findMusic, mixFilter, musicMix } from "./music.js";
+import { hasAudioStream, probeDuration } from "./align.js";
+import { brandKit, cardFilter, cardInputs, findBrandFile, joinFilter, overlayFilter } from "./brand.js";
+import { captionStyle } from "./captions.js";
+import { filterPath } from "./images.js";
+import { languageIso3 } from "./translate.js";
+import { motionFilter, parseMotion, parseStoryboard, parseTransition, planSegments, transitionFilter } from "./motion.js";
+
+// ---------- Render ----------
+// Defaults match the vertical profile; callers pass the profile's WIDTH/HEIGHT/FPS in ocfg.
+const WIDTH = 1080;
+const HEIGHT = 1920;
+const FPS = 30;
+
+export const IMAGE_FITS = ["cover", "contain"];
+
+export async function hasFfmpeg() {
+  return new Promise((resolve) => {
+    const p = spawn("ffmpeg", ["-version"]);
+    p.on("error", () => resolve(false));
+    p.on("close", (code) => resolve(code === 0));
+  });
+}
+
+// Scale a still to the profile, either filling the frame (cover, center crop) or fitting
+// inside it (contain, letterboxed), then apply the scene's motion at the output resolution.
+export function segmentFilter({ width, height, fps, duration, frames, fit = "cover", motion, focus }) {
+  const frame =
+    fit === "contain"
+      ? `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=black`
+      : `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+  const n = frames ?? Math.round(duration * fps);
+  return `${frame},setsar=1,${motionFilter({ width, height, fps, frames: n, motion, focus })},format=yuv420p`;
+}
+
+// ---------- Encoding ----------
+// ENCODE_PRESET (--encode) picks the trade-off between render time, size and quality:
+//   draft     quick preview: fast encoder settings at lower quality (crf 28)
+//   final     (default) upload quality (crf 18, slow)
+//   archive   lossless master, with lossless audio (ALAC), to re-edit or re-encode later
+// CRF, ENCODE_SPEED and VIDEO_BITRATE (or a profile's crf / videoBitrate) override the preset.
+// Speed and the preset's quality apply to the libx264 / libx265 software encoders; any other
+// VIDEO_CODEC (e.g. a hardware encoder such as h264_nvenc or h264_videotoolbox) is steered with
+// VIDEO_BITRATE.
+export const ENCODE_PRESETS = {
+  draft: { crf: 28, speed: "veryfast", audioBitrate: "128k" },
+  final: { crf: 18, speed: "slow", audioBitrate: "192k" },
+  archive: { lossless: true, speed: "medium", audioCodec: "alac" },
+};
+export const ENCODE_SPEEDS = [
+  "ultrafast",
+  "superfast",
+  "veryfast",
+  "faster",
+  "fast",
+  "medium",
+  "slow",
+  "slower",
+  "veryslow",
+];
+
+// Encoder settings for one output from the profile and the encode preset
+export function encodeArgs(ocfg = {}) {
+  const fps = ocfg.FPS || FPS;
+  const codec = ocfg.VIDEO_CODEC || "libx264";
+  const preset = ENCODE_PRESETS[ocfg.ENCODE_PRESET || "final"];
+  const x26x = codec === "libx264" || codec === "libx265";
+  // Lossless stays lossless: archive ignores a profile's crf / videoBitrate. CRF is an x264/x265
+  // option; other encoders are steered with a bitrate
+  const lossless = x26x && preset.lossless;
+  const crf = x26x && !lossless && ocfg.CRF !== null && ocfg.CRF !== undefined && ocfg.CRF !== "" ? String(ocfg.CRF) : null;
+  const bitrate = !lossless && ocfg.VIDEO_BITRATE ? String(ocfg.VIDEO_BITRATE) : null;
+
+  const args = ["-c:v", codec];
+  if (x26x) args.push("-preset", ocfg.ENCODE_SPEED || preset.speed);
+  // Lossless x264 needs the High 4:4:4 Predictive profile, which the encoder picks itself
+  if (codec === "libx264" && !lossless) args.push("-profile:v", "high", "-level", fps > 30 ? "4.2" : "4.1");
+  if (crf !== null) args.push("-crf", crf);
+  else if (lossless) args.push(...(codec === "libx264" ? ["-qp", "0"] : ["-x265-params", "lossless=1"]));
+  else if (x26x && !bitrate) args.push("-crf", String(preset.crf));
+  if (bitrate) args.push("-b:v", bitrate);
+  args.push("-pix_fmt", "yuv420p", "-r", String(fps));
+  if (preset.audioCodec) args.push("-c:a", preset.audioCodec);
+  else args.push("-c:a", "aac", "-b:a", String(ocfg.AUDIO_BITRATE || preset.audioBitrate));
+  // Index at the front, so players can start before the whole file has loaded
+  args.push("-movflags", "+faststart");
+  return args;
+}
+
+// Soft subtitle track: MP4 only carries mov_text; language is an ISO 639-2 code
+export function subtitleArgs(language = "und") {
+  return ["-c:s", "mov_text", "-metadata:s:s:0", `language=${language}`, "-disposition:s:0", "default"];
+}
+
+// ---------- Filter graph ----------
+// A render is one ffmpeg process with one filter_complex: every scene still is an input,
+// animated (segmentFilter) and joined (transitionFilter) into [picture]; each language then draws
+// its overlays and captions on that picture, mixes its audio, joins the intro and outro, and is
+// encoded once into its MP4. Nothing is written in between, so there is a single lossy generation.
+
+// Scene inputs 0..n-1 to [output]
+export function pictureFilter(segments, { width, height, fps, fit = "cover", output = "picture" }) {
+  const labels = segments.map((_, k) => (segments.length === 1 ? output : `s${k}`));
+  const chains = segments.map(
+    (seg, k) =>
+      `[${k}:v]${segmentFilter({ width, height, fps, frames: seg.frames, fit, motion: seg.motion, focus: seg.focus })}[${labels[k]}]`
+  );
+  if (segments.length > 1) {
+    const cuts = `${labels.map((l) => `[${l}]`).join("")}concat=n=${segments.length}:v=1:a=0[${output}]`;
+    chains.push(transitionFilter(segments, fps, { inputs: labels, output }) ?? cuts);
+  }
+  return chains.join(";");
+}
+
+// Renders <profile>/output.mp4, or output.<lang>.mp4 for each of `languages`; returns the paths
+export async function renderVideo(outDir, ocfg = {}, { languages = [] } = {}) {
+  const width = ocfg.WIDTH || WIDTH;
+  const height = ocfg.HEIGHT || HEIGHT;
+  const fps = ocfg.FPS || FPS;
+  const fit = ocfg.IMAGE_FIT || "cover";
+
+  const scenesDir = path.join(outDir, "scenes");
+  const buildDir = path.join(outDir, "build");
+  await ensureDir(buildDir);
+
+  const rows = parseStoryboard(await fs.readFile(path.join(outDir, "storyboard.csv"), "utf8"));
+  const plan = planSegments(rows, {
+    fps,
+    motion: parseMotion(ocfg.MOTION || "zoom-in"),
+    transition: parseTransition(ocfg.TRANSITION || "cut"),
+    transitionSec: ocfg.TRANSITION_SEC ?? 0.5,
+  });
+  // Transitions overlap neighbouring scenes, so the length comes from the storyboard, not the segments
+  const videoSec = plan.frames / fps;
+
+  // ffmpeg input arguments; add() returns the input's index
+  const inputs = [];
+  const add = (args) => inputs.push(args) - 1;
+  for (const seg of plan.segments) add(["-i", path.join(scenesDir, seg.filename)]);
+  const graph = [pictureFilter(plan.segments, { width, height, fps, fit })];
+
+  // One output per language over the same picture (see translate.js)
+  const langs = languages.length ? languages : [null];
+  const pictures = langs.length > 1 ? langs.map((_, i) => `picture${i}`) : ["picture"];
+  if (langs.length > 1) graph.push(`[picture]split=${langs.length}${pictures.map((p) => `[${p}]`).join("")}`);
+  const outputs = [];
+  for (const [i, lang] of langs.entries()) {
+    const prefix = langs.length > 1 ? `l${i}_` : "";
+    outputs.push(await finishVideo({ outDir, ocfg, lang, picture: pictures[i], prefix, videoSec, add }));
+  }
+  graph.push(...outputs.map((o) => o.filter));
+
+  // Kept next to the kit for debugging a failed render
+  const filter = graph.join(";");
+  await fs.writeFile(path.join(buildDir, "render.graph.txt"), `${graph.join(";\n")}\n`, "utf8");
+  const started = Date.now();
+  await new Promise((resolve, reject) => {
+    const args = ["-nostdin", "-y", ...inputs.flat(), "-filter_complex", filter];
+    const p = spawn("ffmpeg", [...args, ...outputs.flatMap((o) => [...o.args, o.output])], { stdio: "inherit" });
+    p.on("error", reject);
+    p.on("close", (code) => (code === 0 ? resolve() : reject(new Error("ffmpeg render fail"))));
+  });
+
+  const took = Math.round((Date.now() - started) / 100) / 10;
+  for (const { output } of outputs) console.log(`\n✅ Rendered ${output} (${ocfg.ENCODE_PRESET || "final"}, ${took}s)`);
+  return outputs.map((o) => o.output);
+}
+
+// The part of the graph for one language: brand overlays, captions, audio and intro/outro from
+// captions.<lang>.ass, overlays.<lang>.json and audio/voiceover.<lang>.mp3 (the plain names for a
+// single-language kit, lang null). Returns { filter, args, output }: the filter chains (labels
+// carry `prefix`), then the output's maps and encoder settings.
+async function finishVideo({ outDir, ocfg, lang, picture, prefix, videoSec, add }) {
+  const sfx = lang ? `.${lang}` : "";
+  const width = ocfg.WIDTH || WIDTH;
+  const height = ocfg.HEIGHT || HEIGHT;
+  const fps = ocfg.FPS || FPS;
+  const label = (name) => `[${prefix}${name}]`;
+  const brand = brandKit(ocfg.BRAND);
+  const font = brand.font || captionStyle(ocfg.CAPTION_PRESET || "classic", ocfg.CAPTIONS).font;
+  const texts = JSON.parse(await fs.readFile(path.join(outDir, `overlays${sfx}.json`), "utf8").catch(() => "{}"));
+
+  // Burned in by default; with BURN_CAPTIONS off (--no-burn-captions) the picture stays clean and
+  // the captions go into the MP4 as a soft subtitle track
+  const captions = path.join(outDir, `captions${sfx}.ass`);
+  const burn = ocfg.BURN_CAPTIONS !== false;
+  const logo = await findBrandFile(outDir, "logo");
+  const overlays = overlayFilter({
+    width,
+    height,
+    videoSec,
+    brand,
+    font,
+    texts,
+    hookTitle: ocfg.HOOK_TITLE === true,
+    logo: logo ? add(["-i", logo]) : null,
+    input: picture,
+    prefix,
+  });
+  const chains = [`${overlays || `[${picture}]null`}${burn ? `,ass='${filterPath(captions)}'` : ""}${label("body")}`];
+  // Kits from before captions.srt existed fall back to the .ass (its styling is dropped)
+  const srt = path.join(outDir, `captions${sfx}.srt`);
+  const subtitles = burn ? null : (await pathExists(srt)) ? srt : captions;
+
+  // Voice and music are loudness-normalized (and the music fitted and ducked), then cut or padded
+  // to the picture so the video keeps its length
+  const voice = path.join(outDir, "audio", `voiceover${sfx}.mp3`);
+  const music = await findMusic(path.join(outDir, "audio"));
+  // Dry runs with a paid voice provider leave an empty voiceover: render those without a voice
+  const haveVO = ((await fs.stat(voice).catch(() => null))?.size ?? 0) > 0;
+  let sound = null;
+  if (haveVO || music) {
+    chains.push(
+      mixFilter({
+        voice: haveVO ? `${add(["-i", voice])}:a` : null,
+        music: music ? `${add(["-stream_loop", "-1", "-i", music])}:a` : null,
+        durationSec: videoSec,
+        loudness: ocfg.LOUDNESS_TARGET ?? -14,
+        mix: musicMix(ocfg.MUSIC_MIX),
+        prefix,
+      }),
+      `${label("mix")}apad,atrim=0:${Math.round(videoSec * 1000) / 1000}${label("sound")}`
+    );
+    sound = `${prefix}sound`;
+  }
+
+  // Intro and outro (see brand.js) are joined around the video in the same graph
+  const intro = brand.intro === "title" ? "title" : await findBrandFile(outDir, "intro");
+  const outro = brand.outro === "cta" ? "cta" : await findBrandFile(outDir, "outro");
+  const args = [];
+  let subtitleOffset = 0;
+  if (intro || outro) {
+    const silence = (sec) => `${add(["-f", "lavfi", "-t", String(sec), "-i", "anullsrc=r=48000:cl=stereo"])}:a`;
+    const card = (kind, sec, text) => {
+      const [background, quiet] = cardInputs({ width, height, fps, sec, brand });
+      const video = `${add(background)}:v`;
+      return { video, audio: `${add(quiet)}:a`, filter: cardFilter({ text, width, height, brand, font, kind }), sec };
+    };
+    const clip = async (file) => {
+      const sec = await probeDuration(file);
+      if (sec === null) throw new Error("Intro and outro clips need ffprobe (install ffmpeg).");
+      const video = add(["-i", file]);
+      return { video: `${video}:v`, audio: (await hasAudioStream(file)) ? `${video}:a` : silence(sec), sec };
+    };
+    const parts = [];
+    if (intro) parts.push(intro === "title" ? card("title", brand.introSec, texts.title) : await clip(intro));
+    parts.push({ video: `${prefix}body`, audio: sound ?? silence(videoSec) });
+    if (outro) parts.push(outro === "cta" ? card("cta", brand.outroSec, texts.cta) : await clip(outro));
+    chains.push(joinFilter(parts, { width, height, fps, prefix }));
+    args.push("-map", label("video"), "-map", label("audio"));
+    // Captions start after the intro
+    if (intro) subtitleOffset = parts[0].sec;
+  } else {
+    args.push("-map", label("body"));
+    if (sound) args.push("-map", label("sound"));
+  }
+  args.push(...encodeArgs(ocfg));
+  if (subtitles) {
+    const index = add([...(subtitleOffset ? ["-itsoffset", String(subtitleOffset)] : []), "-i", subtitles]);
+    args.push("-map", `${index}:s`, ...subtitleArgs(languageIso3(lang)));
+  }
+  return { filter: chains.join(";"), args, output: path.join(outDir, `output${sfx}.mp4`) };
+}
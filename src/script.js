@@ -0,0 +1,167 @@
+import { extractJSON } from "./text.js";
+
+// ---------- Script schema ----------
+// The text model's script JSON is checked before anything is spent on voice or images:
+//
+//   title          string, required
+//   hook           string, required      Spoken first
+//   sections       array, required       { label?, sec (> 0), text (required) }; total duration must
+//                                        fit VIDEO_SEC, count must match the template layout
+//                                        (or scriptRules without one)
+//   image_prompts  array, required       Exactly SCENES_COUNT distinct, non-empty prompts
+//   tts_style      string
+//   disclaimer     string                Spoken last
+//
+// The spoken text (hook + sections + disclaimer) must also be speakable in VIDEO_SEC at
+// WORDS_PER_SEC; a template's fixed disclaimer counts instead of the model's. A response that
+// fails is sent back to the model with the error list.
+
+// ~150 words per minute, a calm narration pace
+export const WORDS_PER_SEC = 2.5;
+
+const MIN_SECTION_SEC = 2;
+const DURATION_TOLERANCE = 0.2; // section seconds may sum to VIDEO_SEC ± 20%
+
+const isStr = (v) => typeof v === "string" && v.trim() !== "";
+const isOptStr = (v) => v === undefined || v === null || typeof v === "string";
+const isPosNum = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+export const countWords = (text) => String(text || "").split(/\s+/).filter(Boolean).length;
+
+// Limits for a video of videoSec seconds; also quoted in the script prompt
+export function scriptRules(videoSec) {
+  const maxSections = Math.max(1, Math.min(8, Math.floor(videoSec / MIN_SECTION_SEC)));
+  return {
+    minSections: Math.min(3, maxSections),
+    maxSections,
+    minWords: Math.round(videoSec * WORDS_PER_SEC * 0.6),
+    targetWords: Math.round(videoSec * WORDS_PER_SEC * 0.9),
+    maxWords: Math.round(videoSec * WORDS_PER_SEC * 1.15),
+  };
+}
+
+// Every problem in the script, as "field: message" strings (same format as projectErrors)
+// sectionCount: exact number of sections (the template layout); disclaimer: fixed closing line
+export function scriptErrors(data, { videoSec, scenes, sectionCount, disclaimer }) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["(root): expected a JSON object"];
+  const rules = scriptRules(videoSec);
+  const errors = [];
+  const check = (ok, field, message) => ok || errors.push(`${field}: ${message}`);
+
+  check(isStr(data.title), "title", "required non-empty string");
+  check(isStr(data.hook), "hook", "required non-empty string");
+  check(isOptStr(data.tts_style), "tts_style", "must be a string");
+  check(isOptStr(data.disclaimer), "disclaimer", "must be a string");
+
+  const sections = data.sections;
+  if (!Array.isArray(sections) || sections.length === 0) {
+    errors.push("sections: required non-empty array");
+  } else {
+    if (sectionCount) {
+      check(sections.length === sectionCount, "sections", `expected exactly ${sectionCount} sections, got ${sections.length}`);
+    } else {
+      check(
+        sections.length >= rules.minSections && sections.length <= rules.maxSections,
+        "sections",
+        `expected ${rules.minSections}-${rules.maxSections} sections, got ${sections.length}`
+      );
+    }
+    let timed = true;
+    sections.forEach((s, i) => {
+      const at = `sections[${i}]`;
+      if (!s || typeof s !== "object") {
+        timed = false;
+        return errors.push(`${at}: expected an object`);
+      }
+      check(isOptStr(s.label), `${at}.label`, "must be a string");
+      check(isStr(s.text), `${at}.text`, "required non-empty string");
+      if (!isPosNum(s.sec)) {
+        timed = false;
+        errors.push(`${at}.sec: required positive number of seconds`);
+      }
+    });
+    if (timed) {
+      const total = sections.reduce((a, s) => a + s.sec, 0);
+      check(
+        Math.abs(total - videoSec) <= videoSec * DURATION_TOLERANCE,
+        "sections",
+        `durations sum to ${Math.round(total)}s; expected about ${videoSec}s`
+      );
+    }
+  }
+
+  // Only judge the length once every spoken field is readable
+  if (errors.length === 0) {
+    const closing = disclaimer ?? data.disclaimer;
+    const words = [data.hook, ...sections.map((s) => s.text), closing].reduce((a, t) => a + countWords(t), 0);
+    const spokenSec = Math.round(words / WORDS_PER_SEC);
+    if (words > rules.maxWords) {
+      errors.push(`sections: ${words} words take ~${spokenSec}s to speak; keep the spoken text under ${rules.maxWords} words`);
+    } else if (words < rules.minWords) {
+      errors.push(`sections: ${words} words only fill ~${spokenSec}s of ${videoSec}s; aim for about ${rules.targetWords} words`);
+    }
+  }
+
+  const prompts = data.image_prompts;
+  if (!Array.isArray(prompts)) {
+    errors.push("image_prompts: required array");
+  } else {
+    check(prompts.length === scenes, "image_prompts", `expected exactly ${scenes} prompts, got ${prompts.length}`);
+    const seen = new Map();
+    prompts.forEach((p, i) => {
+      if (!isStr(p)) return errors.push(`image_prompts[${i}]: required non-empty string`);
+      const key = p.trim().toLowerCase();
+      if (seen.has(key)) errors.push(`image_prompts[${i}]: duplicates image_prompts[${seen.get(key)}]`);
+      else seen.set(key, i);
+    });
+  }
+  return errors;
+}
+
+export function repairPrompt(errors) {
+  return `Your JSON failed validation:
+${errors.map((e) => `- ${e}`).join("\n")}
+Return the complete corrected JSON object with the same fields. No commentary.`;
+}
+
+const SYSTEM_PROMPT = "Return only valid JSON. No commentary.";
+
+// Ask the text provider (see text.js) for the script and validate it; invalid responses are
+// re-prompted up to `repairs` times. onInvalid({ attempt, errors, raw }) sees every rejected
+// response (e.g. to save it).
+export async function requestScript({
+  text,
+  prompt,
+  videoSec,
+  scenes,
+  sectionCount,
+  disclaimer,
+  repairs = 1,
+  signal,
+  onInvalid,
+}) {
+  const messages = [{ role: "user", content: prompt }];
+  for (let attempt = 1; ; attempt++) {
+    const raw = await text.complete({ system: SYSTEM_PROMPT, messages }, { signal });
+    let errors;
+    let data;
+    try {
+      data = JSON.parse(extractJSON(raw));
+      errors = scriptErrors(data, { videoSec, scenes, sectionCount, disclaimer });
+    } catch (e) {
+      errors = [`(root): not valid JSON (${e.message})`];
+    }
+    if (errors.length === 0) return data;
+
+    if (onInvalid) await onInvalid({ attempt, errors, raw });
+    if (attempt > repairs) {
+      const err = new Error(
+        `Model script failed validation after ${attempt} attempt${attempt === 1 ? "" : "s"}:\n${errors
+          .map((e) => `  - ${e}`)
+          .join("\n")}`
+      );
+      err.validationErrors = errors;
+      throw err;
+    }
+    messages.push({ role: "assistant", content: raw }, { role: "user", content: repairPrompt(errors) });
+  }
+}
@@ -0,0 +1,128 @@
+import fs from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import YAML from "yaml";
+
+// ---------- Content templates ----------
+// A template sets the voice of the script: who it is for, how it sounds, its section layout and
+// what it ends with. Built-ins live in templates/ next to src/; user templates with the same
+// file layout go in ~/.config/viral-video/templates/<name>.yaml (or .yml/.json) and win on a
+// name clash. A path to a template file works too.
+//
+//   description   string               Shown in `--template` errors
+//   audience      string               {{audience}}
+//   tone          string               {{tone}}
+//   voice         string               Narration style saved as ttsStyle (after the gender)
+//   cta           string               {{cta}}; the closing call to action
+//   disclaimer    string               Spoken verbatim at the end ("" for none)
+//   instructions  string               Extra guidance for the text model
+//   sections      array, required      { label (required), sec (required), brief? } in order
+//
+// {{topic}}, {{audience}}, {{tone}} and {{cta}} are filled in instructions and section briefs.
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const BUILTIN_TEMPLATES_DIR = path.join(__dirname, "..", "templates");
+export const DEFAULT_TEMPLATE = "explainer";
+export const TEMPLATE_VARS = ["audience", "tone", "cta", "disclaimer"];
+const EXTENSIONS = [".yaml", ".yml", ".json"];
+
+const isStr = (v) => typeof v === "string" && v.trim() !== "";
+const isOptStr = (v) => v === undefined || v === null || typeof v === "string";
+const isPosNum = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+// Every problem in the template, as "field: message" strings (same format as projectErrors)
+export function templateErrors(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["(root): expected an object"];
+  const errors = [];
+  const check = (ok, field, message) => ok || errors.push(`${field}: ${message}`);
+  for (const key of ["description", "audience", "tone", "voice", "cta", "disclaimer", "instructions"]) {
+    check(isOptStr(data[key]), key, "must be a string");
+  }
+  if (!Array.isArray(data.sections) || data.sections.length === 0) {
+    errors.push("sections: required non-empty array");
+  } else {
+    data.sections.forEach((s, i) => {
+      const at = `sections[${i}]`;
+      if (!s || typeof s !== "object") return errors.push(`${at}: expected an object`);
+      check(isStr(s.label), `${at}.label`, "required non-empty string");
+      check(isPosNum(s.sec), `${at}.sec`, "required positive number of seconds");
+      check(isOptStr(s.brief), `${at}.brief`, "must be a string");
+    });
+  }
+  return errors;
+}
+
+// "{{topic}}" -> vars.topic; unknown names are left as-is
+export function fillTemplate(text, vars) {
+  return String(text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (m, key) => (vars[key] !== undefined ? String(vars[key]) : m));
+}
+
+async function templateFiles(dir) {
+  const entries = await fs.readdir(dir).catch(() => []);
+  return entries.filter((f) => EXTENSIONS.includes(path.extname(f).toLowerCase())).sort();
+}
+
+// Template names from both folders (user first), without duplicates
+export async function listTemplates(userDir) {
+  const names = [];
+  for (const dir of [userDir, BUILTIN_TEMPLATES_DIR].filter(Boolean)) {
+    for (const f of await templateFiles(dir)) {
+      const name = path.basename(f, path.extname(f));
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return names;
+}
+
+async function findTemplate(name, userDir) {
+  if (/[\\/]/.test(name) || EXTENSIONS.includes(path.extname(name).toLowerCase())) return name;
+  for (const dir of [userDir, BUILTIN_TEMPLATES_DIR].filter(Boolean)) {
+    for (const ext of EXTENSIONS) {
+      const file = path.join(dir, name + ext);
+      if (await fs.stat(file).catch(() => null)) return file;
+    }
+  }
+  return null;
+}
+
+// Load and validate a template by name (user folder, then built-ins) or by file path.
+// Returns { name, file, description, audience, tone, voice, cta, disclaimer, instructions, sections }.
+export async function loadTemplate(name = DEFAULT_TEMPLATE, { userDir } = {}) {
+  const file = await findTemplate(name, userDir);
+  if (!file) {
+    const known = await listTemplates(userDir);
+    throw new Error(`Unknown template "${name}". Expected one of: ${known.join(", ")}`);
+  }
+  const raw = await fs.readFile(file, "utf8").catch(() => {
+    throw new Error(`Template file not found: ${file}`);
+  });
+  let data;
+  try {
+    data = path.extname(file).toLowerCase() === ".json" ? JSON.parse(raw) : YAML.parse(raw);
+  } catch (e) {
+    throw new Error(`Could not parse template ${file}: ${e.message}`);
+  }
+  const errors = templateErrors(data);
+  if (errors.length) {
+    throw new Error(`Invalid template ${file}:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return {
+    name: path.basename(file, path.extname(file)),
+    file,
+    description: data.description || "",
+    audience: data.audience || "general",
+    tone: data.tone || "clear, friendly",
+    voice: data.voice || "smooth, clear",
+    cta: data.cta || "",
+    disclaimer: data.disclaimer || "",
+    instructions: data.instructions || "",
+    sections: data.sections.map((s) => ({ label: s.label.trim(), sec: s.sec, brief: s.brief || "" })),
+  };
+}
+
+// Template values with per-run overrides (flags) on top; "" clears a value such as the disclaimer
+export function templateVars(template, overrides = {}) {
+  const vars = {};
+  for (const key of TEMPLATE_VARS) vars[key] = overrides[key] ?? template[key];
+  return vars;
+}
@@ -0,0 +1,139 @@
+import OpenAI from "openai";
+
+// ---------- Text providers ----------
+// The script step talks to its text model through the same shape whatever the backend:
+//   request(prompt)                              -> plain object describing the call (script cache key)
+//   complete({ system, messages }, { signal })   -> the model's reply text
+//
+// deps.onUsage({ model, inputTokens, outputTokens }) is called after each reply with the token
+// counts the server reported (usage.json, --max-cost).
+//
+// openai     OpenAI chat completions (TEXT_MODEL). With TEXT_BASE_URL, any OpenAI-compatible
+//            server instead: Ollama, llama.cpp, vLLM, LM Studio. TEXT_API_KEY is sent to it,
+//            never OPENAI_API_KEY
+// anthropic  Anthropic Messages API (ANTHROPIC_API_KEY or TEXT_API_KEY; TEXT_BASE_URL for a
+//            proxy or mock server)
+//
+// JSON mode (TEXT_JSON_MODE auto | on | off): openai asks for response_format json_object. In
+// auto mode a server that rejects it is asked again without it, and the provider remembers that
+// for the rest of the run. anthropic has no JSON mode, so its reply is prefilled with "{".
+// Either way, replies go through extractJSON, so a fenced or chatty answer still parses.
+
+export const TEXT_PROVIDERS = ["openai", "anthropic"];
+export const TEXT_JSON_MODES = ["auto", "on", "off"];
+// Used when TEXT_MODEL is not set
+export const DEFAULT_TEXT_MODELS = { openai: "gpt-5", anthropic: "claude-sonnet-4-5" };
+
+const ANTHROPIC_VERSION = "2023-06-01";
+const MAX_TOKENS = 4096;
+
+// The JSON object inside a reply: drops <think> blocks, code fences and text around the braces
+export function extractJSON(text) {
+  const s = String(text || "")
+    .replace(/<think>[\s\S]*?<\/think>/gi, "")
+    .trim();
+  const fenced = s.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = fenced ? fenced[1].trim() : s;
+  const start = body.indexOf("{");
+  const end = body.lastIndexOf("}");
+  return start >= 0 && end > start ? body.slice(start, end + 1) : body;
+}
+
+// A 400-class error that blames response_format: the server has no JSON mode
+function rejectsJSONMode(err) {
+  const status = Number(err?.status);
+  return [400, 404, 422, 501].includes(status) && /response_format|json_object|json mode/i.test(err.message || "");
+}
+
+function openaiProvider(cfg, { client, onUsage }) {
+  const baseURL = cfg.TEXT_BASE_URL || "";
+  // Local servers usually ignore the key, but the SDK wants one
+  const api = baseURL ? new OpenAI({ apiKey: cfg.TEXT_API_KEY || "local", baseURL, maxRetries: 0 }) : client;
+  let jsonMode = cfg.TEXT_JSON_MODE || "auto";
+  const request = (prompt) => ({ model: cfg.TEXT_MODEL, prompt, ...(baseURL ? { baseURL } : {}) });
+  const reply = (res) => {
+    onUsage && onUsage({
+      model: cfg.TEXT_MODEL,
+      inputTokens: res.usage?.prompt_tokens || 0,
+      outputTokens: res.usage?.completion_tokens || 0,
+    });
+    return res.choices?.[0]?.message?.content ?? "";
+  };
+
+  return {
+    name: "openai",
+    request,
+    get jsonMode() {
+      return jsonMode;
+    },
+    async complete({ system, messages }, { signal } = {}) {
+      const body = { model: cfg.TEXT_MODEL, messages: [{ role: "system", content: system }, ...messages] };
+      if (jsonMode !== "off") {
+        try {
+          return reply(await api.chat.completions.create({ ...body, response_format: { type: "json_object" } }, { signal }));
+        } catch (err) {
+          if (jsonMode !== "auto" || !rejectsJSONMode(err)) throw err;
+          jsonMode = "off";
+        }
+      }
+      return reply(await api.chat.completions.create(body, { signal }));
+    },
+  };
+}
+
+function anthropicProvider(cfg, { onUsage }) {
+  const apiKey = cfg.TEXT_API_KEY || cfg.ANTHROPIC_API_KEY || "";
+  if (!apiKey && !cfg.TEXT_BASE_URL) {
+    throw new Error("Missing ANTHROPIC_API_KEY for TEXT_PROVIDER=anthropic. Set it (or TEXT_API_KEY) or run 'viral setup'.");
+  }
+  const baseUrl = String(cfg.TEXT_BASE_URL || "https://api.anthropic.com").replace(/\/+$/, "");
+  const prefill = cfg.TEXT_JSON_MODE !== "off";
+  const request = (prompt) => ({ provider: "anthropic", model: cfg.TEXT_MODEL, prompt });
+
+  return {
+    name: "anthropic",
+    request,
+    jsonMode: prefill ? "prefill" : "off",
+    async complete({ system, messages }, { signal } = {}) {
+      const res = await fetch(`${baseUrl}/v1/messages`, {
+        method: "POST",
+        headers: {
+          "x-api-key": apiKey,
+          "anthropic-version": ANTHROPIC_VERSION,
+          "content-type": "application/json",
+        },
+        body: JSON.stringify({
+          model: cfg.TEXT_MODEL,
+          max_tokens: MAX_TOKENS,
+          system,
+          messages: prefill ? [...messages, { role: "assistant", content: "{" }] : messages,
+        }),
+        signal,
+      });
+      if (!res.ok) {
+        const detail = await res.text().catch(() => "");
+        const err = new Error(`Anthropic request failed (${res.status}): ${detail.slice(0, 200)}`);
+        err.status = res.status;
+        err.headers = { "retry-after": res.headers.get("retry-after") };
+        throw err;
+      }
+      const data = await res.json();
+      onUsage && onUsage({
+        model: cfg.TEXT_MODEL,
+        inputTokens: data.usage?.input_tokens || 0,
+        outputTokens: data.usage?.output_tokens || 0,
+      });
+      const text = (data.content || [])
+        .filter((block) => block.type === "text")
+        .map((block) => block.text)
+        .join("");
+      return prefill ? `{${text}` : text;
+    },
+  };
+}
+
+export function createTextProvider(name, cfg, deps = {}) {
+  if (name === "openai") return openaiProvider(cfg, deps);
+  if (name === "anthropic") return anthropicProvider(cfg, deps);
+  throw new Error(`Unknown text provider "${name}". Expected one of: ${TEXT_PROVIDERS.join(", ")}`);
+}
@@ -0,0 +1,117 @@
+// ---------- Timeline ----------
+// Turns script sections into the shared timeline used by the storyboard and captions.
+// Sections own the real durations (integer seconds summing to VIDEO_SEC); scenes are
+// laid over them so every scene change lands on or inside the section being spoken.
+
+const MIN_SECTION_SEC = 2;
+
+// Rescale section durations to integer seconds that sum exactly to videoSec
+export function normalizeSections(sections, videoSec, fallbackText = "") {
+  const list = Array.isArray(sections) ? sections.filter((s) => s && typeof s === "object") : [];
+  if (list.length === 0) {
+    return [{ label: "Main", sec: videoSec, text: fallbackText }];
+  }
+
+  // Too many sections for the minimum: share the video out evenly instead (1s each at the least)
+  const minSec = Math.min(MIN_SECTION_SEC, Math.floor(videoSec / list.length));
+  if (minSec < 1) {
+    throw new Error(`Cannot fit ${list.length} sections into ${videoSec}s (at least 1s per section).`);
+  }
+  const total = list.reduce((a, b) => a + (Number(b.sec) || 0), 0) || videoSec;
+  const scale = videoSec / Math.max(1, total);
+  const durations = list.map((s) => Math.max(minSec, Math.round((Number(s.sec) || 0) * scale)));
+  let sum = durations.reduce((a, b) => a + b, 0);
+  // Trim overshoot from the longest sections first so no section drops below the minimum
+  while (sum > videoSec) {
+    let longest = 0;
+    for (let i = 1; i < durations.length; i++) if (durations[i] > durations[longest]) longest = i;
+    durations[longest]--;
+    sum--;
+  }
+  while (sum < videoSec) {
+    durations[durations.length - 1]++;
+    sum++;
+  }
+
+  return list.map((s, i) => ({ ...s, label: s.label || `Section ${i + 1}`, sec: durations[i], text: s.text || "" }));
+}
+
+// Lay `count` scenes over the sections. Extra scenes split the sections with the most
+// time per scene; fewer scenes than sections merge the shortest neighbouring pair.
+export function allocateScenes(sections, count) {
+  const totalSec = sections.reduce((a, b) => a + b.sec, 0);
+  if (count > totalSec) {
+    throw new Error(`Cannot fit ${count} scenes into ${totalSec}s (at least 1s per scene).`);
+  }
+
+  let groups = sections.map((s, idx) => ({ sections: [idx], sec: s.sec, parts: 1 }));
+  while (groups.length > count) {
+    let best = 0;
+    for (let i = 1; i < groups.length - 1; i++) {
+      if (groups[i].sec + groups[i + 1].sec < groups[best].sec + groups[best + 1].sec) best = i;
+    }
+    const [a, b] = [groups[best], groups[best + 1]];
+    groups.splice(best, 2, { sections: [...a.sections, ...b.sections], sec: a.sec + b.sec, parts: 1 });
+  }
+
+  let n = groups.length;
+  while (n < count) {
+    let pick = -1;
+    for (let i = 0; i < groups.length; i++) {
+      const g = groups[i];
+      if (g.sec <= g.parts) continue;
+      if (pick === -1 || g.sec / g.parts > groups[pick].sec / groups[pick].parts) pick = i;
+    }
+    groups[pick].parts++;
+    n++;
+  }
+
+  const scenes = [];
+  let t = 0;
+  for (const g of groups) {
+    const base = Math.floor(g.sec / g.parts);
+    const rem = g.sec - base * g.parts;
+    const text = g.sections.map((idx) => sections[idx].text).filter(Boolean).join(" ");
+    for (let k = 0; k < g.parts; k++) {
+      const sec = base + (k < rem ? 1 : 0);
+      scenes.push({ i: scenes.length + 1, start: t, sec, section: g.sections[0], text });
+      t += sec;
+    }
+  }
+  return scenes;
+}
+
+function splitSentences(text) {
+  return String(text || "")
+    .replace(/\s+/g, " ")
+    .split(/(?<=[.!?])\s+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Caption cues timed per section: the hook is spoken inside the first section and the
+// disclaimer inside the last, matching the order used for voiceover.txt. Sentences share
+// their section's window in proportion to their length.
+export function sectionCues(plan) {
+  const sections = plan.sections || [];
+  const cues = [];
+  let t = 0;
+  sections.forEach((s, idx) => {
+    const start = t;
+    const end = t + s.sec;
+    t = end;
+    const spoken = [idx === 0 ? plan.hook : "", s.text, idx === sections.length - 1 ? plan.disclaimer : ""];
+    const sentences = spoken.flatMap(splitSentences);
+    if (sentences.length === 0) return;
+    const chars = sentences.reduce((a, b) => a + b.length, 0);
+    let cursor = start;
+    sentences.forEach((text, i) => {
+      const cueEnd = i === sentences.length - 1 ? end : cursor + ((end - start) * text.length) / chars;
+      cues.push({ start: round2(cursor), end: round2(cueEnd), text, section: idx });
+      cursor = cueEnd;
+    });
+  });
+  return cues;
+}
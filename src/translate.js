@@ -0,0 +1,159 @@
+import { extractJSON } from "./text.js";
+import { repairPrompt } from "./script.js";
+
+// ---------- Languages ----------
+// --languages en,es,pt (LANGUAGES) makes one kit in several languages. The first code is the
+// language the script is written in (generated scripts are English; a project file's is its
+// own); every other language gets a translation of the plan (title, hook, section texts,
+// disclaimer) through the text model, its own voiceover and captions, and output.<lang>.mp4 per profile.
+// Scene images, scene timing and music are shared.
+//
+// Codes are ISO 639-1 ("es"), optionally with a region ("pt-BR"). iso3 is the ISO 639-2 code
+// MP4 subtitle tracks are tagged with.
+
+const LANGUAGES = {
+  ar: { name: "Arabic", iso3: "ara" },
+  de: { name: "German", iso3: "deu" },
+  en: { name: "English", iso3: "eng" },
+  es: { name: "Spanish", iso3: "spa" },
+  fr: { name: "French", iso3: "fra" },
+  hi: { name: "Hindi", iso3: "hin" },
+  id: { name: "Indonesian", iso3: "ind" },
+  it: { name: "Italian", iso3: "ita" },
+  ja: { name: "Japanese", iso3: "jpn" },
+  ko: { name: "Korean", iso3: "kor" },
+  nl: { name: "Dutch", iso3: "nld" },
+  pl: { name: "Polish", iso3: "pol" },
+  pt: { name: "Portuguese", iso3: "por" },
+  ru: { name: "Russian", iso3: "rus" },
+  sv: { name: "Swedish", iso3: "swe" },
+  tr: { name: "Turkish", iso3: "tur" },
+  uk: { name: "Ukrainian", iso3: "ukr" },
+  vi: { name: "Vietnamese", iso3: "vie" },
+  zh: { name: "Chinese", iso3: "zho" },
+};
+
+export const LANGUAGE_CODES = Object.keys(LANGUAGES);
+
+// "Portuguese (BR)" for pt-BR
+export function languageName(code) {
+  const [base, region] = String(code).split("-");
+  const name = LANGUAGES[base.toLowerCase()]?.name || code;
+  return region ? `${name} (${region.toUpperCase()})` : name;
+}
+
+export function languageIso3(code) {
+  return LANGUAGES[String(code || "").split("-")[0].toLowerCase()]?.iso3 || "und";
+}
+
+// "en, es;pt-br" -> ["en", "es", "pt-BR"]; empty -> [] (a single-language kit)
+export function parseLanguages(value) {
+  const codes = [];
+  for (const raw of String(value || "").split(/[\s,;]+/).filter(Boolean)) {
+    const m = raw.match(/^([a-z]{2})(?:-([a-z]{2}))?$/i);
+    if (!m || !LANGUAGES[m[1].toLowerCase()]) {
+      throw new Error(`Unknown language "${raw}". Expected ISO 639-1 codes such as: ${LANGUAGE_CODES.join(", ")}`);
+    }
+    const code = m[2] ? `${m[1].toLowerCase()}-${m[2].toUpperCase()}` : m[1].toLowerCase();
+    if (!codes.includes(code)) codes.push(code);
+  }
+  return codes;
+}
+
+// ---------- Translation ----------
+const SYSTEM_PROMPT = "Return only valid JSON. No commentary.";
+
+// The text of a plan (the spoken parts plus the on-screen title), in the shape the translation
+// comes back in
+const spokenParts = (plan) => ({
+  title: plan.title || "",
+  hook: plan.hook || "",
+  sections: plan.sections.map((s) => s.text),
+  disclaimer: plan.disclaimer || "",
+});
+
+export function translationPrompt(plan, { from, to }) {
+  const source = spokenParts(plan);
+  return `Translate this short-video script from ${languageName(from)} into ${languageName(to)}.
+It is read aloud as a voiceover with captions, so write natural spoken ${languageName(to)}:
+- Keep each section about as long when spoken as the original; the video length is fixed.
+- Keep names, numbers, brand names and the meaning of every sentence. Do not add or drop sentences.
+- Keep empty strings empty.
+- The title is shown on screen; keep it short.
+Return JSON with exactly this shape, with ${source.sections.length} sections in the same order:
+{"title": "...", "hook": "...", "sections": ["...", ...], "disclaimer": "..."}
+
+Script:
+${JSON.stringify(source, null, 2)}`;
+}
+
+// Every problem in a translation, as "field: message" strings (same format as scriptErrors)
+export function translationErrors(data, plan) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["(root): expected a JSON object"];
+  const source = spokenParts(plan);
+  const errors = [];
+  for (const key of ["title", "hook", "disclaimer"]) {
+    if (typeof data[key] !== "string") errors.push(`${key}: must be a string`);
+    else if (source[key].trim() && !data[key].trim()) errors.push(`${key}: required non-empty string`);
+  }
+  if (!Array.isArray(data.sections)) {
+    errors.push("sections: must be an array of strings");
+  } else {
+    if (data.sections.length !== source.sections.length) {
+      errors.push(`sections: expected ${source.sections.length} sections (got ${data.sections.length})`);
+    }
+    data.sections.forEach((t, i) => {
+      if (typeof t !== "string" || !t.trim()) errors.push(`sections[${i}]: required non-empty string`);
+    });
+  }
+  return errors;
+}
+
+// The plan with its spoken text replaced; timing, scenes and image prompts stay as they are
+export function applyTranslation(plan, data, language) {
+  return {
+    ...plan,
+    language,
+    title: data.title,
+    hook: data.hook,
+    sections: plan.sections.map((s, i) => ({ ...s, text: data.sections[i] })),
+    disclaimer: data.disclaimer,
+  };
+}
+
+// Dry runs mark the source text instead of translating it
+export function placeholderTranslation(plan, language) {
+  const mark = (t) => (t ? `[${language}] ${t}` : t);
+  const source = spokenParts(plan);
+  return applyTranslation(
+    plan,
+    { title: mark(source.title), hook: mark(source.hook), sections: source.sections.map(mark), disclaimer: mark(source.disclaimer) },
+    language
+  );
+}
+
+// Translate through the text provider (see text.js); an invalid reply is sent back with its
+// errors up to `repairs` times, as for the script
+export async function translatePlan({ text, plan, from, to, repairs = 1, signal }) {
+  const messages = [{ role: "user", content: translationPrompt(plan, { from, to }) }];
+  for (let attempt = 1; ; attempt++) {
+    const raw = await text.complete({ system: SYSTEM_PROMPT, messages }, { signal });
+    let errors;
+    let data;
+    try {
+      data = JSON.parse(extractJSON(raw));
+      errors = translationErrors(data, plan);
+    } catch (e) {
+      errors = [`(root): not valid JSON (${e.message})`];
+    }
+    if (errors.length === 0) return applyTranslation(plan, data, to);
+    if (attempt > repairs) {
+      throw new Error(
+        `${languageName(to)} translation failed validation after ${attempt} attempt${attempt === 1 ? "" : "s"}:\n${errors
+          .map((e) => `  - ${e}`)
+          .join("\n")}`
+      );
+    }
+    messages.push({ role: "assistant", content: raw }, { role: "user", content: repairPrompt(errors) });
+  }
+}
@@ -0,0 +1,251 @@
+import fs from "node:fs/promises";
+import { spawn } from "node:child_process";
+import { WORDS_PER_SEC } from "./script.js";
+
+// ---------- TTS providers ----------
+// Every provider exposes the same shape:
+//   request(text)              -> promise of a plain object describing the call (the asset cache key)
+//   synthesize(text, outFile, { signal })  -> writes the audio file; signal aborts a timed-out call
+//
+// openai      OpenAI speech API (TTS_MODEL / TTS_VOICE)
+// elevenlabs  ElevenLabs text-to-speech REST API (ELEVENLABS_* settings)
+// local       offline espeak-ng or piper, encoded to MP3 with ffmpeg
+// stub        offline, deterministic silent MP3 as long as the text takes to read, with the voice and
+//             text in its ID3 tag; for tests and wiring checks
+
+export const TTS_PROVIDERS = ["openai", "elevenlabs", "local", "stub"];
+export const OFFLINE_TTS_PROVIDERS = ["local", "stub"];
+export const LOCAL_TTS_ENGINES = ["auto", "espeak-ng", "piper"];
+
+// Config key holding each provider's voice (what --male / --female overrides)
+export const VOICE_KEYS = {
+  openai: "TTS_VOICE",
+  elevenlabs: "ELEVENLABS_VOICE_ID",
+  local: "LOCAL_TTS_VOICE",
+  stub: "TTS_VOICE",
+};
+
+// Voice presets used by --male / --female, per provider
+export const GENDER_VOICES = {
+  openai: { male: "alloy", female: "nova" },
+  // ElevenLabs premade voices "Adam" and "Rachel"
+  elevenlabs: { male: "pNInz6obpgDQGcFmaJgB", female: "21m00Tcm4TlvDq8ikWAM" },
+  // espeak-ng voice variants (piper voices come from the model file instead)
+  local: { male: "en-US+m3", female: "en-US+f3" },
+  stub: { male: "stub-male", female: "stub-female" },
+};
+
+function openaiProvider(cfg, { client }) {
+  const request = async (text) => ({ model: cfg.TTS_MODEL, voice: cfg.TTS_VOICE, text });
+  return {
+    name: "openai",
+    request,
+    async synthesize(text, outFile, { signal } = {}) {
+      const speech = await client.audio.speech.create(
+        {
+          model: cfg.TTS_MODEL,
+          voice: cfg.TTS_VOICE,
+          input: text,
+        },
+        { signal }
+      );
+      await fs.writeFile(outFile, Buffer.from(await speech.arrayBuffer()));
+    },
+  };
+}
+
+function elevenlabsProvider(cfg) {
+  if (!cfg.ELEVENLABS_API_KEY) {
+    throw new Error("Missing ELEVENLABS_API_KEY for TTS_PROVIDER=elevenlabs. Set it or run 'viral setup'.");
+  }
+  const num = (v, d) => (v === undefined || v === null || v === "" || Number.isNaN(Number(v)) ? d : Number(v));
+  const voiceSettings = {
+    stability: num(cfg.ELEVENLABS_STABILITY, 0.5),
+    similarity_boost: num(cfg.ELEVENLABS_SIMILARITY, 0.75),
+    style: num(cfg.ELEVENLABS_STYLE, 0),
+    use_speaker_boost: true,
+  };
+  const baseUrl = String(cfg.ELEVENLABS_BASE_URL || "https://api.elevenlabs.io").replace(/\/+$/, "");
+  const request = async (text) => ({
+    provider: "elevenlabs",
+    model: cfg.ELEVENLABS_MODEL,
+    voice: cfg.ELEVENLABS_VOICE_ID,
+    settings: voiceSettings,
+    text,
+  });
+
+  return {
+    name: "elevenlabs",
+    request,
+    async synthesize(text, outFile, { signal } = {}) {
+      const url = `${baseUrl}/v1/text-to-speech/${encodeURIComponent(cfg.ELEVENLABS_VOICE_ID)}?output_format=mp3_44100_128`;
+      const res = await fetch(url, {
+        method: "POST",
+        headers: {
+          "xi-api-key": cfg.ELEVENLABS_API_KEY,
+          "content-type": "application/json",
+          accept: "audio/mpeg",
+        },
+        body: JSON.stringify({ text, model_id: cfg.ELEVENLABS_MODEL, voice_settings: voiceSettings }),
+        signal,
+      });
+      if (!res.ok) {
+        const detail = await res.text().catch(() => "");
+        const err = new Error(`ElevenLabs TTS failed (${res.status}): ${detail.slice(0, 200)}`);
+        err.status = res.status;
+        err.headers = { "retry-after": res.headers.get("retry-after") };
+        throw err;
+      }
+      await fs.writeFile(outFile, Buffer.from(await res.arrayBuffer()));
+    },
+  };
+}
+
+function exec(cmd, args, { input, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const p = spawn(cmd, args, { stdio: [input === undefined ? "ignore" : "pipe", "ignore", "inherit"], signal });
+    p.on("error", reject);
+    p.on("close", (code) => (code === 0 ? resolve() : reject(new Error(`${cmd} exited with code ${code}`))));
+    if (input !== undefined) p.stdin.end(input);
+  });
+}
+
+async function hasCommand(cmd, args = ["--version"]) {
+  return new Promise((resolve) => {
+    const p = spawn(cmd, args, { stdio: "ignore" });
+    p.on("error", () => resolve(false));
+    p.on("close", (code) => resolve(code === 0));
+  });
+}
+
+// Command line for the local engine writing a WAV file; exported for tests
+export function localEngineCommand(engine, cfg, textFile, wavFile) {
+  if (engine === "piper") {
+    // piper reads the text from stdin
+    return { cmd: "piper", args: ["--model", cfg.PIPER_MODEL, "--output_file", wavFile], stdin: true };
+  }
+  return {
+    cmd: "espeak-ng",
+    args: ["-s", String(cfg.LOCAL_TTS_RATE || 155), "-v", cfg.LOCAL_TTS_VOICE || "en-US+m3", "-f", textFile, "-w", wavFile],
+  };
+}
+
+// piper when a model is configured (or explicitly chosen), otherwise espeak-ng
+async function pickLocalEngine(cfg) {
+  const wanted = cfg.LOCAL_TTS_ENGINE || "auto";
+  if (!LOCAL_TTS_ENGINES.includes(wanted)) {
+    throw new Error(`Unknown LOCAL_TTS_ENGINE "${wanted}". Expected one of: ${LOCAL_TTS_ENGINES.join(", ")}`);
+  }
+  if (wanted === "piper" || (wanted === "auto" && cfg.PIPER_MODEL)) {
+    if (!cfg.PIPER_MODEL) throw new Error("LOCAL_TTS_ENGINE=piper requires PIPER_MODEL (path to a .onnx voice).");
+    if (await hasCommand("piper", ["--help"])) return "piper";
+    if (wanted === "piper") throw new Error("piper not found on PATH.");
+  }
+  if (await hasCommand("espeak-ng")) return "espeak-ng";
+  throw new Error("No local TTS engine found. Install espeak-ng (or piper with PIPER_MODEL) for TTS_PROVIDER=local.");
+}
+
+// The local engines speak one language per voice, so in a multi-language kit each language gets
+// its own: the espeak-ng voice of that language (keeping the +variant of LOCAL_TTS_VOICE), and
+// the piper model at PIPER_MODEL with {lang} replaced by the code
+const ESPEAK_LANGUAGES = { zh: "cmn" };
+
+export function localLanguageConfig(cfg, lang) {
+  if (!lang) return cfg;
+  const [base, variant] = String(cfg.LOCAL_TTS_VOICE || GENDER_VOICES.local.male).split("+");
+  const primary = lang.split("-")[0];
+  const voice =
+    base.split("-")[0].toLowerCase() === primary
+      ? cfg.LOCAL_TTS_VOICE
+      : `${ESPEAK_LANGUAGES[primary] || lang.toLowerCase()}${variant ? `+${variant}` : ""}`;
+  return { ...cfg, LOCAL_TTS_VOICE: voice, PIPER_MODEL: (cfg.PIPER_MODEL || "").replaceAll("{lang}", lang) };
+}
+
+function localProvider(baseCfg, { lang } = {}) {
+  const cfg = localLanguageConfig(baseCfg, lang);
+  let engine = null;
+  const pick = async () => {
+    const picked = await pickLocalEngine(cfg);
+    if (picked === "piper" && lang && !baseCfg.PIPER_MODEL.includes("{lang}")) {
+      throw new Error(
+        `PIPER_MODEL is a voice for one language, so it cannot read every language of the kit (${lang}). ` +
+          "Put {lang} in its path (e.g. voices/{lang}.onnx) to use one model per language, or use espeak-ng."
+      );
+    }
+    return picked;
+  };
+  // Keyed by the engine that will actually run (auto falls back to espeak-ng without piper)
+  const request = async (text) => {
+    engine = engine || (await pick());
+    return {
+      provider: "local",
+      setting: cfg.LOCAL_TTS_ENGINE || "auto",
+      engine: engine === "piper" ? `piper:${cfg.PIPER_MODEL}` : "espeak-ng",
+      voice: cfg.LOCAL_TTS_VOICE,
+      rate: cfg.LOCAL_TTS_RATE,
+      text,
+    };
+  };
+
+  return {
+    name: "local",
+    request,
+    async synthesize(text, outFile, { signal } = {}) {
+      engine = engine || (await pick());
+      if (!(await hasCommand("ffmpeg", ["-version"]))) {
+        throw new Error("TTS_PROVIDER=local needs ffmpeg to encode the voiceover MP3.");
+      }
+      const textFile = `${outFile}.txt`;
+      const wavFile = `${outFile}.wav`;
+      await fs.writeFile(textFile, text, "utf8");
+      try {
+        const { cmd, args, stdin } = localEngineCommand(engine, cfg, textFile, wavFile);
+        await exec(cmd, args, stdin ? { input: text, signal } : { signal });
+        // Same encode settings make_tiktok_v4.sh used for its espeak-ng placeholder
+        await exec("ffmpeg", ["-nostdin", "-y", "-loglevel", "error", "-i", wavFile, "-ac", "2", "-ar", "48000", "-b:a", "192k", outFile], { signal });
+      } finally {
+        await fs.rm(textFile, { force: true });
+        await fs.rm(wavFile, { force: true });
+      }
+    },
+  };
+}
+
+// ID3v2.4 tag with one TXXX frame (description, value) in UTF-8
+function id3Tag(description, value) {
+  const syncsafe = (n) => Buffer.from([(n >> 21) & 0x7f, (n >> 14) & 0x7f, (n >> 7) & 0x7f, n & 0x7f]);
+  const body = Buffer.concat([Buffer.from([3]), Buffer.from(`${description}\0${value}`, "utf8")]);
+  const frame = Buffer.concat([Buffer.from("TXXX"), syncsafe(body.length), Buffer.from([0, 0]), body]);
+  return Buffer.concat([Buffer.from("ID3"), Buffer.from([4, 0, 0]), syncsafe(frame.length), frame]);
+}
+
+// Silent MPEG-1 Layer III: 32 kbps mono 44.1 kHz frames (104 bytes, 1152 samples each) whose
+// side info is all zero, which decoders play as silence. Needs no encoder.
+const SILENT_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x10, 0xc4]), Buffer.alloc(100)]);
+const SILENT_FRAME_SEC = 1152 / 44100;
+
+export function silentMp3(sec, tag = Buffer.alloc(0)) {
+  const frames = Math.max(1, Math.ceil(sec / SILENT_FRAME_SEC));
+  return Buffer.concat([tag, ...Array.from({ length: frames }, () => SILENT_FRAME)]);
+}
+
+function stubProvider(cfg) {
+  const request = async (text) => ({ provider: "stub", voice: cfg.TTS_VOICE, text });
+  return {
+    name: "stub",
+    request,
+    async synthesize(text, outFile) {
+      // Read at the narration pace scripts are written for, so captions and render line up
+      const sec = Math.max(1, text.split(/\s+/).filter(Boolean).length / WORDS_PER_SEC);
+      await fs.writeFile(outFile, silentMp3(sec, id3Tag("STUB-TTS", `voice=${cfg.TTS_VOICE}\n${text}`)));
+    },
+  };
+}
+
+export function createTTSProvider(name, cfg, deps = {}) {
+  if (name === "openai") return openaiProvider(cfg, deps);
+  if (name === "elevenlabs") return elevenlabsProvider(cfg);
+  if (name === "local") return localProvider(cfg, deps);
+  if (name === "stub") return stubProvider(cfg);
+  throw new Error(`Unknown TTS provider "${name}". Expected one of: ${TTS_PROVIDERS.join(", ")}`);
+}
@@ -0,0 +1,12 @@
+import fs from "node:fs/promises";
+
+// Small fs helpers shared by the pipeline modules
+export async function ensureDir(p) {
+  await fs.mkdir(p, { recursive: true });
+}
+export async function writeJSON(p, obj) {
+  await fs.writeFile(p, JSON.stringify(obj, null, 2), "utf8");
+}
+export async function pathExists(p) {
+  return !!(await fs.stat(p).catch(() => false));
+}
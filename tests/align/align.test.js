@@ -0,0 +1,80 @@
+import { expect } from 'chai';
+import {
+  capCues,
+  concatList,
+  cuesFromAlignedWords,
+  cuesFromClipDurations,
+  estimateWords,
+  withEstimatedWords,
+} from '../../src/align.js';
+
+describe('caption alignment', () => {
+  it('estimates word timings that cover the whole cue', () => {
+    const words = estimateWords({ start: 2, end: 4, text: 'Stake a little first.' });
+    expect(words.map((w) => w.text)).to.deep.equal(['Stake', 'a', 'little', 'first.']);
+    expect(words[0].start).to.equal(2);
+    expect(words[3].end).to.equal(4);
+    expect(words[1].end - words[1].start).to.be.lessThan(words[2].end - words[2].start);
+  });
+
+  it('uses sentence clip durations back to back', () => {
+    const cues = cuesFromClipDurations([{ text: 'One.' }, { text: 'Two.' }], [1.25, 2.5]);
+    expect(cues.map((c) => [c.start, c.end])).to.deep.equal([[0, 1.25], [1.25, 3.75]]);
+  });
+
+  it('maps aligner words onto sentences and interpolates unaligned words', () => {
+    const sentences = [{ text: 'Hello there.' }, { text: 'Buy low.' }];
+    const aligned = [
+      { word: 'Hello', start: 0.1, end: 0.5 },
+      { word: 'there', start: 0.6, end: 1.0 },
+      { word: 'Buy', case: 'not-found-in-audio' },
+      { word: 'low', start: 1.8, end: 2.2 },
+    ];
+    const cues = cuesFromAlignedWords(sentences, aligned);
+    expect(cues[0]).to.include({ start: 0.1, end: 1 });
+    expect(cues[1].words[0]).to.deep.equal({ text: 'Buy', start: 1, end: 1.8 });
+    expect(cues[1].end).to.equal(2.2);
+  });
+
+  it('matches aligner tokens that split or drop transcript words', () => {
+    const sentences = [{ text: 'Save twenty-five dollars.' }, { text: "Don't wait, start $5 today." }];
+    const aligned = [
+      { word: 'save', start: 0, end: 0.4 },
+      { word: 'twenty', start: 0.4, end: 0.7 },
+      { word: 'five', start: 0.7, end: 1 },
+      { word: 'dollars', start: 1, end: 1.5 },
+      { word: 'do', start: 1.6, end: 1.7 },
+      { word: "n't", start: 1.7, end: 1.9 },
+      { word: 'wait', start: 1.9, end: 2.2 },
+      { word: 'uh', start: 2.2, end: 2.3 },
+      { word: 'start', start: 2.3, end: 2.6 },
+      { word: 'five', start: 2.6, end: 2.8 },
+      { word: 'today', start: 3, end: 3.4 },
+    ];
+    const cues = cuesFromAlignedWords(sentences, aligned);
+    expect(cues[0].words.map((w) => [w.start, w.end])).to.deep.equal([[0, 0.4], [0.4, 1], [1, 1.5]]);
+    // "$5" matches nothing and sits between its neighbours; the filler "uh" is skipped
+    expect(cues[1].words[2]).to.deep.include({ text: 'start', start: 2.3, end: 2.6 });
+    expect(cues[1].words[3]).to.deep.equal({ text: '$5', start: 2.6, end: 3 });
+    expect(cues[1]).to.include({ start: 1.6, end: 3.4 });
+  });
+
+  it('gives up on aligner output that does not match the transcript', () => {
+    expect(cuesFromAlignedWords([{ text: 'One two three.' }], [{ word: 'one', start: 0, end: 1 }])).to.equal(null);
+  });
+
+  it('cuts cues at the video length when the voiceover runs long', () => {
+    // Three clips adding up to 70s in a 60s video
+    const cues = withEstimatedWords(cuesFromClipDurations([{ text: 'a b' }, { text: 'c d' }, { text: 'e f' }], [30, 25, 15]));
+    const capped = capCues(cues, 60);
+    expect(capped.map((c) => [c.start, c.end])).to.deep.equal([[0, 30], [30, 55], [55, 60]]);
+    expect(capped[2].words.map((w) => [w.start, w.end])).to.deep.equal([[55, 60]]);
+    expect(capCues(cues, 50).map((c) => c.end)).to.deep.equal([30, 50]);
+  });
+
+  it('quotes clip paths for the concat demuxer', () => {
+    expect(concatList(["/kits/it's/001.mp3", '/kits/a/002.mp3'])).to.equal(
+      "file '/kits/it'\\''s/001.mp3'\nfile '/kits/a/002.mp3'"
+    );
+  });
+});
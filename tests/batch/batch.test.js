@@ -0,0 +1,85 @@
+import { expect } from 'chai';
+import path from 'node:path';
+import { batchErrors, formatBatchEstimate, formatBatchTable, parseBatch, parseCSV, rowOptions } from '../../src/batch.js';
+
+describe('batch files', () => {
+  it('parses CSV with quoted commas, quotes and blank lines', () => {
+    const csv = '\uFEFFtopic,voice\r\n"Rates, explained","say ""hi"""\r\n\r\nBudget apps,female\n';
+    expect(parseCSV(csv)).to.deep.equal([
+      ['topic', 'voice'],
+      ['Rates, explained', 'say "hi"'],
+      ['Budget apps', 'female'],
+    ]);
+    expect(parseBatch('Topic,Style\nBudget apps, realistic\n', 'topics.csv')).to.deep.equal([
+      { topic: 'Budget apps', style: 'realistic' },
+    ]);
+  });
+
+  it('reads JSON and YAML lists, with bare strings as topics', () => {
+    expect(parseBatch('["One", {"topic": "Two", "template": "news"}]', 'topics.json')).to.deep.equal([
+      { topic: 'One' },
+      { topic: 'Two', template: 'news' },
+    ]);
+    expect(parseBatch('topics:\n  - One\n  - topic: Two\n', 'week.yaml')).to.deep.equal([{ topic: 'One' }, { topic: 'Two' }]);
+    expect(() => parseBatch('{"title": "x"}', 'bad.json')).to.throw(/must hold a list of topics/);
+  });
+
+  it('reports row problems and maps columns to create options', () => {
+    expect(batchErrors([{ topic: 'Ok' }, { topic: ' ', style: 'oil', colour: 'red' }])).to.deep.equal([
+      'row 2.colour: unknown column (expected topic, template, style, voice, profiles, music, languages, audience, tone, cta, disclaimer)',
+      'row 2.topic: required non-empty string',
+      'row 2.style: must be one of: cartoon, realistic, ai-generated',
+    ]);
+    expect(rowOptions({ topic: 'x', voice: 'female', profiles: 'vertical; square', languages: 'en es', template: '', tone: 'dry' })).to.deep.equal({
+      gender: 'female',
+      profiles: 'vertical,square',
+      languages: 'en,es',
+      tone: 'dry',
+    });
+    expect(rowOptions({ topic: 'x', voice: 'luna' })).to.deep.equal({ voice: 'luna' });
+  });
+
+  it('formats the summary and estimate tables', () => {
+    const table = formatBatchTable({
+      succeeded: 1,
+      failed: 1,
+      elapsedSec: 95,
+      costUsd: 1.53,
+      maxCostUsd: 5,
+      results: [
+        {
+          row: 1,
+          topic: 'Budget apps',
+          status: 'ok',
+          outDir: path.join(process.cwd(), 'build', 'budget-apps'),
+          videoSec: 60,
+          costUsd: 1.53,
+          elapsedSec: 41.2,
+        },
+        { row: 2, topic: 'Rates', status: 'failed', error: 'Missing OPENAI_API_KEY.\nmore', videoSec: null, costUsd: null, elapsedSec: 0.4 },
+      ],
+    });
+    expect(table.split('\n')).to.deep.equal([
+      '#   status  topic                               video  took    cost    output / error',
+      `1   ok      Budget apps                         1m00s  41s     $1.53   ${path.join('build', 'budget-apps')}`,
+      '2   failed  Rates                               -      0s      -       Missing OPENAI_API_KEY.',
+      '1 succeeded, 1 failed in 1m35s, $1.53 spent (budget $5.00)',
+    ]);
+
+    const estimate = formatBatchEstimate({
+      total: 2,
+      estimateUsd: 1.56,
+      results: [
+        { row: 1, topic: 'Budget apps', estimateUsd: 1.52, unpriced: [] },
+        { row: 2, topic: 'Rates', estimateUsd: 0.04, unpriced: ['llama3.1'] },
+      ],
+    });
+    expect(estimate.split('\n')).to.deep.equal([
+      '#   topic                               estimate',
+      '1   Budget apps                         $1.52',
+      '2   Rates                               $0.040',
+      '2 videos, $1.56 estimated',
+      'No price for llama3.1 (counted as $0; see PRICES)',
+    ]);
+  });
+});
@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import { brandCta, brandKit, cardFilter, drawtextValue, ffColor, joinFilter, overlayFilter } from '../../src/brand.js';
+
+describe('brand kit', () => {
+  it('validates the BRAND block and picks the CTA per language', () => {
+    expect(brandKit()).to.include({ logoPosition: 'top-right', logoOpacity: 0.85, introSec: 2 });
+    expect(() => brandKit({ logoOpacity: 2 })).to.throw('BRAND.logoOpacity must be a number from 0 to 1 (got 2).');
+    expect(() => brandKit({ logoPosition: 'center' })).to.throw(/^BRAND.logoPosition must be one of: top-left/);
+    expect(() => brandKit({ accentColor: 'yellow' })).to.throw(/^BRAND.accentColor must be a colour/);
+    expect(() => brandKit({ cta: ['Follow'] })).to.throw(/^BRAND.cta must be a string or an object/);
+
+    const brand = brandKit({ cta: { en: 'Follow for more', es: 'Síguenos' } });
+    expect(brandCta(brand, 'es')).to.equal('Síguenos');
+    expect(brandCta(brand, 'pt-BR')).to.equal('Follow for more');
+    expect(brandCta(brandKit({ cta: ' Subscribe ' }), 'de')).to.equal('Subscribe');
+    expect(ffColor('#00000080')).to.equal('0x000000@0.5');
+  });
+
+  it('escapes drawtext values for the option and graph parsers', () => {
+    expect(drawtextValue("It's 50%: a, b; [c]")).to.equal("It\\\\\\'s 50%\\\\: a\\, b\\; \\[c\\]");
+  });
+
+  it('draws the logo, hook title and end-screen CTA in one chain', () => {
+    const brand = brandKit({ logoPosition: 'bottom-left', cta: 'Síguenos' });
+    const texts = { hook: 'Earn while you sleep', cta: brandCta(brand, 'es') };
+    const filter = overlayFilter({
+      width: 1080,
+      height: 1920,
+      videoSec: 60,
+      brand,
+      font: 'Inter',
+      texts,
+      hookTitle: true,
+      logo: 1,
+    });
+    const steps = filter.split(/,(?=drawtext)/);
+    expect(steps[0]).to.equal(
+      '[1:v]scale=194:-1,format=rgba,colorchannelmixer=aa=0.85[logo];[0:v][logo]overlay=x=48:y=main_h-overlay_h-48'
+    );
+    // The hook wraps to two centred lines shown for the first 3 seconds
+    expect(steps[1]).to.equal(
+      'drawtext=font=Inter:text=Earn while:expansion=none:fontsize=88:fontcolor=0xFFFFFF:x=(w-text_w)/2:y=370:' +
+        'borderw=6:bordercolor=0x000000@0.6:enable=lt(t\\,3)'
+    );
+    expect(steps[2]).to.match(/text=you sleep:.*:y=480:/);
+    expect(steps[3]).to.match(
+      /^drawtext=font=Inter:text=Síguenos:.*:box=1:boxcolor=0xFFD400:boxborderw=20:enable=gte\(t\\,57\)$/
+    );
+
+    // From a labelled picture, as in the render graph
+    const split = overlayFilter({
+      width: 1080,
+      height: 1920,
+      videoSec: 60,
+      brand,
+      font: 'Inter',
+      logo: 5,
+      input: 'picture1',
+      prefix: 'l1_',
+    });
+    expect(split).to.match(/^\[5:v\]scale=194:-1,.*\[l1_logo\];\[picture1\]\[l1_logo\]overlay=/);
+
+    // Nothing to draw without a logo, CTA or hook title
+    expect(
+      overlayFilter({
+        width: 1920,
+        height: 1080,
+        videoSec: 60,
+        brand: brandKit(),
+        font: 'Inter',
+        texts: { hook: 'x' },
+      })
+    ).to.equal(null);
+  });
+
+  it('joins a title card, the video and an outro clip into one stream', () => {
+    const brand = brandKit();
+    expect(cardFilter({ text: 'Staking basics', width: 1080, height: 1920, brand, font: 'Inter' })).to.equal(
+      'drawtext=font=Inter:text=Staking basics:expansion=none:fontsize=96:fontcolor=0xFFFFFF:x=(w-text_w)/2:y=900'
+    );
+    const parts = [
+      { video: '0:v', audio: '1:a', filter: 'drawtext=text=Hi' },
+      { video: '2:v', audio: '2:a' },
+      { video: '3:v', audio: '4:a' },
+    ];
+    const join = joinFilter(parts, { width: 1080, height: 1920, fps: 30 });
+    expect(join.split(';')[0]).to.equal(
+      '[0:v]scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2:color=black,' +
+        'setsar=1,fps=30,drawtext=text=Hi,format=yuv420p[v0]'
+    );
+    expect(join).to.include(';[4:a]aresample=48000,');
+    expect(join).to.match(/;\[v0\]\[a0\]\[v1\]\[a1\]\[v2\]\[a2\]concat=n=3:v=1:a=1\[video\]\[audio\]$/);
+    expect(joinFilter(parts, { width: 1080, height: 1920, fps: 30, prefix: 'l1_' })).to.match(
+      /\[l1_v2\]\[l1_a2\]concat=n=3:v=1:a=1\[l1_video\]\[l1_audio\]$/
+    );
+  });
+});
@@ -0,0 +1,50 @@
+import { expect } from 'chai';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import { openAssetCache, assetKey } from '../../src/cache.js';
+
+describe('asset cache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-cache-'));
+  });
+
+  afterEach(() => {
+    try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+  });
+
+  it('hashes requests independently of key order', () => {
+    const a = assetKey({ kind: 'image', model: 'm', prompt: 'p', size: '1024x1536' });
+    const b = assetKey({ size: '1024x1536', prompt: 'p', model: 'm', kind: 'image' });
+    expect(a).to.equal(b);
+    expect(assetKey({ kind: 'image', model: 'm', prompt: 'q', size: '1024x1536' })).to.not.equal(a);
+  });
+
+  it('reuses a recorded asset only when the key matches and the file exists', async () => {
+    const key = assetKey({ kind: 'tts', text: 'hello' });
+    fs.mkdirSync(path.join(dir, 'audio'));
+    fs.writeFileSync(path.join(dir, 'audio', 'voiceover.mp3'), 'mp3');
+
+    const cache = await openAssetCache(dir);
+    expect(await cache.has('audio/voiceover.mp3', key)).to.equal(false);
+    await cache.record('audio/voiceover.mp3', key);
+
+    const reopened = await openAssetCache(dir);
+    expect(await reopened.has('audio/voiceover.mp3', key)).to.equal(true);
+    expect(await reopened.has('audio/voiceover.mp3', assetKey({ kind: 'tts', text: 'bye' }))).to.equal(false);
+
+    fs.rmSync(path.join(dir, 'audio', 'voiceover.mp3'));
+    expect(await reopened.has('audio/voiceover.mp3', key)).to.equal(false);
+  });
+
+  it('ignores existing entries when disabled (--force)', async () => {
+    const key = assetKey({ kind: 'script', prompt: 'x' });
+    fs.writeFileSync(path.join(dir, 'script.json'), '{}');
+    await (await openAssetCache(dir)).record('script.json', key);
+
+    const forced = await openAssetCache(dir, { enabled: false });
+    expect(await forced.has('script.json', key)).to.equal(false);
+  });
+});
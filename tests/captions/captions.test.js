@@ -0,0 +1,118 @@
+import { expect } from 'chai';
+import {
+  assColor,
+  balanceLines,
+  captionStyle,
+  layoutCues,
+  layoutFor,
+  parseSafeArea,
+  toAss,
+  toCaptionJSON,
+  toSrt,
+  toVtt,
+} from '../../src/captions.js';
+
+const cue = {
+  start: 1,
+  end: 3,
+  text: 'Stake small first.',
+  words: [
+    { text: 'Stake', start: 1, end: 1.5 },
+    { text: 'small', start: 1.6, end: 2.2 },
+    { text: 'first.', start: 2.2, end: 3 },
+  ],
+};
+
+const events = (ass) => ass.split('\n').filter((l) => l.startsWith('Dialogue:'));
+
+describe('captions', () => {
+  it('converts hex colours to ASS &HAABBGGRR', () => {
+    expect(assColor('#FFD400')).to.equal('&H0000D4FF');
+    expect(assColor('#00000080')).to.equal('&H7F000000');
+    expect(assColor('&h00ffffff')).to.equal('&H00FFFFFF');
+  });
+
+  it('keeps the classic style as whole-sentence events', () => {
+    const ass = toAss([cue]);
+    expect(ass).to.include('Style: Caption,Montserrat SemiBold,64,&H00FFFFFF,&H00000000,&H96000000,&H64000000,-1,0,0,0,100,100,0,0,1,6,0,2,80,80,120,0');
+    expect(events(ass)).to.deep.equal(['Dialogue: 0,00:00:01.00,00:00:03.00,Caption,,0,0,0,,Stake small first.']);
+  });
+
+  it('emits \\k karaoke tags from word timings', () => {
+    const ass = toAss([cue], { CAPTION_PRESET: 'karaoke' });
+    expect(events(ass)[0]).to.match(/,,\{\\k50\}Stake \{\\k10\} \{\\k60\}small \{\\k80\}first\.$/);
+  });
+
+  it('pops one word at a time and honours config overrides', () => {
+    const ass = toAss([cue], { CAPTION_PRESET: 'pop', CAPTIONS: { font: 'Inter', highlightColor: '#00FF00' } });
+    expect(ass).to.match(/Style: Caption,Inter,96,/);
+    const lines = events(ass);
+    expect(lines).to.have.length(3);
+    expect(lines[1]).to.include('00:00:01.60,00:00:02.20');
+    expect(lines[1]).to.include('{\\c&H00FF00&\\fscx70\\fscy70\\t(0,120,\\fscx100\\fscy100)}small');
+  });
+
+  it('uses the orientation resolution and scales margins for horizontal output', () => {
+    const ass = toAss([cue], { WIDTH: 1920, HEIGHT: 1080 });
+    expect(ass).to.include('PlayResX=1920\nPlayResY=1080');
+    expect(ass).to.include(',1,6,0,2,142,142,68,0');
+  });
+
+  it('falls back to estimated word timing and rejects unknown presets', () => {
+    const ass = toAss([{ start: 0, end: 2, text: 'No words here.' }], { CAPTION_PRESET: 'pop' });
+    expect(events(ass)).to.have.length(3);
+    expect(() => captionStyle('neon')).to.throw(/Unknown caption preset/);
+  });
+
+  it('writes the same cues as SRT, WebVTT and timed JSON', () => {
+    const second = { start: 3.0004, end: 3661.5, text: 'Fees <add up> & compound.\n\nAlways.' };
+    expect(toSrt([cue, second])).to.equal(
+      '1\n00:00:01,000 --> 00:00:03,000\nStake small first.\n\n' +
+        '2\n00:00:03,000 --> 01:01:01,500\nFees <add up> & compound.\nAlways.\n'
+    );
+    expect(toVtt([second])).to.equal('WEBVTT\n\n00:00:03.000 --> 01:01:01.500\nFees &lt;add up&gt; &amp; compound.\nAlways.\n');
+    const timed = toCaptionJSON([cue, { start: 0, end: 1, text: 'Two words' }]);
+    expect(timed.cues[0]).to.deep.equal({ start: 1, end: 3, text: 'Stake small first.', words: cue.words });
+    expect(timed.cues[1].words.map((w) => w.text)).to.deep.equal(['Two', 'words']);
+  });
+
+  it('wraps captions into balanced lines that fit the frame', () => {
+    expect(balanceLines('Stake small first and add more once you know the risks.', 23)).to.deep.equal([
+      'Stake small first',
+      'and add more once',
+      'you know the risks.',
+    ]);
+    expect(balanceLines('Stake small first, then add more.', 23)).to.deep.equal(['Stake small first,', 'then add more.']);
+    expect(balanceLines('Short.', 23)).to.deep.equal(['Short.']);
+    // 64px at 0.6 em per character between 80px margins of a 1080px frame
+    expect(layoutFor(captionStyle(), 1080, 1920)).to.include({ perLine: 23, maxLines: 2 });
+    expect(layoutFor(captionStyle(), 1920, 1080)).to.include({ perLine: 42 });
+  });
+
+  it('splits long cues across time by their words', () => {
+    const long = { start: 0, end: 6, text: 'uno dos tres cuatro cinco seis siete ocho nueve diez once doce trece catorce' };
+    const cues = layoutCues([long], { CAPTIONS: { maxChars: 12 } });
+    expect(cues.map((c) => c.text)).to.deep.equal([
+      'uno dos\ntres cuatro',
+      'cinco seis\nsiete',
+      'ocho nueve\ndiez once',
+      'doce trece\ncatorce',
+    ]);
+    expect(cues[0].start).to.equal(0);
+    expect(cues.at(-1).end).to.equal(6);
+    cues.slice(1).forEach((c, i) => expect(c.start).to.equal(cues[i].end).and.equal(c.words[0].start));
+    expect(layoutCues([cue])).to.deep.equal([cue]);
+
+    const karaoke = toAss(layoutCues([cue], { CAPTIONS: { maxChars: 12 } }), { CAPTION_PRESET: 'karaoke' });
+    expect(events(karaoke)[0]).to.match(/,,\{\\k50\}Stake \{\\k10\} \{\\k60\}small\\N\{\\k80\}first\.$/);
+  });
+
+  it('keeps portrait captions inside the platform safe area', () => {
+    const ass = toAss([cue], { SAFE_AREA: 'tiktok' });
+    expect(ass).to.include(',1,6,0,2,80,150,420,0');
+    expect(layoutFor(captionStyle(), 1080, 1920, 'shorts')).to.include({ marginL: 80, marginR: 190, marginV: 480, perLine: 21 });
+    // Landscape frames have no app UI over them
+    expect(toAss([cue], { WIDTH: 1920, HEIGHT: 1080, SAFE_AREA: 'reels' })).to.include(',1,6,0,2,142,142,68,0');
+    expect(() => parseSafeArea('snapchat')).to.throw(/^Unknown safe area "snapchat"/);
+  });
+});
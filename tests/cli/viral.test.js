@@ -32,6 +32,25 @@ describe('viral CLI', () => {
     expect(res.stdout).to.match(/DRY_RUN complete/);
   });
 
+  it('create --resume stops when there is no previous run', () => {
+    const out = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-resume-'));
+    try {
+      const res = runCLI(['create', '--topic', 'Nothing Yet', '--dry-run', '--resume', '--out', out]);
+      expect(res.status).to.not.equal(0);
+      expect(res.stderr).to.match(/Nothing to resume: .*nothing-yet has no manifest\.json/);
+    } finally {
+      fs.rmSync(out, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects a scene count that is not a positive whole number', () => {
+    for (const value of ['0', '-2', 'abc']) {
+      const res = runCLI(['create', '--topic', 'Scenes', '--dry-run'], { env: { SCENES_COUNT: value } });
+      expect(res.status).to.not.equal(0);
+      expect(res.stderr).to.include(`SCENES_COUNT must be a positive whole number (got ${value})`);
+    }
+  });
+
   it('accepts gender and style flags and still completes in DRY_RUN', () => {
     const topic = 'Flag Test';
     const res = runCLI(['--topic', topic, '--female', '--realistic', '--dry-run']);
@@ -46,6 +65,169 @@ describe('viral CLI', () => {
     try { fs.rmSync(outDir, { recursive: true, force: true }); } catch {}
   });
 
+  it('render requires a kit directory', () => {
+    const res = runCLI(['render']);
+    expect(res.status).to.not.equal(0);
+    expect(res.stderr).to.match(/Missing required <kit-dir>/);
+  });
+
+  it('render fails clearly for a missing kit directory', () => {
+    const res = runCLI(['render', path.join(os.tmpdir(), 'viral-no-such-kit')]);
+    expect(res.status).to.not.equal(0);
+    expect(res.stderr).to.match(/Kit directory not found/);
+  });
+
+  it('render rejects an unknown --orientation', () => {
+    const res = runCLI(['render', 'build', '--orientation', 'diagonal']);
+    expect(res.status).to.not.equal(0);
+    expect(res.stderr).to.match(/Unknown orientation "diagonal"/);
+  });
+
+  it('rejects a CRF for the lossless archive encode', () => {
+    const res = runCLI(['create', '--topic', 'Lossless', '--dry-run', '--encode', 'archive', '--crf', '20']);
+    expect(res.status).to.not.equal(0);
+    expect(res.stderr).to.match(/--encode archive is lossless, so it takes no CRF/);
+    const env = runCLI(['create', '--topic', 'Lossless', '--dry-run', '--encode', 'archive'], { env: { CRF: '20' } });
+    expect(env.stderr).to.match(/--encode archive is lossless/);
+  });
+
+  it('runs the offline stub voice provider during DRY_RUN', () => {
+    const res = runCLI(['create', '--topic', 'Stub Voice', '--dry-run', '--tts-provider', 'stub']);
+    expect(res.status).to.equal(0, `stderr: ${res.stderr || ''}`);
+    const outDir = path.join(process.cwd(), 'build', 'stub-voice');
+    // Silent MP3 frames behind an ID3 tag naming the voice and text
+    const vo = fs.readFileSync(path.join(outDir, 'audio', 'voiceover.mp3'));
+    expect(vo.subarray(0, 3).toString()).to.equal('ID3');
+    expect(vo.toString('utf8')).to.match(/STUB-TTS\0voice=alloy\nWhy Stub Voice matters/);
+    expect(vo.subarray(-104, -100)).to.deep.equal(Buffer.from([0xff, 0xfb, 0x10, 0xc4]));
+    // Sidecar captions share the cues of captions.ass
+    const srt = fs.readFileSync(path.join(outDir, 'vertical', 'captions.srt'), 'utf8');
+    const timed = JSON.parse(fs.readFileSync(path.join(outDir, 'vertical', 'captions.json'), 'utf8'));
+    expect(srt).to.match(/^1\n00:00:00,000 --> 00:00:\d\d,\d{3}\nWhy Stub Voice\smatters/);
+    expect(fs.readFileSync(path.join(outDir, 'vertical', 'captions.vtt'), 'utf8')).to.match(/^WEBVTT\n\n00:00:00.000 --> /);
+    expect(timed.cues).to.have.length(srt.split('\n\n').length);
+    try { fs.rmSync(outDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it('makes a voiceover and captions per language with --languages', () => {
+    const res = runCLI(['create', '--topic', 'Many Tongues', '--dry-run', '--tts-provider', 'stub', '--languages', 'en,es', '--profiles', 'vertical']);
+    expect(res.status).to.equal(0, `stderr: ${res.stderr || ''}`);
+    const outDir = path.join(process.cwd(), 'build', 'many-tongues');
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, 'script.json'), 'utf8')).language).to.equal('en');
+    expect(JSON.parse(fs.readFileSync(path.join(outDir, 'script.es.json'), 'utf8')).hook).to.match(/^\[es\] Why Many Tongues/);
+    expect(fs.readFileSync(path.join(outDir, 'vertical', 'audio', 'voiceover.es.mp3'), 'utf8')).to.match(/\n\[es\] Why/);
+    expect(fs.readFileSync(path.join(outDir, 'vertical', 'captions.en.srt'), 'utf8')).to.match(/^1\n.*\nWhy Many Tongues/);
+    expect(fs.readFileSync(path.join(outDir, 'vertical', 'captions.es.srt'), 'utf8')).to.match(/^1\n.*\n\[es\] Why Many Tongues/);
+    expect(fs.existsSync(path.join(outDir, 'vertical', 'captions.ass'))).to.equal(false);
+    try { fs.rmSync(outDir, { recursive: true, force: true }); } catch {}
+  });
+
+  it('uses the template layout and disclaimer in script.json and voiceover.txt', () => {
+    const res = runCLI(['create', '--topic', 'Template Test', '--template', 'listicle', '--disclaimer', 'Not advice.']);
+    expect(res.status).to.equal(0, `stderr: ${res.stderr || ''}`);
+    const outDir = path.join(process.cwd(), 'build', 'template-test');
+    const data = JSON.parse(fs.readFileSync(path.join(outDir, 'script.json'), 'utf8'));
+    expect(data.sections.map((s) => s.label)).to.deep.equal(['Intro', 'Item 1', 'Item 2', 'Item 3', 'Item 4', 'Item 5', 'CTA']);
+    expect(data.template).to.include({ name: 'listicle', tone: 'upbeat, fast-paced, punchy' });
+    expect(data.ttsStyle).to.equal('male, energetic, upbeat');
+    const vo = fs.readFileSync(path.join(outDir, 'voiceover.txt'), 'utf8');
+    expect(vo).to.match(/CTA: "Save this for later and follow for more."\nNot advice\.$/);
+    try { fs.rmSync(outDir, { recursive: true, force: true }); } catch {}
+
+    const bad = runCLI(['create', '--topic', 'Template Test', '--template', 'sonnet']);
+    expect(bad.status).to.not.equal(0);
+    expect(bad.stderr).to.match(/Unknown template "sonnet". Expected one of: .*explainer/);
+  });
+
+  it('creates a kit from a YAML project file without a topic', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-project-'));
+    const file = path.join(tmp, 'project.yaml');
+    fs.writeFileSync(
+      file,
+      [
+        'title: Project File Test',
+        'hook: Written by hand.',
+        'voice: { provider: stub, voice: narrator }',
+        'sections:',
+        '  - { label: Intro, sec: 20, text: First part. }',
+        '  - { label: Outro, sec: 40, text: Second part. }',
+        'images:',
+        '  - A calm desk',
+        '  - { prompt: A sunrise, focus: top-left }',
+        '  - A wave',
+      ].join('\n')
+    );
+    const res = runCLI(['create', '--from', file, '--dry-run']);
+    expect(res.status).to.equal(0, `stderr: ${res.stderr || ''}`);
+    const outDir = path.join(process.cwd(), 'build', 'project-file-test');
+    const plan = JSON.parse(fs.readFileSync(path.join(outDir, 'script.json'), 'utf8'));
+    expect(plan.sections.map((s) => s.sec)).to.deep.equal([20, 40]);
+    expect(plan.scenes).to.have.length(3);
+    expect(plan.scenes[1].focus).to.equal('top-left');
+    expect(plan.imagePrompts[2]).to.equal('A wave');
+    const vo = fs.readFileSync(path.join(outDir, 'audio', 'voiceover.mp3'), 'utf8');
+    expect(vo).to.match(/STUB-TTS\0voice=narrator\nWritten by hand\./);
+    try { fs.rmSync(outDir, { recursive: true, force: true }); } catch {}
+    try { fs.rmSync(tmp, { recursive: true, force: true }); } catch {}
+  });
+
+  it('batch makes one kit per row, reports failures and exits non-zero', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-batch-'));
+    const file = path.join(tmp, 'topics.csv');
+    fs.writeFileSync(file, 'topic,template,voice\nBatch One,listicle,female\nBatch Two,sonnet,\n');
+    const res = runCLI(['batch', file, '--out', path.join(tmp, 'kits'), '--parallel', '2']);
+    expect(res.status).to.equal(1, `stderr: ${res.stderr || ''}`);
+    expect(res.stdout).to.match(/^2 +failed +Batch Two .*Unknown template "sonnet"/m);
+    expect(res.stdout).to.match(/1 succeeded, 1 failed in/);
+
+    const report = JSON.parse(fs.readFileSync(path.join(tmp, 'kits', 'batch-report.json'), 'utf8'));
+    expect(report).to.include({ total: 2, succeeded: 1, failed: 1 });
+    expect(report.results[0]).to.include({ topic: 'Batch One', status: 'ok', outDir: path.join(tmp, 'kits', 'batch-one') });
+    expect(fs.existsSync(path.join(tmp, 'kits', 'batch-one', 'script.json'))).to.equal(true);
+    try { fs.rmSync(tmp, { recursive: true, force: true }); } catch {}
+  });
+
+  it('create --estimate prints the projected cost without an API key or any output', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-estimate-'));
+    const res = runCLI(
+      ['create', '--topic', 'Estimate Test', '--profiles', 'vertical,square', '--out', tmp, '--estimate'],
+      { env: { OPENAI_API_KEY: '', DRY_RUN: '0', XDG_CONFIG_HOME: tmp } }
+    );
+    expect(res.status).to.equal(0, `stderr: ${res.stderr || ''}`);
+    expect(res.stdout).to.match(/^Estimated cost for "Estimate Test":/);
+    expect(res.stdout).to.match(/images +gpt-image-1 +6 × 1024x1536 high +\$1\.50/);
+    expect(res.stdout).to.match(/images +gpt-image-1 +6 × 1024x1024 high +\$1\.00/);
+    expect(res.stdout).to.match(/total +\$2\.5\d/);
+    expect(fs.readdirSync(tmp)).to.deep.equal([]);
+    try { fs.rmSync(tmp, { recursive: true, force: true }); } catch {}
+  });
+
+  it('copies a --music mood pick from the music library into every profile', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-music-'));
+    const library = path.join(tmp, 'viral-video', 'music', 'calm');
+    fs.mkdirSync(library, { recursive: true });
+    fs.writeFileSync(path.join(library, 'rain-piano.wav'), 'RIFF');
+    const args = ['create', '--topic', 'Music Test', '--out', path.join(tmp, 'kits'), '--music', 'calm'];
+    const res = runCLI(args, { env: { XDG_CONFIG_HOME: tmp } });
+    expect(res.status).to.equal(0, `stderr: ${res.stderr || ''}`);
+    const kit = path.join(tmp, 'kits', 'music-test');
+    expect(fs.readFileSync(path.join(kit, 'audio', 'music.wav'), 'utf8')).to.equal('RIFF');
+    expect(fs.existsSync(path.join(kit, 'vertical', 'audio', 'music.wav'))).to.equal(true);
+    expect(fs.readFileSync(path.join(kit, 'README.md'), 'utf8')).to.include(
+      '- Music: audio/music.wav from rain-piano.wav (mood calm), ducked under the voice'
+    );
+
+    const none = runCLI([...args.slice(0, -1), 'none'], { env: { XDG_CONFIG_HOME: tmp } });
+    expect(none.status).to.equal(0, `stderr: ${none.stderr || ''}`);
+    expect(fs.existsSync(path.join(kit, 'audio', 'music.wav'))).to.equal(false);
+    expect(fs.existsSync(path.join(kit, 'vertical', 'audio', 'music.wav'))).to.equal(false);
+
+    const bad = runCLI([...args.slice(0, -1), 'spooky'], { env: { XDG_CONFIG_HOME: tmp } });
+    expect(bad.status).to.equal(1);
+    expect(bad.stderr).to.match(/No track tagged "spooky" in MUSIC_LIBRARY .*Moods \(folders\) found: calm/);
+    try { fs.rmSync(tmp, { recursive: true, force: true }); } catch {}
+  });
+
   it('setup persists ELEVENLABS_API_KEY alongside OPENAI_API_KEY', () => {
     const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-config-'));
     const res = runCLI(
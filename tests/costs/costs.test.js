@@ -0,0 +1,98 @@
+import { expect } from 'chai';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import { createBudget, createUsage, estimateCost, formatEstimate, itemCost, resolvePrices } from '../../src/costs.js';
+
+describe('costs', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-costs-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('prices usage items from the table, with config overrides', () => {
+    const prices = resolvePrices({ text: { 'llama3.1': { input: 0, output: 0 } }, tts: { 'gpt-4o-mini-tts': 20 } });
+    expect(itemCost(prices, { kind: 'text', model: 'gpt-5', inputTokens: 1e6, outputTokens: 1e5 })).to.equal(2.25);
+    expect(itemCost(prices, { kind: 'text', model: 'llama3.1', inputTokens: 500 })).to.equal(0);
+    expect(itemCost(prices, { kind: 'tts', model: 'gpt-4o-mini-tts', characters: 1000 })).to.equal(0.02);
+    expect(itemCost(prices, { kind: 'image', model: 'gpt-image-1', quality: 'high', size: '1024x1536' })).to.equal(0.25);
+    expect(itemCost(prices, { kind: 'image', model: 'dall-e-2', quality: 'high', size: '1024x1024' })).to.equal(null);
+    // Overrides are merged per model, not over the whole table
+    expect(prices.text['gpt-5']).to.deep.equal({ input: 1.25, output: 10 });
+  });
+
+  it('estimates a run and groups image requests by shape', () => {
+    const img = (size) => ({ model: 'gpt-image-1', quality: 'high', size });
+    const estimate = estimateCost(resolvePrices(), {
+      text: { model: 'local-model', promptChars: 400, words: 100, scenes: 2 },
+      tts: { model: 'tts-1', words: 100 },
+      images: [img('1024x1536'), img('1024x1536'), img('1536x1024')],
+    });
+    expect(estimate.lines.map((l) => [l.label, l.usd])).to.deep.equal([
+      ['script', 0],
+      ['voiceover', 0.009],
+      ['images', 0.5],
+      ['images', 0.25],
+    ]);
+    expect(estimate.lines[0]).to.include({ inputTokens: 100, outputTokens: 350 });
+    expect(estimate.unpriced).to.deep.equal(['local-model']);
+    expect(estimate.usd).to.be.closeTo(0.759, 1e-9);
+
+    const text = formatEstimate(estimate).split('\n');
+    expect(text[2]).to.match(/^ {2}images +gpt-image-1 +2 × 1024x1536 high +\$0\.50$/);
+    expect(text[4]).to.match(/^ {2}total +\$0\.76$/);
+    expect(text[5]).to.equal('  No price for local-model (counted as $0; see PRICES)');
+
+    // One translation per extra language and one voiceover per language
+    const multi = estimateCost(resolvePrices(), {
+      translation: { model: 'local-model', promptChars: 400, words: 100, languages: 2 },
+      tts: { model: 'tts-1', words: 100, languages: 3 },
+    });
+    expect(multi.lines[0]).to.include({ label: 'translation', inputTokens: 500, outputTokens: 300 });
+    expect(multi.lines[1]).to.include({ label: 'voiceover', characters: 1800 });
+  });
+
+  it('refuses calls that would pass the budget, counting calls in flight', async () => {
+    const budget = createBudget(1);
+    const usage = await createUsage({ file: path.join(dir, 'usage.json'), prices: resolvePrices(), budget });
+    const image = { kind: 'image', model: 'gpt-image-1', quality: 'high', size: '1024x1536' };
+    let release;
+    const slow = usage.guard('image 1', 0.5, () => new Promise((resolve) => (release = resolve)));
+    await usage.guard('image 2', 0.25, () => usage.record({ label: 'image 2', ...image }));
+    let err;
+    try {
+      await usage.guard('image 3', 0.5, async () => {});
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.equal(
+      'Budget exceeded: image 3 would cost ~$0.50, with $0.25 (plus ~$0.50 in flight) of --max-cost $1.00 spent.'
+    );
+    release();
+    await slow;
+    expect(budget.remaining).to.equal(0.75);
+    expect(createBudget(0).remaining).to.equal(Infinity);
+  });
+
+  it('writes usage.json and carries the kit total across runs', async () => {
+    const file = path.join(dir, 'kit', 'usage.json');
+    const first = await createUsage({ file, prices: resolvePrices(), budget: createBudget(0), estimateUsd: 0.3 });
+    await first.record({ kind: 'text', label: 'script', model: 'gpt-5', inputTokens: 1000, outputTokens: 2000 });
+    await first.record({ kind: 'tts', label: 'voiceover', model: 'my-voice', characters: 900 });
+    let data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(data).to.deep.include({ estimateUsd: 0.3, maxCostUsd: null, usd: 0.02125, totalUsd: 0.02125 });
+    expect(data.text).to.deep.equal({ calls: 1, inputTokens: 1000, outputTokens: 2000, usd: 0.02125 });
+    expect(data.tts).to.deep.equal({ calls: 1, characters: 900, usd: 0 });
+    expect(data.unpriced).to.deep.equal(['my-voice']);
+
+    const second = await createUsage({ file, prices: resolvePrices(), budget: createBudget(0) });
+    await second.save();
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(data).to.deep.include({ usd: 0, previousUsd: 0.02125, totalUsd: 0.02125 });
+  });
+});
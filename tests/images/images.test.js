@@ -0,0 +1,159 @@
+import { expect } from 'chai';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import {
+  createImageProvider,
+  cropWindow,
+  filterPath,
+  masterFrames,
+  parseFocus,
+  pickLibraryImage,
+  placeholderArgs,
+  pngSize,
+  variantFilter,
+  wrapText,
+} from '../../src/images.js';
+
+describe('image providers', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-images-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the OpenAI request shape used for cache keys', async () => {
+    const images = createImageProvider('openai', { IMAGE_MODEL: 'gpt-image-1' }, { client: null });
+    const req = await images.request({ prompt: 'A piggy bank', width: 1920, height: 1080, style: 'realistic' });
+    expect(req).to.deep.equal({
+      model: 'gpt-image-1',
+      size: '1536x1024',
+      prompt:
+        'A piggy bank\nStyle: photorealistic, high detail, realistic lighting, natural textures; horizontal 1920x1080, clean composition, minimal text.',
+      quality: 'high',
+    });
+  });
+
+  it('picks library images by folder, file name and tags.json, preferring unused ones', async () => {
+    const lib = path.join(dir, 'lib');
+    fs.mkdirSync(path.join(lib, 'crypto'), { recursive: true });
+    fs.writeFileSync(path.join(lib, 'crypto', 'chart-up.png'), 'chart');
+    fs.writeFileSync(path.join(lib, 'crypto', 'coins.png'), 'coins');
+    fs.writeFileSync(path.join(lib, 'office.png'), 'office');
+    fs.writeFileSync(path.join(lib, 'tags.json'), JSON.stringify({ 'office.png': ['desk', 'laptop'] }));
+
+    const images = createImageProvider('library', { IMAGE_LIBRARY: lib });
+    const chart = await images.request({ prompt: 'Bitcoin chart going up' });
+    expect(path.basename(chart.file)).to.equal('chart-up.png');
+    const desk = await images.request({ prompt: 'A tidy desk with a laptop' });
+    expect(path.basename(desk.file)).to.equal('office.png');
+    // Same crypto score as chart-up.png, which is already used
+    const crypto = await images.request({ prompt: 'Crypto basics' });
+    expect(path.basename(crypto.file)).to.equal('coins.png');
+    // Same prompt (e.g. another profile) keeps its image
+    expect((await images.request({ prompt: 'Bitcoin chart going up' })).file).to.equal(chart.file);
+
+    const out = path.join(dir, 'scene01.png');
+    await images.generate(chart, out);
+    expect(fs.readFileSync(out, 'utf8')).to.equal('chart');
+  });
+
+  it('falls back to the least-used image and fails clearly on an empty library', async () => {
+    const entries = [
+      { file: 'a.png', tags: new Set(['alpha']) },
+      { file: 'b.png', tags: new Set(['beta']) },
+    ];
+    expect(pickLibraryImage(entries, 'nothing matches', new Map([['a.png', 1]]))).to.equal('b.png');
+
+    const images = createImageProvider('library', { IMAGE_LIBRARY: dir });
+    let err;
+    try {
+      await images.request({ prompt: 'anything' });
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.message).to.match(/No images .* found in IMAGE_LIBRARY/);
+    expect(() => createImageProvider('library', {})).to.throw(/requires IMAGE_LIBRARY/);
+  });
+
+  it('builds ffmpeg color + drawtext arguments for placeholder frames', async () => {
+    const images = createImageProvider('placeholder', {});
+    const req = await images.request({ prompt: 'Scene one', width: 1080, height: 1920 });
+    expect(req.color).to.match(/^0x[0-9A-F]{6}$/);
+    expect(await images.request({ prompt: 'Scene one', width: 1080, height: 1920 })).to.deep.equal(req);
+
+    const args = placeholderArgs({ ...req, textFile: '/tmp/a:b.txt', outPng: 'out.png' });
+    expect(args).to.include(`color=c=${req.color}:s=1080x1920`);
+    expect(args[args.indexOf('-vf') + 1]).to.equal(
+      "drawtext=textfile='/tmp/a\\:b.txt':fontcolor=white:fontsize=45:line_spacing=23:x=(w-text_w)/2:y=(h-text_h)/2"
+    );
+    expect(placeholderArgs({ ...req, outPng: 'out.png' })).to.not.include('-vf');
+    // Drive letters, quotes and commas survive both ffmpeg parsers
+    expect(filterPath("C:\\kits\\it's, done\\captions.ass")).to.equal("C\\:/kits/it'\\\\\\''s, done/captions.ass");
+    expect(wrapText('one two three four five', 9, 2)).to.equal('one two\nthree...');
+  });
+
+  it('makes one master per orientation at the bounding frame of its profiles', () => {
+    const vertical = { name: 'vertical', width: 1080, height: 1920 };
+    const horizontal = { name: 'horizontal', width: 1920, height: 1080 };
+    const square = { name: 'square', width: 1080, height: 1080 };
+    const feed45 = { name: 'feed45', width: 1080, height: 1350 };
+    // Landscape scenes are never cropped from the portrait master
+    expect(masterFrames([vertical, horizontal])).to.deep.equal([
+      { orientation: 'portrait', width: 1080, height: 1920, profiles: ['vertical'], shapes: ['vertical'] },
+      { orientation: 'landscape', width: 1920, height: 1080, profiles: ['horizontal'], shapes: ['horizontal'] },
+    ]);
+    // Square profiles share the first profile's master
+    expect(masterFrames([vertical, feed45, square])).to.deep.equal([
+      {
+        orientation: 'portrait',
+        width: 1080,
+        height: 1920,
+        profiles: ['vertical', 'feed45', 'square'],
+        shapes: ['vertical', 'square'],
+      },
+    ]);
+    expect(masterFrames([square, horizontal]).map((f) => f.profiles)).to.deep.equal([['square', 'horizontal']]);
+    expect(masterFrames([square])[0]).to.include({ orientation: 'square', width: 1080, height: 1080 });
+  });
+
+  it('crops masters around the focal point, or on the nearest third', () => {
+    const square = { srcW: 1024, srcH: 1024, width: 1080, height: 1920 };
+    // Scaled to 1920x1920; the 1080-wide window is centred by default
+    expect(cropWindow(square)).to.deep.equal({ scaledW: 1920, scaledH: 1920, x: 420, y: 0 });
+    // Focal point at 30% across: centred on it, or placed on the left third line
+    expect(cropWindow({ ...square, focus: { x: 0.3, y: 0.5 } }).x).to.equal(36);
+    expect(cropWindow({ ...square, focus: { x: 0.3, y: 0.5 }, mode: 'thirds' }).x).to.equal(216);
+    // Clamped to the image edge
+    expect(cropWindow({ ...square, focus: { x: 0, y: 0.5 } }).x).to.equal(0);
+
+    expect(variantFilter({ ...square, focus: { x: 0.3, y: 0.5 } })).to.equal('[0:v]scale=1920:1920,crop=1080:1920:36:0,setsar=1');
+    const blur = variantFilter({ ...square, mode: 'blur' });
+    expect(blur).to.include('boxblur');
+    expect(blur).to.include('scale=1080:1920:force_original_aspect_ratio=decrease');
+  });
+
+  it('parses focal points and reads PNG sizes', () => {
+    expect(parseFocus(undefined)).to.deep.equal({ x: 0.5, y: 0.5 });
+    expect(parseFocus('top-right')).to.deep.equal({ x: 0.75, y: 0.25 });
+    expect(parseFocus([0.2, 0.8])).to.deep.equal({ x: 0.2, y: 0.8 });
+    expect(parseFocus({ x: 0.1, y: 0.9 })).to.deep.equal({ x: 0.1, y: 0.9 });
+    expect(() => parseFocus({ x: 2, y: 0 })).to.throw(/Invalid focus/);
+    expect(() => parseFocus('middle-ish')).to.throw(/Invalid focus/);
+
+    const head = Buffer.alloc(24);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47]).copy(head, 0);
+    head.writeUInt32BE(1536, 16);
+    head.writeUInt32BE(1024, 20);
+    expect(pngSize(head)).to.deep.equal({ width: 1536, height: 1024 });
+    expect(pngSize(Buffer.alloc(0))).to.equal(null);
+  });
+
+  it('rejects unknown providers', () => {
+    expect(() => createImageProvider('midjourney', {})).to.throw(/Unknown image provider "midjourney"/);
+  });
+});
@@ -0,0 +1,132 @@
+import { expect } from 'chai';
+import { allJobs, backoffDelay, createLimiter, createScheduler, isRetryable } from '../../src/jobs.js';
+
+const httpError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('job scheduler', () => {
+  it('never runs more than the concurrency cap at once', async () => {
+    const jobs = createScheduler({ concurrency: 2 });
+    let running = 0;
+    let peak = 0;
+    const results = await allJobs(
+      jobs,
+      [1, 2, 3, 4, 5].map((n) =>
+        jobs.run(`job ${n}`, async () => {
+          running++;
+          peak = Math.max(peak, running);
+          await tick();
+          running--;
+          return n * 10;
+        })
+      )
+    );
+    expect(results).to.deep.equal([10, 20, 30, 40, 50]);
+    expect(peak).to.equal(2);
+  });
+
+  it('retries 429 and 5xx with exponential backoff and jitter, honouring Retry-After', async () => {
+    const delays = [];
+    const retries = [];
+    const jobs = createScheduler({
+      baseDelayMs: 100,
+      random: () => 0.5,
+      sleep: async (ms) => delays.push(ms),
+      onRetry: ({ label, attempt }) => retries.push(`${label}#${attempt}`),
+    });
+    const failures = [httpError(429), httpError(503), Object.assign(httpError(429), { headers: { 'retry-after': '2' } })];
+    const out = await jobs.run('image 1/3', async ({ attempt }) => {
+      if (failures.length) throw failures.shift();
+      return `ok after ${attempt}`;
+    });
+    expect(out).to.equal('ok after 3');
+    expect(delays).to.deep.equal([75, 150, 2000]);
+    expect(retries).to.deep.equal(['image 1/3#1', 'image 1/3#2', 'image 1/3#3']);
+    expect(backoffDelay(10, { baseMs: 1000, maxMs: 30000, random: () => 1 })).to.equal(30000);
+  });
+
+  it('fails fast on non-retryable errors and reports the attempts for exhausted ones', async () => {
+    const jobs = createScheduler({ retries: 2, sleep: async () => {} });
+    let calls = 0;
+    let err;
+    try {
+      await jobs.run('script', async () => {
+        calls++;
+        throw httpError(401, 'invalid api key');
+      });
+    } catch (e) {
+      err = e;
+    }
+    expect(calls).to.equal(1);
+    expect(err.message).to.equal('invalid api key');
+
+    // A failed job cancels the rest of its scheduler, so use a fresh one
+    try {
+      await createScheduler({ retries: 2, sleep: async () => {} }).run('voiceover', async () => {
+        throw httpError(500, 'server error');
+      });
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.equal('voiceover failed after 3 attempts: server error');
+    expect(err.status).to.equal(500);
+    expect(isRetryable(Object.assign(new Error('reset'), { code: 'ECONNRESET' }))).to.equal(true);
+    expect(isRetryable(httpError(400))).to.equal(false);
+  });
+
+  it('aborts timed-out attempts through the signal and retries them', async () => {
+    const jobs = createScheduler({ timeoutMs: 20, sleep: async () => {} });
+    const signals = [];
+    const out = await jobs.run('image 2/3', ({ signal, attempt }) => {
+      signals.push(signal);
+      if (attempt === 0) return new Promise(() => {});
+      return 'done';
+    });
+    expect(out).to.equal('done');
+    expect(signals[0].aborted).to.equal(true);
+    expect(signals[0].reason.message).to.match(/timed out/);
+  });
+
+  it('cancels queued jobs after the first failure and rethrows it', async () => {
+    const jobs = createScheduler({ concurrency: 1 });
+    const started = [];
+    let err;
+    try {
+      await allJobs(
+        jobs,
+        [1, 2, 3].map((n) =>
+          jobs.run(`job ${n}`, async () => {
+            started.push(n);
+            if (n === 1) throw httpError(400, 'bad prompt');
+          })
+        )
+      );
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.equal('bad prompt');
+    expect(started).to.deep.equal([1]);
+  });
+
+  it('shares one limit across schedulers without sharing cancellation', async () => {
+    const limiter = createLimiter(2);
+    const [a, b] = [createScheduler({ limiter }), createScheduler({ limiter })];
+    let running = 0;
+    let peak = 0;
+    const job = (n) => async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await tick();
+      running--;
+      if (n === 1) throw httpError(400, 'bad prompt');
+      return n;
+    };
+    const [failed, ok] = await Promise.allSettled([
+      allJobs(a, [1, 2, 3].map((n) => a.run(`a${n}`, job(n)))),
+      allJobs(b, [4, 5, 6].map((n) => b.run(`b${n}`, job(n)))),
+    ]);
+    expect(failed.reason.message).to.equal('bad prompt');
+    expect(ok.value).to.deep.equal([4, 5, 6]);
+    expect(peak).to.equal(2);
+  });
+});
@@ -0,0 +1,63 @@
+import { expect } from 'chai';
+import { motionFilter, parseStoryboard, planSegments, storyboardRow, transitionFilter } from '../../src/motion.js';
+
+describe('motion and transitions', () => {
+  it('builds zoompan expressions for each motion preset', () => {
+    const base = { width: 1080, height: 1920, fps: 30, frames: 121 };
+    expect(motionFilter(base)).to.equal(
+      "zoompan=z='1+0.08*on/120':x='(iw-iw/zoom)*0.5':y='(ih-ih/zoom)*0.5':fps=30:d=121:s=1080x1920"
+    );
+    expect(motionFilter({ ...base, motion: 'pan-left' })).to.include("z='1.1':x='(iw-iw/zoom)*(1-on/120)'");
+    expect(motionFilter({ ...base, motion: 'kenburns', focus: { x: 0.75, y: 0.25 } })).to.include(
+      "x='(iw-iw/zoom)*(0.5+0.25*on/120)':y='(ih-ih/zoom)*(0.5+-0.25*on/120)'"
+    );
+    expect(motionFilter({ ...base, motion: 'static' })).to.match(/^zoompan=z='1':/);
+  });
+
+  it('reads old and new storyboards, with per-scene overrides', () => {
+    expect(parseStoryboard('filename,start,duration,cue\nscene_01.png,0,5,1\n')).to.deep.equal([
+      { filename: 'scene_01.png', duration: 5, motion: null, transition: null, focus: { x: 0.5, y: 0.5 } },
+    ]);
+    const row = storyboardRow({ filename: 'scene_02.png', start: 5, duration: 4, cue: 2, motion: 'kenburns', focus: { x: 0.3, y: 0.4 } });
+    expect(row).to.equal('scene_02.png,5,4,2,kenburns,,0.3 0.4');
+    const rows = parseStoryboard(`filename,start,duration,cue,motion,transition,focus\n${row}\nscene_03.png,9,3,3,,Whip,top\n`);
+    expect(rows[0]).to.deep.include({ motion: 'kenburns', transition: null, focus: { x: 0.3, y: 0.4 } });
+    expect(rows[1]).to.deep.include({ motion: null, transition: 'whip', focus: { x: 0.5, y: 0.25 } });
+    expect(() => parseStoryboard('filename,duration,motion\na.png,2,spin\n')).to.throw(
+      /^storyboard.csv row 1: Unknown motion "spin"/
+    );
+  });
+
+  it('centres transitions on scene changes so the total length is unchanged', () => {
+    const rows = [
+      { filename: 'a.png', duration: 4, motion: null, transition: null, focus: { x: 0.5, y: 0.5 } },
+      { filename: 'b.png', duration: 3, motion: 'static', transition: 'whip', focus: { x: 0.5, y: 0.5 } },
+      { filename: 'c.png', duration: 5, motion: null, transition: 'slide', focus: { x: 0.5, y: 0.5 } },
+    ];
+    const plan = planSegments(rows, { fps: 30, transition: 'crossfade', transitionSec: 0.5 });
+    expect(plan.frames).to.equal(360);
+    expect(plan.segments.map((s) => s.frames)).to.deep.equal([128, 101, 154]);
+    expect(plan.segments.map((s) => s.motion)).to.deep.equal(['zoom-in', 'static', 'zoom-in']);
+    // Segments minus the overlaps add up to the storyboard length
+    const overlap = plan.segments.reduce((a, s) => a + (s.transition ? s.transition.frames : 0), 0);
+    expect(plan.segments.reduce((a, s) => a + s.frames, 0) - overlap).to.equal(360);
+
+    expect(transitionFilter(plan.segments, 30)).to.equal(
+      '[0:v][1:v]xfade=transition=fade:duration=0.5:offset=3.766667[j1];' +
+        '[j1][2:v]xfade=transition=smoothleft:duration=0.266667:offset=6.866667[video]'
+    );
+    const cuts = planSegments(rows.map((r) => ({ ...r, transition: null })), { fps: 30 });
+    expect(cuts.segments.map((s) => s.frames)).to.deep.equal([120, 90, 150]);
+    expect(transitionFilter(cuts.segments, 30)).to.equal(null);
+  });
+
+  it('shortens transitions to half of the shorter scene and mixes in cuts', () => {
+    const rows = ['a', 'b', 'c'].map((n, i) => ({ filename: `${n}.png`, duration: [1, 4, 4][i], focus: { x: 0.5, y: 0.5 } }));
+    rows[1].transition = 'cut';
+    const plan = planSegments(rows, { fps: 30, transition: 'wipe', transitionSec: 2 });
+    expect(plan.segments[0].transition).to.deep.include({ name: 'wipe', frames: 15 });
+    expect(transitionFilter(plan.segments, 30)).to.equal(
+      '[0:v][1:v]xfade=transition=wipeleft:duration=0.5:offset=0.766667[j1];[j1][2:v]concat=n=2:v=1:a=0[video]'
+    );
+  });
+});
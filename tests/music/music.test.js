@@ -0,0 +1,97 @@
+import { expect } from 'chai';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import { duckRatio, mixFilter, musicMix, resolveMusic } from '../../src/music.js';
+
+describe('music', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-music-'));
+    const put = (rel) => {
+      fs.mkdirSync(path.dirname(path.join(dir, rel)), { recursive: true });
+      fs.writeFileSync(path.join(dir, rel), 'ID3');
+    };
+    put('calm/rain-piano.mp3');
+    put('calm/ocean-pads.wav');
+    put('upbeat/sunny-day.mp3');
+    put('upbeat/crypto-pulse.m4a');
+    put('notes.txt');
+    fs.writeFileSync(path.join(dir, 'tags.json'), JSON.stringify({ 'upbeat/sunny-day.mp3': ['money', 'finance'] }));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('resolves a file, a folder pick and a mood from the library', async () => {
+    const file = path.join(dir, 'calm', 'rain-piano.mp3');
+    expect(await resolveMusic(file)).to.deep.equal({ file, source: 'file' });
+    expect(await resolveMusic('none', { library: dir })).to.equal(null);
+    expect(await resolveMusic('', { library: dir })).to.equal(null);
+
+    // Best keyword match wins: topic words against folder, file and tags.json names
+    const picked = await resolveMusic(dir, { words: 'Crypto basics, upbeat' });
+    expect(picked).to.deep.equal({ file: path.join(dir, 'upbeat', 'crypto-pulse.m4a'), source: 'folder' });
+
+    const mood = await resolveMusic('upbeat', { library: dir, words: 'Money habits' });
+    expect(mood).to.deep.equal({ file: path.join(dir, 'upbeat', 'sunny-day.mp3'), source: 'mood', mood: 'upbeat' });
+    // Equal matches are spread by topic, but a topic always gets the same track
+    const a = await resolveMusic('calm', { library: dir, seed: 'Topic A' });
+    expect((await resolveMusic('calm', { library: dir, seed: 'Topic A' })).file).to.equal(a.file);
+    expect(path.dirname(a.file)).to.equal(path.join(dir, 'calm'));
+  });
+
+  it('explains unknown moods and unsupported files', async () => {
+    let err;
+    try {
+      await resolveMusic('spooky', { library: dir });
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.equal(`No track tagged "spooky" in MUSIC_LIBRARY ${dir}. Moods (folders) found: calm, upbeat`);
+    try {
+      await resolveMusic(path.join(dir, 'notes.txt'));
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/^Unsupported music file .*notes\.txt\. Expected one of: \.mp3/);
+    try {
+      await resolveMusic('calm', { library: path.join(dir, 'missing') });
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/^Music "calm" is not a file or folder, and there is no MUSIC_LIBRARY folder/);
+  });
+
+  it('builds the mix: normalize, fit, fade and duck the music under the voice', () => {
+    const filter = mixFilter({ voice: '1:a', music: '2:a', durationSec: 60, loudness: -14, mix: musicMix() });
+    const chains = filter.split(';');
+    expect(chains[0]).to.equal(
+      '[2:a]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo,atrim=0:60,asetpts=PTS-STARTPTS,' +
+        'loudnorm=I=-26:TP=-1.5:LRA=11,aresample=48000,afade=t=in:st=0:d=1,afade=t=out:st=58:d=2[bg]'
+    );
+    expect(chains[1]).to.match(/^\[1:a\]aformat=.*,loudnorm=I=-14:TP=-1\.5:LRA=11,aresample=48000,asplit=2\[vo\]\[sc\]$/);
+    expect(chains[2]).to.equal('[bg][sc]sidechaincompress=threshold=0.03:ratio=4:attack=20:release=400[bed]');
+    expect(chains[3]).to.equal('[vo][bed]amix=inputs=2:duration=longest:normalize=0,loudnorm=I=-14:TP=-1.5:LRA=11,aresample=48000[mix]');
+
+    // Voice only, music only, and no ducking
+    expect(mixFilter({ voice: '1:a', durationSec: 60 })).to.match(/^\[1:a\].*loudnorm=I=-14:.*\[mix\]$/);
+    expect(mixFilter({ music: '1:a', durationSec: 1.5, loudness: -16 })).to.include('loudnorm=I=-16:').and.include(
+      'afade=t=in:st=0:d=1,afade=t=out:st=0:d=1.5[mix]'
+    );
+    const flat = mixFilter({ voice: '1:a', music: '2:a', durationSec: 30, mix: musicMix({ duckDepth: 0 }) });
+    expect(flat).to.include('[sc]anullsink;[bg]anull[bed]').and.not.include('sidechaincompress');
+    // Several mixes in one graph
+    const es = mixFilter({ voice: '3:a', music: '4:a', durationSec: 30, prefix: 'l1_' });
+    expect(es).to.include('[l1_bg][l1_sc]sidechaincompress=').and.match(/\[l1_vo\]\[l1_bed\]amix=.*\[l1_mix\]$/);
+  });
+
+  it('validates mix settings and maps ducking depth to a ratio', () => {
+    expect(musicMix({ volume: -18 })).to.include({ volume: -18, duckDepth: 12 });
+    expect(() => musicMix({ duckAttack: 0 })).to.throw('MUSIC_MIX.duckAttack must be a number from 0.01 to 2000 (got 0).');
+    expect(() => musicMix({ fadeOut: '2' })).to.throw(/MUSIC_MIX.fadeOut must be a number/);
+    expect([duckRatio(6), duckRatio(12), duckRatio(30)]).to.deep.equal([1.6, 4, 20]);
+  });
+});
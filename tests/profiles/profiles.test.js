@@ -0,0 +1,40 @@
+import { expect } from 'chai';
+import { resolveProfiles, profileConfig } from '../../src/profiles.js';
+
+describe('output profiles', () => {
+  it('defaults to vertical and horizontal', () => {
+    expect(resolveProfiles(undefined).map((p) => p.name)).to.deep.equal(['vertical', 'horizontal']);
+  });
+
+  it('resolves built-ins, config overrides and inline specs in order', () => {
+    const profiles = resolveProfiles('square,feed45,vertical,preview=720x1280@60', {
+      vertical: { fps: 60, crf: 18 },
+    });
+    expect(profiles.map((p) => [p.name, p.width, p.height, p.fps])).to.deep.equal([
+      ['square', 1080, 1080, 30],
+      ['feed45', 1080, 1350, 30],
+      ['vertical', 1080, 1920, 60],
+      ['preview', 720, 1280, 60],
+    ]);
+    expect(profileConfig({}, profiles[2])).to.include({ WIDTH: 1080, HEIGHT: 1920, FPS: 60, CRF: 18 });
+    // A profile's own quality wins over CRF / VIDEO_BITRATE from config, and --crf / --video-bitrate over both
+    expect(profileConfig({ CRF: 23 }, profiles[2])).to.include({ CRF: 18 });
+    expect(profileConfig({ CRF: 23 }, profiles[2], { CRF: 30 })).to.include({ CRF: 30 });
+    expect(profileConfig({ VIDEO_BITRATE: '8M' }, profiles[0])).to.include({ CRF: null, VIDEO_BITRATE: '8M' });
+  });
+
+  it('treats crf and videoBitrate as one setting', () => {
+    const [hd] = resolveProfiles('hd', { hd: { width: 1920, height: 1080, videoBitrate: '8M' } });
+    // --crf replaces the profile's bitrate instead of adding to it; the profile's replaces config's CRF
+    expect(profileConfig({ CRF: 23 }, hd)).to.include({ CRF: null, VIDEO_BITRATE: '8M' });
+    expect(profileConfig({ CRF: 23 }, hd, { CRF: 20 })).to.include({ CRF: 20, VIDEO_BITRATE: null });
+    expect(() => resolveProfiles('hd', { hd: { width: 1920, height: 1080, crf: 20, videoBitrate: '8M' } })).to.throw(
+      /sets both crf and videoBitrate/
+    );
+  });
+
+  it('rejects unknown names and odd dimensions', () => {
+    expect(() => resolveProfiles('cinema')).to.throw(/Unknown profile "cinema"/);
+    expect(() => resolveProfiles('odd=721x1280')).to.throw(/even width and height/);
+  });
+});
@@ -0,0 +1,91 @@
+import { expect } from 'chai';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import { loadProject, parseVoiceoverText, projectErrors } from '../../src/project.js';
+
+describe('project files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-project-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reports every schema problem by field', () => {
+    const errors = projectErrors({
+      sections: [{ label: 'Intro', sec: -3 }, 'oops'],
+      images: [{ focus: 'left' }, { prompt: 'Sky', focus: { x: 4, y: 0 }, motion: 'spin' }],
+      style: 'watercolor',
+      voice: { provider: 'acme', gender: 'robot' },
+    });
+    expect(errors).to.deep.equal([
+      'title: required non-empty string',
+      'sections[0].text: required non-empty string',
+      'sections[0].sec: must be a positive number of seconds',
+      'sections[1]: expected an object',
+      'images[0]: needs a "prompt" or a "path"',
+      'images[1].focus: Invalid focus {"x":4,"y":0}. Use { "x": 0-1, "y": 0-1 } or one of: center, left, right, top, bottom, top-left, top-right, bottom-left, bottom-right',
+      'images[1].motion: must be one of: zoom-in, zoom-out, pan-left, pan-right, kenburns, static',
+      'style: must be one of: cartoon, realistic, ai-generated',
+      'voice.provider: must be one of: openai, elevenlabs, local, stub',
+      'voice.gender: must be male or female',
+    ]);
+    expect(projectErrors({ title: 'Ok', sections: [{ text: 'Hi.' }] })).to.deep.equal([]);
+  });
+
+  it('loads YAML projects and resolves image paths against the file', async () => {
+    const file = path.join(dir, 'video.yml');
+    fs.writeFileSync(
+      file,
+      [
+        'title: Staking basics',
+        'hook: Earn while you sleep.',
+        'sections:',
+        '  - text: Lock coins to secure a network.',
+        '    duration: 30',
+        '  - text: Rewards vary.',
+        '    sec: 30',
+        'images:',
+        '  - path: art/one.png',
+        '    focus: { x: 0.2, y: 0.5 }',
+        'voice: luna',
+        'style: realistic',
+      ].join('\n')
+    );
+    const project = await loadProject(file);
+    expect(project.topic).to.equal('Staking basics');
+    expect(project.duration).to.equal(60);
+    expect(project.sections[0]).to.deep.equal({ label: '', text: 'Lock coins to secure a network.', sec: 30 });
+    expect(project.images[0].path).to.equal(path.join(dir, 'art', 'one.png'));
+    expect(project.images[0].focus).to.deep.equal({ x: 0.2, y: 0.5 });
+    expect(project.voice).to.deep.equal({ voice: 'luna' });
+    expect(project.style).to.equal('realistic');
+  });
+
+  it('fails with the file name and the field list', async () => {
+    const file = path.join(dir, 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ title: '', sections: [] }));
+    let err;
+    try {
+      await loadProject(file);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.equal(
+      `Invalid project file ${file}:\n  - title: required non-empty string\n  - sections: required non-empty array`
+    );
+  });
+
+  it('reads the legacy voiceover.txt format with inclusive second ranges', () => {
+    const text = fs.readFileSync(path.join(process.cwd(), 'voiceover.txt'), 'utf8');
+    const sections = parseVoiceoverText(text);
+    expect(sections.map((s) => s.sec)).to.deep.equal([4, 7, 15, 15, 10, 8, 2]);
+    expect(sections[2].label).to.equal('Staking');
+    expect(sections[0]).to.not.have.property('label');
+    expect(sections[6].text).to.match(/^Follow for more/);
+  });
+});
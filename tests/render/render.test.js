@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import { segmentFilter, encodeArgs, pictureFilter } from '../../src/render.js';
+import { planSegments } from '../../src/motion.js';
+
+describe('render filters', () => {
+  it('cover-crops scene images to the target frame and zooms at that size', () => {
+    const vf = segmentFilter({ width: 1920, height: 1080, fps: 30, duration: 4 });
+    expect(vf).to.match(/^scale=1920:1080:force_original_aspect_ratio=increase,crop=1920:1080,/);
+    expect(vf).to.include(':d=120:s=1920x1080,');
+    expect(segmentFilter({ width: 1920, height: 1080, fps: 30, frames: 90, motion: 'static' })).to.include(
+      ",zoompan=z='1':"
+    );
+  });
+
+  it('letterboxes scene images with fit=contain', () => {
+    const vf = segmentFilter({ width: 1920, height: 1080, fps: 30, duration: 4, fit: 'contain' });
+    expect(vf).to.match(
+      /^scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:\(ow-iw\)\/2:\(oh-ih\)\/2/
+    );
+  });
+
+  it('builds encoder args from the output profile', () => {
+    const args = encodeArgs({ FPS: 60, CRF: 20, AUDIO_BITRATE: '128k' }).join(' ');
+    expect(args).to.equal(
+      '-c:v libx264 -preset slow -profile:v high -level 4.2 -crf 20 -pix_fmt yuv420p -r 60 -c:a aac -b:a 128k -movflags +faststart'
+    );
+  });
+
+  it('applies the draft, final and archive encode presets and their overrides', () => {
+    expect(encodeArgs({}).join(' ')).to.equal(
+      '-c:v libx264 -preset slow -profile:v high -level 4.1 -crf 18 -pix_fmt yuv420p -r 30 -c:a aac -b:a 192k -movflags +faststart'
+    );
+    expect(encodeArgs({ ENCODE_PRESET: 'draft' }).join(' ')).to.include(
+      '-preset veryfast -profile:v high -level 4.1 -crf 28'
+    );
+    expect(encodeArgs({ ENCODE_PRESET: 'draft', ENCODE_SPEED: 'ultrafast', CRF: 32 }).join(' ')).to.include(
+      '-preset ultrafast -profile:v high -level 4.1 -crf 32'
+    );
+    // Lossless video and audio
+    expect(encodeArgs({ ENCODE_PRESET: 'archive' }).join(' ')).to.equal(
+      '-c:v libx264 -preset medium -qp 0 -pix_fmt yuv420p -r 30 -c:a alac -movflags +faststart'
+    );
+    expect(encodeArgs({ ENCODE_PRESET: 'archive', VIDEO_CODEC: 'libx265' }).join(' ')).to.include(
+      '-x265-params lossless=1'
+    );
+    // A profile's crf leaves archive lossless
+    expect(encodeArgs({ ENCODE_PRESET: 'archive', CRF: 23 }).join(' ')).to.equal(
+      '-c:v libx264 -preset medium -qp 0 -pix_fmt yuv420p -r 30 -c:a alac -movflags +faststart'
+    );
+    // A bitrate replaces the preset's quality level; other encoders only get what is set
+    expect(encodeArgs({ VIDEO_BITRATE: '8M' }).join(' ')).to.include('-level 4.1 -b:v 8M -pix_fmt');
+    expect(encodeArgs({ VIDEO_CODEC: 'mpeg4', CRF: 20 }).join(' ')).to.not.include('-crf');
+    expect(encodeArgs({ VIDEO_CODEC: 'h264_videotoolbox', VIDEO_BITRATE: '8M' }).join(' ')).to.equal(
+      '-c:v h264_videotoolbox -b:v 8M -pix_fmt yuv420p -r 30 -c:a aac -b:a 192k -movflags +faststart'
+    );
+  });
+
+  it('animates and joins every scene in one filter graph', () => {
+    const focus = { x: 0.5, y: 0.5 };
+    const rows = [
+      { filename: 'scene01.png', duration: 2, focus },
+      { filename: 'scene02.png', duration: 2, focus, transition: 'crossfade' },
+      { filename: 'scene03.png', duration: 2, focus },
+    ];
+    const size = { width: 1080, height: 1920, fps: 30 };
+    const plain = planSegments(rows.map((r) => ({ ...r, transition: null })), { fps: 30 });
+    const cuts = pictureFilter(plain.segments, size).split(';');
+    expect(cuts).to.have.length(4);
+    expect(cuts[0]).to.match(/^\[0:v\]scale=1080:1920:.*:d=60:s=1080x1920,format=yuv420p\[s0\]$/);
+    expect(cuts[2]).to.match(/^\[2:v\].*\[s2\]$/);
+    expect(cuts[3]).to.equal('[s0][s1][s2]concat=n=3:v=1:a=0[picture]');
+
+    const faded = pictureFilter(planSegments(rows, { fps: 30 }).segments, { ...size, fit: 'contain' }).split(';');
+    expect(faded[0]).to.include('pad=1080:1920');
+    expect(faded.slice(3)).to.deep.equal([
+      '[s0][s1]concat=n=2:v=1:a=0[j1]',
+      '[j1][s2]xfade=transition=fade:duration=0.5:offset=3.766667[picture]',
+    ]);
+    expect(pictureFilter(planSegments(rows.slice(0, 1), { fps: 30 }).segments, size)).to.match(
+      /^\[0:v\].*\[picture\]$/
+    );
+  });
+});
@@ -0,0 +1,103 @@
+import { expect } from 'chai';
+import { requestScript, scriptErrors, scriptRules } from '../../src/script.js';
+
+const words = (n) => Array.from({ length: n }, (_, i) => `word${i}`).join(' ');
+
+// A 60s / 3-scene script that passes every check
+function validScript() {
+  return {
+    title: 'Staking basics',
+    hook: 'Earn while you sleep.',
+    sections: [
+      { label: 'Intro', sec: 20, text: words(40) },
+      { label: 'How', sec: 20, text: words(40) },
+      { label: 'Wrap', sec: 20, text: words(40) },
+    ],
+    image_prompts: ['A vault', 'A validator node', 'A calendar'],
+    tts_style: 'calm',
+    disclaimer: 'Educational only.',
+  };
+}
+
+// Fake text provider that answers from a list and records every request
+function fakeText(replies) {
+  const calls = [];
+  return {
+    calls,
+    complete: async (body) => {
+      calls.push(structuredClone(body));
+      return replies.shift();
+    },
+  };
+}
+
+describe('script schema', () => {
+  it('reports field, count, duration and prompt problems', () => {
+    expect(scriptErrors(validScript(), { videoSec: 60, scenes: 3 })).to.deep.equal([]);
+
+    const bad = validScript();
+    delete bad.hook;
+    bad.sections = [{ label: 'Only', sec: 90, text: '' }];
+    bad.image_prompts = ['A vault', ' a vault '];
+    expect(scriptErrors(bad, { videoSec: 60, scenes: 3 })).to.deep.equal([
+      'hook: required non-empty string',
+      'sections: expected 3-8 sections, got 1',
+      'sections[0].text: required non-empty string',
+      'sections: durations sum to 90s; expected about 60s',
+      'image_prompts: expected exactly 3 prompts, got 2',
+      'image_prompts[1]: duplicates image_prompts[0]',
+    ]);
+    expect(scriptErrors([], { videoSec: 60, scenes: 3 })).to.deep.equal(['(root): expected a JSON object']);
+  });
+
+  it('checks the word count against the speaking rate', () => {
+    const rules = scriptRules(60);
+    expect(rules).to.include({ minSections: 3, maxSections: 8, minWords: 90, maxWords: 173 });
+
+    const long = validScript();
+    long.sections[0].text = words(120);
+    expect(scriptErrors(long, { videoSec: 60, scenes: 3 })).to.deep.equal([
+      'sections: 206 words take ~82s to speak; keep the spoken text under 173 words',
+    ]);
+    const short = validScript();
+    short.sections.forEach((s) => (s.text = 'Too short.'));
+    expect(scriptErrors(short, { videoSec: 60, scenes: 3 })[0]).to.match(/^sections: 12 words only fill ~5s of 60s/);
+  });
+
+  it('sends validation errors back to the model and returns the repaired script', async () => {
+    const broken = { ...validScript(), image_prompts: ['A vault'] };
+    const text = fakeText(['not json', JSON.stringify(broken), '```json\n' + JSON.stringify(validScript()) + '\n```']);
+    const rejected = [];
+    const data = await requestScript({
+      text,
+      prompt: 'Write a script',
+      videoSec: 60,
+      scenes: 3,
+      repairs: 2,
+      onInvalid: (failure) => rejected.push(failure),
+    });
+    expect(data.title).to.equal('Staking basics');
+    expect(text.calls).to.have.length(3);
+    expect(rejected.map((r) => r.attempt)).to.deep.equal([1, 2]);
+    expect(rejected[0].errors[0]).to.match(/^\(root\): not valid JSON/);
+    expect(rejected[1].raw).to.equal(JSON.stringify(broken));
+
+    const repair = text.calls[2].messages;
+    expect(text.calls[2].system).to.match(/only valid JSON/);
+    expect(repair.map((m) => m.role)).to.deep.equal(['user', 'assistant', 'user', 'assistant', 'user']);
+    expect(repair[4].content).to.include('- image_prompts: expected exactly 3 prompts, got 1');
+  });
+
+  it('gives up after the configured repairs with the remaining errors', async () => {
+    const text = fakeText([JSON.stringify({ title: 'x' }), JSON.stringify({ title: 'x' })]);
+    let err;
+    try {
+      await requestScript({ text, prompt: 'p', videoSec: 60, scenes: 3, repairs: 1 });
+    } catch (e) {
+      err = e;
+    }
+    expect(text.calls).to.have.length(2);
+    expect(err.message).to.match(/^Model script failed validation after 2 attempts:\n {2}- hook: required non-empty string/);
+    expect(err.validationErrors).to.include('image_prompts: required array');
+  });
+});
@@ -0,0 +1,75 @@
+import { expect } from 'chai';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import { fillTemplate, listTemplates, loadTemplate, templateErrors, templateVars } from '../../src/templates.js';
+
+describe('content templates', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-templates-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('ships valid built-in templates', async () => {
+    const names = await listTemplates();
+    expect(names).to.include.members(['explainer', 'listicle', 'story', 'news', 'product']);
+    for (const name of names) {
+      const t = await loadTemplate(name);
+      expect(t.name).to.equal(name);
+      expect(t.sections.length).to.be.within(3, 8);
+    }
+  });
+
+  it('prefers user templates and fills variables with overrides on top', async () => {
+    fs.writeFileSync(
+      path.join(dir, 'news.yaml'),
+      [
+        'audience: traders',
+        'tone: dry',
+        'cta: Subscribe.',
+        'disclaimer: Not advice.',
+        'instructions: Cover {{topic}} for {{audience}}; {{unknown}} stays.',
+        'sections:',
+        '  - { label: Lead, sec: 30, brief: "Open with {{cta}}" }',
+        '  - { label: Close, sec: 30 }',
+      ].join('\n')
+    );
+    const t = await loadTemplate('news', { userDir: dir });
+    expect(t.file).to.equal(path.join(dir, 'news.yaml'));
+    expect(t.voice).to.equal('smooth, clear');
+
+    const vars = templateVars(t, { tone: 'upbeat', disclaimer: '' });
+    expect(vars).to.deep.equal({ audience: 'traders', tone: 'upbeat', cta: 'Subscribe.', disclaimer: '' });
+    expect(fillTemplate(t.instructions, { topic: 'Rates', ...vars })).to.equal('Cover Rates for traders; {{unknown}} stays.');
+    expect(fillTemplate(t.sections[0].brief, vars)).to.equal('Open with Subscribe.');
+  });
+
+  it('reports unknown names and invalid files', async () => {
+    let err;
+    try {
+      await loadTemplate('sonnet', { userDir: dir });
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.match(/^Unknown template "sonnet". Expected one of: explainer, listicle/);
+
+    expect(templateErrors({ tone: 3, sections: [{ label: '', sec: 0 }] })).to.deep.equal([
+      'tone: must be a string',
+      'sections[0].label: required non-empty string',
+      'sections[0].sec: required positive number of seconds',
+    ]);
+    const file = path.join(dir, 'bad.json');
+    fs.writeFileSync(file, JSON.stringify({ sections: [] }));
+    try {
+      await loadTemplate(file);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.message).to.equal(`Invalid template ${file}:\n  - sections: required non-empty array`);
+  });
+});
@@ -0,0 +1,144 @@
+import { expect } from 'chai';
+import http from 'node:http';
+import { createTextProvider, extractJSON } from '../../src/text.js';
+import { requestScript } from '../../src/script.js';
+
+describe('text providers', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  // Whether the mock OpenAI-compatible server accepts response_format
+  let jsonMode;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (d) => (body += d));
+      req.on('end', () => {
+        const json = body ? JSON.parse(body) : null;
+        requests.push({ url: req.url, headers: req.headers, body: json });
+        res.setHeader('content-type', 'application/json');
+        if (req.url === '/v1/chat/completions') {
+          if (json.response_format && !jsonMode) {
+            res.writeHead(400);
+            res.end(JSON.stringify({ error: { message: "Unrecognized request argument: 'response_format'" } }));
+            return;
+          }
+          const content = 'Sure! Here it is:\n```json\n{"title": "Local"}\n```';
+          const choice = { index: 0, finish_reason: 'stop', message: { role: 'assistant', content } };
+          const usage = { prompt_tokens: 12, completion_tokens: 5 };
+          res.end(JSON.stringify({ id: 'x', object: 'chat.completion', model: json.model, choices: [choice], usage }));
+          return;
+        }
+        if (req.url === '/v1/messages') {
+          if (req.headers['x-api-key'] !== 'sk-ant-test') {
+            res.writeHead(401);
+            res.end('{"type":"error","error":{"type":"authentication_error","message":"invalid x-api-key"}}');
+            return;
+          }
+          const usage = { input_tokens: 7, output_tokens: 3 };
+          res.end(JSON.stringify({ content: [{ type: 'text', text: '"title": "Claude"}' }], stop_reason: 'end_turn', usage }));
+          return;
+        }
+        res.writeHead(404);
+        res.end('{}');
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    jsonMode = true;
+  });
+
+  const ask = { system: 'Return only valid JSON.', messages: [{ role: 'user', content: 'Write it' }] };
+
+  it('targets an OpenAI-compatible server with its own key and JSON mode', async () => {
+    const usage = [];
+    const text = createTextProvider(
+      'openai',
+      { TEXT_MODEL: 'llama3.1', TEXT_BASE_URL: `${baseUrl}/v1`, TEXT_JSON_MODE: 'auto' },
+      { onUsage: (u) => usage.push(u) }
+    );
+    const reply = await text.complete(ask);
+    expect(JSON.parse(extractJSON(reply))).to.deep.equal({ title: 'Local' });
+    expect(requests).to.have.length(1);
+    expect(requests[0].headers.authorization).to.equal('Bearer local');
+    expect(requests[0].body).to.deep.include({ model: 'llama3.1', response_format: { type: 'json_object' } });
+    expect(requests[0].body.messages[0]).to.deep.equal({ role: 'system', content: 'Return only valid JSON.' });
+    expect(text.request('p')).to.deep.equal({ model: 'llama3.1', prompt: 'p', baseURL: `${baseUrl}/v1` });
+    expect(usage).to.deep.equal([{ model: 'llama3.1', inputTokens: 12, outputTokens: 5 }]);
+  });
+
+  it('drops response_format once a server rejects it in auto mode', async () => {
+    jsonMode = false;
+    const text = createTextProvider('openai', { TEXT_MODEL: 'm', TEXT_BASE_URL: `${baseUrl}/v1`, TEXT_JSON_MODE: 'auto' });
+    await text.complete(ask);
+    await text.complete(ask);
+    expect(requests.map((r) => 'response_format' in r.body)).to.deep.equal([true, false, false]);
+    expect(text.jsonMode).to.equal('off');
+
+    const strict = createTextProvider('openai', { TEXT_MODEL: 'm', TEXT_BASE_URL: `${baseUrl}/v1`, TEXT_JSON_MODE: 'on' });
+    let err;
+    try {
+      await strict.complete(ask);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.status).to.equal(400);
+  });
+
+  it('calls the Anthropic Messages API with a prefilled JSON reply', async () => {
+    const usage = [];
+    const text = createTextProvider(
+      'anthropic',
+      { TEXT_MODEL: 'claude-test', TEXT_BASE_URL: baseUrl, ANTHROPIC_API_KEY: 'sk-ant-test' },
+      { onUsage: (u) => usage.push(u) }
+    );
+    const data = await requestScript({
+      text,
+      prompt: 'Write it',
+      videoSec: 60,
+      scenes: 3,
+      repairs: 0,
+    }).catch((e) => e.validationErrors);
+    // The mock's script is incomplete, but it parsed: only schema errors come back
+    expect(data[0]).to.equal('hook: required non-empty string');
+
+    const { headers, body } = requests[0];
+    expect(headers['anthropic-version']).to.equal('2023-06-01');
+    expect(body.system).to.equal('Return only valid JSON. No commentary.');
+    expect(body.messages).to.deep.equal([
+      { role: 'user', content: 'Write it' },
+      { role: 'assistant', content: '{' },
+    ]);
+    expect(await text.complete(ask)).to.equal('{"title": "Claude"}');
+    expect(usage[0]).to.deep.equal({ model: 'claude-test', inputTokens: 7, outputTokens: 3 });
+  });
+
+  it('surfaces HTTP errors and requires a key for the hosted Anthropic API', async () => {
+    const text = createTextProvider('anthropic', { TEXT_MODEL: 'm', TEXT_BASE_URL: baseUrl, ANTHROPIC_API_KEY: 'wrong' });
+    let err;
+    try {
+      await text.complete(ask);
+    } catch (e) {
+      err = e;
+    }
+    expect(err.status).to.equal(401);
+    expect(err.message).to.match(/^Anthropic request failed \(401\)/);
+    expect(() => createTextProvider('anthropic', { TEXT_MODEL: 'm' })).to.throw(/Missing ANTHROPIC_API_KEY/);
+    expect(() => createTextProvider('gemini', {})).to.throw(/Unknown text provider "gemini"/);
+  });
+
+  it('extracts the JSON object from chatty replies', () => {
+    expect(extractJSON('<think>plan {x}</think>\n{"a": 1}')).to.equal('{"a": 1}');
+    expect(extractJSON('Here:\n```json\n{"a": {"b": 2}}\n```\nDone.')).to.equal('{"a": {"b": 2}}');
+    expect(extractJSON('no json')).to.equal('no json');
+  });
+});
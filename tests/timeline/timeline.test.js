@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import { normalizeSections, allocateScenes, sectionCues } from '../../src/timeline.js';
+
+const sum = (xs) => xs.reduce((a, b) => a + b, 0);
+
+describe('timeline', () => {
+  it('rescales section durations to integers summing to the video length', () => {
+    const sections = normalizeSections(
+      [
+        { label: 'Intro', sec: 10, text: 'a' },
+        { label: 'Point 1', sec: 14, text: 'b' },
+        { label: 'Point 2', sec: 14, text: 'c' },
+        { label: 'Point 3', sec: 10, text: 'd' },
+        { label: 'Wrap', sec: 9, text: 'e' },
+      ],
+      60
+    );
+    expect(sum(sections.map((s) => s.sec))).to.equal(60);
+    sections.forEach((s) => expect(Number.isInteger(s.sec)).to.equal(true));
+  });
+
+  it('splits the longest sections when there are more scenes than sections', () => {
+    const sections = normalizeSections(
+      [
+        { sec: 4, text: 'hook' },
+        { sec: 7, text: 'context' },
+        { sec: 30, text: 'body' },
+        { sec: 19, text: 'wrap' },
+      ],
+      60
+    );
+    const scenes = allocateScenes(sections, 7);
+    expect(scenes).to.have.length(7);
+    expect(sum(scenes.map((s) => s.sec))).to.equal(60);
+    expect(scenes.filter((s) => s.section === 2)).to.have.length(3);
+    expect(scenes[0]).to.include({ start: 0, sec: 4, section: 0 });
+  });
+
+  it('keeps many short sections at the minimum length while trimming the overshoot', () => {
+    const sections = normalizeSections(
+      [{ sec: 40, text: 'long' }, ...Array.from({ length: 9 }, (_, i) => ({ sec: 1, text: `short ${i}` }))],
+      30
+    );
+    expect(sum(sections.map((s) => s.sec))).to.equal(30);
+    expect(Math.min(...sections.map((s) => s.sec))).to.equal(2);
+    expect(sections[0].sec).to.equal(12);
+  });
+
+  it('shares the video out evenly when sections cannot all get the minimum', () => {
+    const sections = normalizeSections(Array.from({ length: 8 }, (_, i) => ({ sec: 5, text: `part ${i}` })), 12);
+    expect(sum(sections.map((s) => s.sec))).to.equal(12);
+    expect(Math.min(...sections.map((s) => s.sec))).to.equal(1);
+    expect(() => normalizeSections(Array.from({ length: 8 }, () => ({ sec: 5 })), 6)).to.throw(/Cannot fit 8 sections/);
+  });
+
+  it('merges neighbouring sections when there are fewer scenes than sections', () => {
+    const sections = normalizeSections(
+      [
+        { sec: 4, text: 'One.' },
+        { sec: 7, text: 'Two.' },
+        { sec: 15, text: 'Three.' },
+        { sec: 15, text: 'Four.' },
+        { sec: 10, text: 'Five.' },
+        { sec: 9, text: 'Six.' },
+      ],
+      60
+    );
+    const scenes = allocateScenes(sections, 4);
+    expect(scenes.map((s) => s.sec)).to.deep.equal([11, 15, 15, 19]);
+    expect(scenes[0].text).to.equal('One. Two.');
+  });
+
+  it('times caption cues inside the section that speaks them', () => {
+    const plan = {
+      hook: 'Hook line.',
+      sections: [
+        { sec: 10, text: 'First point. Second point.' },
+        { sec: 20, text: 'Wrap up.' },
+      ],
+      disclaimer: 'Not advice.',
+    };
+    const cues = sectionCues(plan);
+    expect(cues.map((c) => c.text)).to.deep.equal(['Hook line.', 'First point.', 'Second point.', 'Wrap up.', 'Not advice.']);
+    expect(cues[0].start).to.equal(0);
+    expect(cues[2].end).to.equal(10);
+    expect(cues[3].start).to.equal(10);
+    expect(cues[4].end).to.equal(30);
+  });
+});
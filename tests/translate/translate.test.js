@@ -0,0 +1,75 @@
+import { expect } from 'chai';
+import { languageIso3, languageName, parseLanguages, placeholderTranslation, translatePlan, translationErrors } from '../../src/translate.js';
+
+const plan = {
+  title: 'Staking basics',
+  hook: 'Earn while you sleep.',
+  sections: [
+    { label: 'Intro', sec: 20, text: 'Staking locks coins to secure a network.' },
+    { label: 'Wrap', sec: 40, text: 'Start small and follow for more.' },
+  ],
+  disclaimer: '',
+  imagePrompts: ['A vault', 'A calendar'],
+};
+
+// Fake text provider that answers from a list and records every request
+function fakeText(replies) {
+  const calls = [];
+  return {
+    calls,
+    complete: async (body) => {
+      calls.push(structuredClone(body));
+      return replies.shift();
+    },
+  };
+}
+
+describe('translations', () => {
+  it('parses language lists and names codes', () => {
+    expect(parseLanguages('en, es;pt-br ES')).to.deep.equal(['en', 'es', 'pt-BR']);
+    expect(parseLanguages('')).to.deep.equal([]);
+    expect(() => parseLanguages('en,xx')).to.throw(/^Unknown language "xx"/);
+    expect(languageName('pt-BR')).to.equal('Portuguese (BR)');
+    expect(languageIso3('es')).to.equal('spa');
+    expect(languageIso3(null)).to.equal('und');
+  });
+
+  it('reports translations that do not match the plan', () => {
+    const data = { title: 'Staking', hook: 'Gana.', sections: ['Uno.', 'Dos.'], disclaimer: '' };
+    expect(translationErrors(data, plan)).to.deep.equal([]);
+    expect(translationErrors({ title: 'Staking', hook: ' ', sections: ['Uno.'] }, plan)).to.deep.equal([
+      'hook: required non-empty string',
+      'disclaimer: must be a string',
+      'sections: expected 2 sections (got 1)',
+    ]);
+    expect(translationErrors([], plan)).to.deep.equal(['(root): expected a JSON object']);
+  });
+
+  it('repairs an invalid reply and keeps timing and image prompts', async () => {
+    const text = fakeText([
+      '{"title": "Staking", "hook": "Gana mientras duermes.", "sections": ["Uno."], "disclaimer": ""}',
+      '```json\n{"title": "Staking", "hook": "Gana mientras duermes.", "sections": ["Uno.", "Dos."], "disclaimer": ""}\n```',
+    ]);
+    const es = await translatePlan({ text, plan, from: 'en', to: 'es' });
+    expect(es).to.deep.include({ language: 'es', hook: 'Gana mientras duermes.', imagePrompts: plan.imagePrompts });
+    expect(es.sections).to.deep.equal([
+      { label: 'Intro', sec: 20, text: 'Uno.' },
+      { label: 'Wrap', sec: 40, text: 'Dos.' },
+    ]);
+    expect(text.calls[0].messages[0].content).to.match(/^Translate this short-video script from English into Spanish\./);
+    expect(text.calls[1].messages.at(-1).content).to.include('sections: expected 2 sections (got 1)');
+
+    const stubborn = fakeText(['not json']);
+    let error;
+    await translatePlan({ text: stubborn, plan, from: 'en', to: 'de', repairs: 0 }).catch((e) => (error = e));
+    expect(error.message).to.match(/^German translation failed validation after 1 attempt:\n {2}- \(root\): not valid JSON/);
+  });
+
+  it('marks placeholder translations with the language code', () => {
+    const fr = placeholderTranslation(plan, 'fr');
+    expect(fr.hook).to.equal('[fr] Earn while you sleep.');
+    expect(fr.title).to.equal('[fr] Staking basics');
+    expect(fr.sections[1].text).to.equal('[fr] Start small and follow for more.');
+    expect(fr.disclaimer).to.equal('');
+  });
+});
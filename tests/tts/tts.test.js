@@ -0,0 +1,162 @@
+import { expect } from 'chai';
+import http from 'node:http';
+import path from 'node:path';
+import fs from 'node:fs';
+import os from 'node:os';
+import { createTTSProvider, localEngineCommand, localLanguageConfig, silentMp3 } from '../../src/tts.js';
+
+describe('TTS providers', () => {
+  let server;
+  let baseUrl;
+  let lastRequest;
+  let dir;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (d) => (body += d));
+      req.on('end', () => {
+        lastRequest = { method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null };
+        if (req.headers['xi-api-key'] !== 'el-test') {
+          res.writeHead(401, { 'content-type': 'application/json' });
+          res.end('{"detail":"invalid api key"}');
+          return;
+        }
+        res.writeHead(200, { 'content-type': 'audio/mpeg' });
+        res.end(Buffer.from('ID3-mock-audio'));
+      });
+    });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'viral-tts-'));
+  });
+
+  afterEach(() => {
+    try { fs.rmSync(dir, { recursive: true, force: true }); } catch {}
+  });
+
+  const elevenCfg = (extra = {}) => ({
+    ELEVENLABS_API_KEY: 'el-test',
+    ELEVENLABS_VOICE_ID: 'voice-123',
+    ELEVENLABS_MODEL: 'eleven_multilingual_v2',
+    ELEVENLABS_STABILITY: '0.3',
+    ELEVENLABS_STYLE: 0.4,
+    ELEVENLABS_BASE_URL: baseUrl,
+    ...extra,
+  });
+
+  it('synthesizes through the ElevenLabs API with voice settings', async () => {
+    const tts = createTTSProvider('elevenlabs', elevenCfg());
+    const out = path.join(dir, 'voiceover.mp3');
+    await tts.synthesize('Hello there.', out);
+
+    expect(fs.readFileSync(out, 'utf8')).to.equal('ID3-mock-audio');
+    expect(lastRequest.method).to.equal('POST');
+    expect(lastRequest.url).to.equal('/v1/text-to-speech/voice-123?output_format=mp3_44100_128');
+    expect(lastRequest.body).to.deep.equal({
+      text: 'Hello there.',
+      model_id: 'eleven_multilingual_v2',
+      voice_settings: { stability: 0.3, similarity_boost: 0.75, style: 0.4, use_speaker_boost: true },
+    });
+  });
+
+  it('surfaces ElevenLabs HTTP errors with the status code', async () => {
+    const tts = createTTSProvider('elevenlabs', elevenCfg({ ELEVENLABS_API_KEY: 'wrong' }));
+    let err;
+    try {
+      await tts.synthesize('Hi.', path.join(dir, 'x.mp3'));
+    } catch (e) {
+      err = e;
+    }
+    expect(err?.status).to.equal(401);
+    expect(err?.message).to.match(/ElevenLabs TTS failed \(401\)/);
+  });
+
+  it('requires an API key for ElevenLabs and rejects unknown providers', () => {
+    expect(() => createTTSProvider('elevenlabs', elevenCfg({ ELEVENLABS_API_KEY: '' }))).to.throw(/ELEVENLABS_API_KEY/);
+    expect(() => createTTSProvider('festival', {})).to.throw(/Unknown TTS provider/);
+  });
+
+  it('keys cache requests per provider and voice', async () => {
+    const a = await createTTSProvider('elevenlabs', elevenCfg()).request('x');
+    const b = await createTTSProvider('elevenlabs', elevenCfg({ ELEVENLABS_VOICE_ID: 'other' })).request('x');
+    expect(a).to.not.deep.equal(b);
+    expect(await createTTSProvider('stub', { TTS_VOICE: 'v' }).request('x')).to.deep.equal({
+      provider: 'stub',
+      voice: 'v',
+      text: 'x',
+    });
+  });
+
+  it('keys local voiceovers by the engine that runs', async () => {
+    // Only espeak-ng on PATH: auto falls back to it even with a piper model configured
+    const bin = path.join(dir, 'bin');
+    fs.mkdirSync(bin);
+    fs.writeFileSync(path.join(bin, 'espeak-ng'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+    const oldPath = process.env.PATH;
+    process.env.PATH = bin;
+    try {
+      const auto = await createTTSProvider('local', { PIPER_MODEL: 'amy.onnx' }).request('x');
+      expect(auto).to.include({ setting: 'auto', engine: 'espeak-ng' });
+      const forced = await createTTSProvider('local', { PIPER_MODEL: 'amy.onnx', LOCAL_TTS_ENGINE: 'espeak-ng' }).request('x');
+      expect(forced).to.include({ setting: 'espeak-ng', engine: 'espeak-ng' });
+      expect(forced).to.not.deep.equal(auto);
+    } finally {
+      process.env.PATH = oldPath;
+    }
+  });
+
+  it('gives each language its own local voice', async () => {
+    const cfg = { LOCAL_TTS_VOICE: 'en-US+f3', PIPER_MODEL: 'voices/{lang}.onnx' };
+    expect(localLanguageConfig(cfg, 'en')).to.include({ LOCAL_TTS_VOICE: 'en-US+f3', PIPER_MODEL: 'voices/en.onnx' });
+    expect(localLanguageConfig(cfg, 'pt-BR')).to.include({ LOCAL_TTS_VOICE: 'pt-br+f3', PIPER_MODEL: 'voices/pt-BR.onnx' });
+    expect(localLanguageConfig(cfg, 'zh').LOCAL_TTS_VOICE).to.equal('cmn+f3');
+    expect(localLanguageConfig(cfg, null)).to.equal(cfg);
+
+    // One piper model cannot read several languages
+    const bin = path.join(dir, 'bin');
+    fs.mkdirSync(bin);
+    fs.writeFileSync(path.join(bin, 'piper'), '#!/bin/sh\nexit 0\n', { mode: 0o755 });
+    const oldPath = process.env.PATH;
+    process.env.PATH = bin;
+    try {
+      const es = await createTTSProvider('local', { PIPER_MODEL: 'voices/{lang}.onnx' }, { lang: 'es' }).request('x');
+      expect(es).to.include({ engine: 'piper:voices/es.onnx' });
+      let err;
+      try {
+        await createTTSProvider('local', { PIPER_MODEL: 'amy.onnx' }, { lang: 'es' }).request('x');
+      } catch (e) {
+        err = e;
+      }
+      expect(err?.message).to.match(/Put \{lang\} in its path/);
+    } finally {
+      process.env.PATH = oldPath;
+    }
+  });
+
+  it('writes a silent MP3 as long as the stub text takes to read', async () => {
+    expect(silentMp3(1).length).to.equal(39 * 104);
+    const out = path.join(dir, 'stub.mp3');
+    await createTTSProvider('stub', { TTS_VOICE: 'v' }).synthesize('one two three four five six seven eight nine ten', out);
+    const mp3 = fs.readFileSync(out);
+    // 10 words at 2.5 words per second, after the tag
+    const tag = mp3.indexOf(Buffer.from([0xff, 0xfb]));
+    expect((mp3.length - tag) / 104).to.equal(Math.ceil(4 / (1152 / 44100)));
+    expect(mp3.subarray(0, tag).toString('utf8')).to.match(/^ID3.*TXXX.*STUB-TTS\0voice=v\none two/s);
+  });
+
+  it('builds espeak-ng and piper command lines for the local provider', () => {
+    const espeak = localEngineCommand('espeak-ng', { LOCAL_TTS_VOICE: 'en-US+f3', LOCAL_TTS_RATE: 170 }, 'in.txt', 'out.wav');
+    expect([espeak.cmd, ...espeak.args]).to.deep.equal(['espeak-ng', '-s', '170', '-v', 'en-US+f3', '-f', 'in.txt', '-w', 'out.wav']);
+    const piper = localEngineCommand('piper', { PIPER_MODEL: 'en_US-amy.onnx' }, 'in.txt', 'out.wav');
+    expect([piper.cmd, ...piper.args]).to.deep.equal(['piper', '--model', 'en_US-amy.onnx', '--output_file', 'out.wav']);
+    expect(piper.stdin).to.equal(true);
+  });
+});